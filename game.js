@@ -1,5 +1,32 @@
+import { validateConfig } from './src/core/ConfigValidation.js';
 import { PoolGame } from './src/core/PoolGame.js';
+import { StorageManager } from './src/storage/StorageManager.js';
 
-window.addEventListener('load', () => {
-    new PoolGame();
+/** Replace the loading screen with the CONFIG problems (one per line) that stopped startup. */
+function showConfigError(errors) {
+    const overlay = document.createElement('div');
+    overlay.className = 'error-overlay';
+    overlay.innerHTML = '<p>The game configuration is invalid.</p>';
+    const list = document.createElement('ul');
+    list.className = 'config-errors';
+    for (const error of errors) {
+        const item = document.createElement('li');
+        item.textContent = error;
+        list.appendChild(item);
+    }
+    overlay.appendChild(list);
+    document.body.appendChild(overlay);
+    document.getElementById('loading-screen')?.remove();
+}
+
+window.addEventListener('load', async () => {
+    // A broken CONFIG is listed on screen up front instead of crashing mid-level
+    const configErrors = validateConfig();
+    if (configErrors.length > 0) {
+        console.error(`Invalid CONFIG:\n  ${configErrors.join('\n  ')}`);
+        showConfigError(configErrors);
+        return;
+    }
+    // The save is read before the game starts (IndexedDB only reads asynchronously)
+    new PoolGame(await StorageManager.open());
 });
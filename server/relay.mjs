@@ -0,0 +1,251 @@
+/**
+ * Reference relay for online versus, with no dependencies beyond Node itself:
+ *
+ *   node server/relay.mjs [port]        (default 8787)
+ *
+ * It also serves the game, so http://localhost:8787 is ready to play. Players join a
+ * room by code; once a room has two players the relay deals them a shared seed and
+ * their seats, then passes each player's shot inputs to the other. Each browser runs
+ * the simulation itself, so the relay never sees game state.
+ *
+ * Messages are JSON text frames:
+ *   client → relay  { type: 'join', room, configHash }
+ *                   { type: 'shot', tick, direction: { x, z }, magnitude }
+ *                   { type: 'desync' }                  the sender's table no longer matches
+ *   relay → client  { type: 'waiting' }
+ *                   { type: 'start', seed, seat }       seat 0 shoots first
+ *                   { type: 'shot', tick, direction, magnitude }
+ *                   { type: 'desync' }                  passed on from the opponent
+ *                   { type: 'left' }                    the opponent disconnected
+ *                   { type: 'error', message }
+ */
+import { createHash, randomInt } from 'node:crypto';
+import { readFile } from 'node:fs/promises';
+import { createServer } from 'node:http';
+import { extname, join, normalize, resolve, sep } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { CONFIG } from '../src/config.js';
+
+const PORT = Number(process.argv[2] || process.env.PORT || 8787);
+const ROOT = resolve(fileURLToPath(new URL('..', import.meta.url)));
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_MESSAGE = 16 * 1024;
+
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.mjs': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json',
+    '.png': 'image/png',
+    '.svg': 'image/svg+xml',
+    '.ico': 'image/x-icon'
+};
+
+/** What the game needs from the repo: the page, its stylesheet and scripts, and the src/ tree. */
+const PUBLIC_FILES = new Set(['index.html', 'styles.css', 'game.js']);
+const PUBLIC_DIRS = ['src'];
+
+/** room code → players in it (at most two); each player is { socket, room, configHash } */
+const rooms = new Map();
+
+/* ── Static files ── */
+
+/** Only the game's own files are served; dot-paths (.git and the like) never are. */
+function isPublic(file) {
+    if (!file.startsWith(ROOT + sep)) return false;
+    const parts = file.slice(ROOT.length + 1).split(sep);
+    if (parts.some(part => part.startsWith('.'))) return false;
+    return parts.length === 1 ? PUBLIC_FILES.has(parts[0]) : PUBLIC_DIRS.includes(parts[0]);
+}
+
+const server = createServer(async (req, res) => {
+    const path = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+    const file = normalize(join(ROOT, path.endsWith('/') ? `${path}index.html` : path));
+    if (!isPublic(file)) {
+        res.writeHead(403).end();
+        return;
+    }
+    try {
+        const body = await readFile(file);
+        res.writeHead(200, { 'Content-Type': CONTENT_TYPES[extname(file)] || 'application/octet-stream' });
+        res.end(body);
+    } catch {
+        res.writeHead(404).end('Not found');
+    }
+});
+
+/* ── WebSocket (RFC 6455: text frames, ping and close are all a relay needs) ── */
+
+server.on('upgrade', (req, socket) => {
+    const key = req.headers['sec-websocket-key'];
+    if (req.headers.upgrade?.toLowerCase() !== 'websocket' || !key) {
+        socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+        return;
+    }
+    const accept = createHash('sha1').update(key + WS_GUID).digest('base64');
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${accept}`,
+        '', ''
+    ].join('\r\n'));
+
+    const player = { socket, room: null, configHash: null };
+    let buffer = Buffer.alloc(0);
+    socket.on('data', (chunk) => {
+        buffer = Buffer.concat([buffer, chunk]);
+        let frame;
+        while ((frame = readFrame(buffer))) {
+            buffer = buffer.subarray(frame.size);
+            if (frame.error) {
+                closeSocket(socket, frame.error);
+                return;
+            }
+            if (frame.opcode === 0x1) onMessage(player, frame.payload.toString('utf8'));
+            else if (frame.opcode === 0x8) closeSocket(socket, 1000);
+            else if (frame.opcode === 0x9) socket.write(encodeFrame(0xA, frame.payload));
+        }
+    });
+    socket.on('close', () => leaveRoom(player));
+    socket.on('error', () => socket.destroy());
+});
+
+/**
+ * Decode the first complete frame in buffer.
+ * @returns {Object|null} `{ opcode, payload, size }`, `{ error, size }` with the close code
+ *   for a bad frame (1002 unmasked, 1009 oversized or fragmented), or null until more bytes arrive
+ */
+function readFrame(buffer) {
+    if (buffer.length < 2) return null;
+    const fin = buffer[0] & 0x80;
+    const opcode = buffer[0] & 0x0F;
+    const masked = buffer[1] & 0x80;
+    let length = buffer[1] & 0x7F;
+    let offset = 2;
+    if (length === 126) {
+        if (buffer.length < 4) return null;
+        length = buffer.readUInt16BE(2);
+        offset = 4;
+    } else if (length === 127) {
+        if (buffer.length < 10) return null;
+        length = Number(buffer.readBigUInt64BE(2));
+        offset = 10;
+    }
+    // Clients must mask every frame (RFC 6455 section 5.1)
+    if (!masked) return { error: 1002, size: buffer.length };
+    if (!fin || length > MAX_MESSAGE) return { error: 1009, size: buffer.length };
+    const maskOffset = offset;
+    offset += 4;
+    if (buffer.length < offset + length) return null;
+
+    const payload = Buffer.from(buffer.subarray(offset, offset + length));
+    for (let i = 0; i < payload.length; i++) payload[i] ^= buffer[maskOffset + (i % 4)];
+    return { opcode, payload, size: offset + length };
+}
+
+/** Unmasked server frame (servers never mask). */
+function encodeFrame(opcode, payload) {
+    const length = payload.length;
+    let header;
+    if (length < 126) {
+        header = Buffer.from([0x80 | opcode, length]);
+    } else if (length < 0x10000) {
+        header = Buffer.alloc(4);
+        header.writeUInt16BE(length, 2);
+        header[1] = 126;
+    } else {
+        header = Buffer.alloc(10);
+        header.writeBigUInt64BE(BigInt(length), 2);
+        header[1] = 127;
+    }
+    header[0] = 0x80 | opcode;
+    return Buffer.concat([header, payload]);
+}
+
+function send(player, message) {
+    if (player.socket.writable) player.socket.write(encodeFrame(0x1, Buffer.from(JSON.stringify(message))));
+}
+
+function closeSocket(socket, code) {
+    const payload = Buffer.alloc(2);
+    payload.writeUInt16BE(code);
+    if (socket.writable) socket.end(encodeFrame(0x8, payload));
+}
+
+/* ── Rooms ── */
+
+function onMessage(player, text) {
+    let message;
+    try {
+        message = JSON.parse(text);
+    } catch {
+        return;
+    }
+    if (!message || typeof message !== 'object') return;
+
+    if (message.type === 'join') {
+        joinRoom(player, message);
+    } else if (message.type === 'shot' && player.room) {
+        const { tick, direction, magnitude } = message;
+        const valid = Number.isInteger(tick) && direction
+            && Number.isFinite(direction.x) && Number.isFinite(direction.z) && Number.isFinite(magnitude);
+        if (!valid) return;
+        const shot = { type: 'shot', tick, direction: { x: direction.x, z: direction.z }, magnitude };
+        for (const other of rooms.get(player.room)) {
+            if (other !== player) send(other, shot);
+        }
+    } else if (message.type === 'desync' && player.room) {
+        for (const other of rooms.get(player.room)) {
+            if (other !== player) send(other, { type: 'desync' });
+        }
+    }
+}
+
+function joinRoom(player, { room, configHash }) {
+    if (player.room) return;
+    if (typeof room !== 'string' || !room || room.length > CONFIG.ONLINE.ROOM_CODE_LENGTH) {
+        send(player, { type: 'error', message: 'Invalid room code' });
+        return;
+    }
+    const players = rooms.get(room) || [];
+    if (players.length >= 2) {
+        send(player, { type: 'error', message: `Room ${room} is full` });
+        return;
+    }
+    // Both browsers must run the same rules or their simulations drift apart
+    if (players.length === 1 && players[0].configHash !== configHash) {
+        send(player, { type: 'error', message: 'Your opponent is running a different game version' });
+        return;
+    }
+
+    player.room = room;
+    player.configHash = configHash;
+    players.push(player);
+    rooms.set(room, players);
+
+    if (players.length === 1) {
+        send(player, { type: 'waiting' });
+        return;
+    }
+    const seed = randomInt(0x7FFFFFFF);
+    players.forEach((p, seat) => send(p, { type: 'start', seed, seat }));
+    console.log(`Room ${room}: match started (seed ${seed})`);
+}
+
+function leaveRoom(player) {
+    const players = rooms.get(player.room);
+    if (!players) return;
+    rooms.delete(player.room);
+    for (const other of players) {
+        if (other === player) continue;
+        send(other, { type: 'left' });
+        other.room = null;
+    }
+    player.room = null;
+}
+
+server.listen(PORT, () => {
+    console.log(`Poolanoid relay on http://localhost:${PORT} (ws://localhost:${PORT} for online versus)`);
+});
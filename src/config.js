@@ -8,6 +8,95 @@ export const CONFIG = {
         BOMB_SIZE_CHANGE_LEVEL: 10,
     },
 
+    // Difficulty presets: each overrides the base tuning it names and leaves the rest alone.
+    //   BASE_SHOTS, BASE_WALL_COUNT, WALLS_PER_LEVEL  replace the GAME values
+    //   SPAWN_TIER_DELAY  levels added to every WALL_SPAWN_RATES tier's maxLevel
+    //                     (negative: tougher walls arrive sooner)
+    //   AIM_LINE_SCALE    multiplies the aim line's length (AIMING.AIM_LINE_MAX_LENGTH)
+    //   COMBO_MIN_SHIFT   added to every COMBO.THRESHOLDS `min`
+    // Daily, puzzle and online runs always play NORMAL so everyone shares the same rules.
+    DIFFICULTY: {
+        DEFAULT: 'normal',
+        PRESETS: {
+            easy: {
+                LABEL: 'EASY',
+                BASE_SHOTS: 7,
+                BASE_WALL_COUNT: 8,
+                WALLS_PER_LEVEL: 4,
+                SPAWN_TIER_DELAY: 2,
+                AIM_LINE_SCALE: 1.5,
+                COMBO_MIN_SHIFT: -1,
+            },
+            normal: {
+                LABEL: 'NORMAL',
+            },
+            hard: {
+                LABEL: 'HARD',
+                BASE_SHOTS: 4,
+                BASE_WALL_COUNT: 12,
+                WALLS_PER_LEVEL: 6,
+                SPAWN_TIER_DELAY: -2,
+                AIM_LINE_SCALE: 0.6,
+                COMBO_MIN_SHIFT: 1,
+            },
+        },
+    },
+
+    // Daily challenge (same date-derived layouts for everyone, fixed length)
+    DAILY: {
+        LEVELS: 5,
+    },
+
+    // Time Attack: unlimited shots against a countdown (ms of game time)
+    TIME_ATTACK: {
+        DURATION: 90000,
+        LEVEL_BONUS: 15000,    // added per cleared level
+        TIME_PER_SHOT: 5000,   // combo and power-up shot rewards are paid in time instead
+        WARNING_TIME: 10000,   // countdown turns red below this
+    },
+
+    // Zen practice: unlimited shots, no score, sandbox toolbar
+    PRACTICE: {
+        MAX_LEVEL: 15,         // highest level the toolbar can pick (wall count + spawn table)
+    },
+
+    // Hot-seat versus: two players alternate shots on one layout
+    VERSUS: {
+        LEVEL: 3,              // whose wall count and spawn table the layout uses
+        SHOTS: 6,              // per player
+    },
+
+    // Online versus through the relay in server/relay.mjs (`?server=ws://host:port` overrides)
+    ONLINE: {
+        SERVER_URL: 'ws://localhost:8787',
+        ROOM_CODE_LENGTH: 16,  // longest room code the relay accepts
+    },
+
+    // Local player profiles (home screen picker)
+    PROFILES: {
+        MAX: 8,                // profiles one device can hold
+        NAME_LENGTH: 12,       // longest profile name
+    },
+
+    // Leaderboard screen
+    LEADERBOARD: {
+        SIZE: 50,              // entries kept per board (mode + difficulty, or daily date)
+    },
+
+    // Level editor (table units, radians)
+    EDITOR: {
+        GRID: 0.25,            // wall centers and the ball start snap to this
+        ROTATION_STEP: Math.PI / 12,
+        LENGTH_STEP: 0.25,
+        DEFAULT_LENGTH: 2,
+        MIN_LENGTH: 0.5,
+        MAX_LENGTH: 8,
+        MAX_HITS: 5,
+        MAX_SHOTS: 20,
+        PICK_RADIUS: 0.3,      // how close a tap has to be to grab a wall or the ball
+        HANDLE_RADIUS: 0.4,    // grabbing a selected wall this close to an end rotates and resizes it
+    },
+
     // Colors (hex numbers for Three.js, strings for CSS)
     COLORS: {
         BACKGROUND: '#362F4F',
@@ -26,6 +115,10 @@ export const CONFIG = {
         BONUS_POINTS: '#E4FF30',
         BONUS_SHOTS: '#00FF9C',
         ROBUST_BLOCKED: '#2E7D32',
+        TIMER_WARNING: '#FF3B3B',
+        EDITOR_SELECTION: '#FFFFFF',
+        VERSUS_PLAYERS: ['#00FF9C', '#FF5FCF'],
+        ACHIEVEMENT: '#FFD700',
     },
 
     // Physics Engine
@@ -36,6 +129,12 @@ export const CONFIG = {
         MAX_SUBSTEPS: 30,
         BULLET_SAFE_DISTANCE: 0.04,
         MAX_FRAME_DELTA: 0.1,
+        // Deterministic mode: every substep is FIXED_DT regardless of frame rate or ball
+        // speed, meshes are interpolated between steps. Recorded runs (everything but Zen and
+        // puzzles) always use it so they can be saved as replays; this sets the rest.
+        // FIXED_DT is a power of two so accumulated world/game time stays exact.
+        FIXED_TIMESTEP: false,
+        FIXED_DT: 1 / 256,
         SOLVER_ITERATIONS: 16,
         DEFAULT_FRICTION: 0.15,
         DEFAULT_RESTITUTION: 0.35,
@@ -235,6 +334,26 @@ export const CONFIG = {
         ],
     },
 
+    // Instant replay of the last shot
+    REPLAY: {
+        MIN_COMBO: 4,          // finalized combo that offers a replay
+        SAMPLE_INTERVAL: 8,    // ms of game time between recorded ball positions
+        MAX_FRAMES: 2500,      // samples kept per shot (~20s); the rest is cut
+        SPEEDS: [1, 0.5, 0.25],
+        RUN_SPEEDS: [1, 2, 4], // whole-run replay files
+        CAMERA_HEIGHT: 6,
+        CAMERA_DISTANCE: 5,
+        CAMERA_FOLLOW: 0.08,   // per-frame lerp toward the main ball
+    },
+
+    // Achievements (the list itself is in AchievementTracker.js)
+    ACHIEVEMENTS: {
+        COMBO: 8,              // finalized combo to land
+        BOMBS_PER_SHOT: 3,     // bombs set off by a single shot
+        LEVEL: 20,             // level to reach
+        TOAST_DURATION: 3000,  // ms an unlock toast stays up
+    },
+
     // Screen shake
     SHAKE: {
         BASE_INTENSITY: 0.008,
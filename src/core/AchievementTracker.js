@@ -0,0 +1,66 @@
+import { CONFIG } from '../config.js';
+import { GameEvents } from './GameEvents.js';
+
+const { COMBO, BOMBS_PER_SHOT, LEVEL } = CONFIG.ACHIEVEMENTS;
+
+/** Every achievement, in trophy-screen order. Ids are what StorageManager keeps. */
+export const ACHIEVEMENTS = Object.freeze([
+    { id: 'firstClear', title: 'TABLE CLEARED', description: 'Clear a level' },
+    { id: 'oneShotClear', title: 'ONE AND DONE', description: 'Clear a level with a single shot' },
+    { id: 'bigCombo', title: 'COMBO MASTER', description: `Land a ${COMBO}x combo` },
+    { id: 'bombChain', title: 'DEMOLITION', description: `Set off ${BOMBS_PER_SHOT} bombs with one shot` },
+    { id: 'bankShot', title: 'BANK SHOT', description: 'Break a robust wall on the rebound from an extraBounce wall' },
+    { id: 'deepRun', title: 'DEEP RUN', description: `Reach level ${LEVEL}` },
+]);
+
+/**
+ * Watches gameplay events (GameSimulation and WallManager, so it runs headless too) and
+ * emits ACHIEVEMENT_UNLOCKED the first time each achievement's condition is met.
+ */
+export class AchievementTracker {
+    /**
+     * @param {EventBus} events - The game's bus, watched and announced on
+     * @param {string[]} [unlocked] - Ids already earned; they are never announced again
+     */
+    constructor(events, unlocked = []) {
+        this.events = events;
+        this.unlocked = new Set(unlocked);
+        /** @type {Function} Returns false while progress shouldn't count (replays, practice, ...). */
+        this.canUnlock = () => true;
+        this._shotBombs = 0;
+        this._lastWallHit = new Map(); // ball body → type of the wall it last hit this shot
+
+        events.on(GameEvents.SHOT_FIRED, () => {
+            this._shotBombs = 0;
+            this._lastWallHit.clear();
+        });
+        events.on(GameEvents.WALL_HIT, ({ wall, blocked, ball }) => {
+            if (!blocked && wall.type === 'robust' && this._lastWallHit.get(ball) === 'extraBounce') {
+                this.unlock('bankShot');
+            }
+            this._lastWallHit.set(ball, wall.type);
+        });
+        events.on(GameEvents.WALL_DESTROYED, ({ type }) => {
+            if (type === 'bomb' && ++this._shotBombs >= BOMBS_PER_SHOT) this.unlock('bombChain');
+        });
+        events.on(GameEvents.COMBO_FINALIZED, ({ combo }) => {
+            if (combo >= COMBO) this.unlock('bigCombo');
+        });
+        events.on(GameEvents.LEVEL_COMPLETED, ({ levelShots }) => {
+            this.unlock('firstClear');
+            if (levelShots === 1) this.unlock('oneShotClear');
+        });
+        events.on(GameEvents.LEVEL_STARTED, ({ level }) => {
+            if (level >= LEVEL) this.unlock('deepRun');
+        });
+    }
+
+    /** Award an achievement unless it's already earned or progress doesn't count right now. */
+    unlock(id) {
+        if (this.unlocked.has(id) || !this.canUnlock()) return;
+        this.unlocked.add(id);
+        this.events.emit(GameEvents.ACHIEVEMENT_UNLOCKED, {
+            id, achievement: ACHIEVEMENTS.find(a => a.id === id)
+        });
+    }
+}
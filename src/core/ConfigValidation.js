@@ -0,0 +1,208 @@
+import { CONFIG } from '../config.js';
+
+/**
+ * Structural checks on CONFIG, so a bad edit or override is reported up front with the
+ * exact setting at fault instead of surfacing later as a crash mid-level (e.g. a spawn
+ * tier whose thresholds never reach 1 leaves createWalls without a wall type).
+ *
+ * Paths in messages read like code: `WALL_SPAWN_RATES[2].types[4].threshold`.
+ */
+
+const HEX_COLOR = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i;
+const CSS_COLOR = /^(#([0-9a-f]{3}|[0-9a-f]{6})|rgba?\([\d\s.,%]+\))$/i;
+
+const isNumber = (v) => typeof v === 'number' && Number.isFinite(v);
+const isCount = (v, min) => Number.isInteger(v) && v >= min;
+
+/** [key, test, expectation] rules for the CONFIG.PHYSICS values the simulation relies on. */
+const PHYSICS_RULES = [
+    ['GRAVITY', isNumber, 'a number'],
+    ['DT', v => isNumber(v) && v > 0, 'a positive number'],
+    ['MIN_STEP_DT', v => isNumber(v) && v > 0, 'a positive number'],
+    ['MAX_SUBSTEPS', v => isCount(v, 1), 'a whole number of at least 1'],
+    ['MAX_FRAME_DELTA', v => isNumber(v) && v > 0, 'a positive number'],
+    ['FIXED_TIMESTEP', v => typeof v === 'boolean', 'true or false'],
+    ['FIXED_DT', v => isNumber(v) && v > 0, 'a positive number'],
+    ['SOLVER_ITERATIONS', v => isCount(v, 1), 'a whole number of at least 1'],
+    ['DEFAULT_FRICTION', v => isNumber(v) && v >= 0, 'a number of at least 0'],
+    ['DEFAULT_RESTITUTION', v => isNumber(v) && v >= 0 && v <= 1, 'between 0 and 1'],
+    ['BALL_MASS', v => isNumber(v) && v > 0, 'a positive number'],
+    ['BALL_LINEAR_DAMPING', v => isNumber(v) && v >= 0 && v <= 1, 'between 0 and 1'],
+    ['BALL_SLEEP_SPEED_LIMIT', v => isNumber(v) && v >= 0, 'a number of at least 0'],
+    ['BALL_SLEEP_TIME_LIMIT', v => isNumber(v) && v >= 0, 'a number of at least 0'],
+    ['BALL_TABLE_FRICTION', v => isNumber(v) && v >= 0, 'a number of at least 0'],
+    ['BALL_TABLE_RESTITUTION', v => isNumber(v) && v >= 0 && v <= 1, 'between 0 and 1'],
+    ['BALL_CUSHION_FRICTION', v => isNumber(v) && v >= 0, 'a number of at least 0'],
+    ['BALL_CUSHION_RESTITUTION', v => isNumber(v) && v >= 0 && v <= 1, 'between 0 and 1'],
+];
+
+/** Preset overrides (CONFIG.DIFFICULTY.PRESETS) and what each accepts. */
+const DIFFICULTY_RULES = [
+    ['BASE_SHOTS', v => isCount(v, 1), 'a whole number of at least 1'],
+    ['BASE_WALL_COUNT', v => isCount(v, 1), 'a whole number of at least 1'],
+    ['WALLS_PER_LEVEL', v => isCount(v, 0), 'a whole number of at least 0'],
+    ['SPAWN_TIER_DELAY', v => Number.isInteger(v), 'a whole number'],
+    ['AIM_LINE_SCALE', v => isNumber(v) && v > 0, 'a positive number'],
+    ['COMBO_MIN_SHIFT', v => Number.isInteger(v), 'a whole number'],
+];
+
+const describe = (value) => (typeof value === 'string' ? `"${value}"` : String(value));
+
+/**
+ * @param {Object} [config] - Defaults to the live CONFIG (edits included)
+ * @returns {string[]} One readable message per problem; empty when the config is usable
+ */
+export function validateConfig(config = CONFIG) {
+    const errors = [];
+    const fail = (path, message) => errors.push(`${path}: ${message}`);
+    const expect = (path, value, test, expectation) => {
+        if (!test(value)) fail(path, `expected ${expectation}, got ${describe(value)}`);
+    };
+    const group = (name) => {
+        const value = config[name];
+        if (value && typeof value === 'object') return value;
+        fail(name, 'missing');
+        return null;
+    };
+
+    const behaviors = group('WALL_BEHAVIORS') || {};
+    const powerups = group('POWERUPS') || {};
+    const isWallType = (type) => Object.hasOwn(behaviors, type) || Object.hasOwn(powerups, type);
+
+    // ── Wall types: every behavior scores, every type has a color ──
+    const points = (group('SCORING') || {}).POINTS || {};
+    for (const [type, behavior] of Object.entries(behaviors)) {
+        const path = `WALL_BEHAVIORS.${type}`;
+        expect(`${path}.color`, behavior.color, v => HEX_COLOR.test(v), 'a hex color like "#00ff2f"');
+        expect(`${path}.restitution`, behavior.restitution, v => isNumber(v) && v >= 0 && v <= 1, 'between 0 and 1');
+        expect(`${path}.friction`, behavior.friction, v => isNumber(v) && v >= 0, 'a number of at least 0');
+        if (!Object.hasOwn(points, type)) fail(`SCORING.POINTS.${type}`, `missing (every WALL_BEHAVIORS type scores)`);
+    }
+    for (const [type, value] of Object.entries(points)) {
+        if (Object.hasOwn(powerups, type)) fail(`SCORING.POINTS.${type}`, 'power-ups are not scored');
+        else if (!Object.hasOwn(behaviors, type)) fail(`SCORING.POINTS.${type}`, 'not a WALL_BEHAVIORS type');
+        else expect(`SCORING.POINTS.${type}`, value, v => isNumber(v) && v >= 0, 'a number of at least 0');
+    }
+    for (const [type, powerup] of Object.entries(powerups)) {
+        const path = `POWERUPS.${type}`;
+        if (Object.hasOwn(behaviors, type)) fail(path, 'also defined in WALL_BEHAVIORS');
+        expect(`${path}.color`, powerup.color, v => HEX_COLOR.test(v), 'a hex color like "#00FFFF"');
+        expect(`${path}.label`, powerup.label, v => typeof v === 'string', 'a string');
+    }
+
+    // ── Spawn tiers: cumulative thresholds that cover every roll ──
+    const tiers = config.WALL_SPAWN_RATES;
+    if (!Array.isArray(tiers) || tiers.length === 0) {
+        fail('WALL_SPAWN_RATES', 'expected a non-empty list of tiers');
+    } else {
+        tiers.forEach((tier, i) => {
+            const path = `WALL_SPAWN_RATES[${i}]`;
+            if (!tier || typeof tier !== 'object') {
+                fail(path, 'expected a tier { maxLevel, types }');
+                return;
+            }
+            expect(`${path}.maxLevel`, tier.maxLevel, v => v === Infinity || isCount(v, 1), 'a level number or Infinity');
+            if (i > 0 && tiers[i - 1] && !(tier.maxLevel > tiers[i - 1].maxLevel)) {
+                fail(`${path}.maxLevel`, `${tier.maxLevel} must be above the previous tier's ${tiers[i - 1].maxLevel}`);
+            }
+            if (!Array.isArray(tier.types) || tier.types.length === 0) {
+                fail(`${path}.types`, 'expected a non-empty list of { threshold, type }');
+                return;
+            }
+            let previous = 0;
+            tier.types.forEach((entry, j) => {
+                const entryPath = `${path}.types[${j}]`;
+                if (!entry || !isWallType(entry.type)) {
+                    fail(`${entryPath}.type`, `unknown wall type ${describe(entry && entry.type)}`);
+                }
+                const threshold = entry && entry.threshold;
+                if (!isNumber(threshold) || threshold <= previous || threshold > 1) {
+                    fail(`${entryPath}.threshold`, `expected a number above ${previous} and at most 1, got ${describe(threshold)}`);
+                } else {
+                    previous = threshold;
+                }
+            });
+            const last = tier.types[tier.types.length - 1];
+            if (!last || last.threshold !== 1) {
+                fail(`${path}.types`, `the last threshold must be 1 so every roll picks a wall (got ${describe(last && last.threshold)})`);
+            }
+        });
+    }
+
+    // ── Rules ──
+    const game = group('GAME');
+    if (game) {
+        expect('GAME.BASE_WALL_COUNT', game.BASE_WALL_COUNT, v => isCount(v, 1), 'a whole number of at least 1');
+        expect('GAME.WALLS_PER_LEVEL', game.WALLS_PER_LEVEL, v => isCount(v, 0), 'a whole number of at least 0');
+        expect('GAME.BASE_SHOTS', game.BASE_SHOTS, v => isCount(v, 1), 'a whole number of at least 1');
+    }
+
+    const combo = group('COMBO');
+    if (combo) {
+        expect('COMBO.SETTLE_DELAY', combo.SETTLE_DELAY, v => isNumber(v) && v >= 0, 'a number of at least 0');
+        if (!Array.isArray(combo.THRESHOLDS)) {
+            fail('COMBO.THRESHOLDS', 'expected a list of { min, points, shots, color }');
+        } else {
+            combo.THRESHOLDS.forEach((reward, i) => {
+                const path = `COMBO.THRESHOLDS[${i}]`;
+                const previous = i > 0 && combo.THRESHOLDS[i - 1] ? combo.THRESHOLDS[i - 1].min : 1;
+                expect(`${path}.min`, reward.min, v => isCount(v, 2) && v > previous, `a whole number above ${previous}`);
+                expect(`${path}.points`, reward.points, v => isNumber(v) && v >= 0, 'a number of at least 0');
+                expect(`${path}.shots`, reward.shots, v => isCount(v, 0), 'a whole number of at least 0');
+                expect(`${path}.color`, reward.color, v => HEX_COLOR.test(v), 'a hex color');
+            });
+        }
+    }
+
+    const aiming = group('AIMING');
+    if (aiming) {
+        expect('AIMING.MAX_IMPULSE', aiming.MAX_IMPULSE, v => isNumber(v) && v > 0, 'a positive number');
+        expect('AIMING.AIM_LINE_MIN_LENGTH', aiming.AIM_LINE_MIN_LENGTH, v => isNumber(v) && v >= 0, 'a number of at least 0');
+        expect('AIMING.AIM_LINE_MAX_LENGTH', aiming.AIM_LINE_MAX_LENGTH,
+            v => isNumber(v) && v >= aiming.AIM_LINE_MIN_LENGTH, 'a number of at least AIM_LINE_MIN_LENGTH');
+    }
+
+    const physics = group('PHYSICS');
+    if (physics) {
+        for (const [key, test, expectation] of PHYSICS_RULES) expect(`PHYSICS.${key}`, physics[key], test, expectation);
+    }
+
+    const colors = group('COLORS');
+    if (colors) {
+        for (const [key, value] of Object.entries(colors)) {
+            const values = Array.isArray(value) ? value : [value];
+            values.forEach((color, i) => {
+                const path = Array.isArray(value) ? `COLORS.${key}[${i}]` : `COLORS.${key}`;
+                expect(path, color, v => CSS_COLOR.test(v), 'a hex or rgba() color');
+            });
+        }
+    }
+
+    const difficulty = group('DIFFICULTY');
+    if (difficulty) {
+        const presets = difficulty.PRESETS || {};
+        if (!Object.hasOwn(presets, difficulty.DEFAULT)) {
+            fail('DIFFICULTY.DEFAULT', `${describe(difficulty.DEFAULT)} is not one of PRESETS`);
+        }
+        for (const [key, preset] of Object.entries(presets)) {
+            const path = `DIFFICULTY.PRESETS.${key}`;
+            expect(`${path}.LABEL`, preset.LABEL, v => typeof v === 'string' && v.length > 0, 'a name');
+            for (const [name, test, expectation] of DIFFICULTY_RULES) {
+                if (preset[name] !== undefined) expect(`${path}.${name}`, preset[name], test, expectation);
+            }
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * Throw if CONFIG is unusable.
+ * @throws {Error} Listing every problem found, one per line
+ */
+export function assertValidConfig(config = CONFIG) {
+    const errors = validateConfig(config);
+    if (errors.length > 0) {
+        throw new Error(`Invalid CONFIG (${errors.length} problem${errors.length === 1 ? '' : 's'}):\n  ${errors.join('\n  ')}`);
+    }
+}
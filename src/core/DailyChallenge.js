@@ -0,0 +1,24 @@
+import { hashSeed } from './SeededRandom.js';
+
+/**
+ * Date helpers for the daily challenge: every player gets the same seed for a given local date.
+ */
+
+/** Local calendar date as `YYYY-MM-DD`. */
+export function getDailyKey(date = new Date()) {
+    const y = date.getFullYear();
+    const m = String(date.getMonth() + 1).padStart(2, '0');
+    const d = String(date.getDate()).padStart(2, '0');
+    return `${y}-${m}-${d}`;
+}
+
+/** Key of the day before `key`. */
+export function getPreviousDailyKey(key) {
+    const [y, m, d] = key.split('-').map(Number);
+    return getDailyKey(new Date(y, m - 1, d - 1));
+}
+
+/** Run seed for a daily challenge date. */
+export function getDailySeed(key) {
+    return hashSeed('daily', key);
+}
@@ -0,0 +1,37 @@
+import { CONFIG } from '../config.js';
+
+/**
+ * Difficulty presets (CONFIG.DIFFICULTY) resolved against the base tuning into the
+ * numbers a run actually plays with.
+ */
+
+/** Preset keys, easiest first. */
+export const DIFFICULTIES = Object.keys(CONFIG.DIFFICULTY.PRESETS);
+
+export function isDifficulty(key) {
+    return Object.hasOwn(CONFIG.DIFFICULTY.PRESETS, key);
+}
+
+/**
+ * @param {string} [key] - A DIFFICULTIES key (unknown keys fall back to the default)
+ * @returns {Object} `{ key, label, baseShots, baseWallCount, wallsPerLevel, spawnRates,
+ *   aimLineScale, comboThresholds }`; spawnRates and comboThresholds have the shape of
+ *   CONFIG.WALL_SPAWN_RATES and CONFIG.COMBO.THRESHOLDS
+ */
+export function getDifficulty(key = CONFIG.DIFFICULTY.DEFAULT) {
+    if (!isDifficulty(key)) key = CONFIG.DIFFICULTY.DEFAULT;
+    const preset = CONFIG.DIFFICULTY.PRESETS[key];
+    const tierDelay = preset.SPAWN_TIER_DELAY ?? 0;
+    const comboShift = preset.COMBO_MIN_SHIFT ?? 0;
+    return {
+        key,
+        label: preset.LABEL,
+        baseShots: preset.BASE_SHOTS ?? CONFIG.GAME.BASE_SHOTS,
+        baseWallCount: preset.BASE_WALL_COUNT ?? CONFIG.GAME.BASE_WALL_COUNT,
+        wallsPerLevel: preset.WALLS_PER_LEVEL ?? CONFIG.GAME.WALLS_PER_LEVEL,
+        spawnRates: CONFIG.WALL_SPAWN_RATES.map(tier => ({ ...tier, maxLevel: tier.maxLevel + tierDelay })),
+        aimLineScale: preset.AIM_LINE_SCALE ?? 1,
+        // A combo has to be at least 2 to be finalized at all
+        comboThresholds: CONFIG.COMBO.THRESHOLDS.map(reward => ({ ...reward, min: Math.max(2, reward.min + comboShift) }))
+    };
+}
@@ -0,0 +1,70 @@
+/**
+ * Named events with any number of listeners each. Listeners receive a single payload
+ * object; GameEvents lists every name the game uses and what its payload holds.
+ *
+ *   const off = events.on(GameEvents.WALL_DESTROYED, ({ type, position }) => { ... });
+ *   off(); // unsubscribe
+ */
+export class EventBus {
+    /**
+     * @param {Object<string, string>|null} [names] - Allowed event names (e.g. GameEvents);
+     *   subscribing to or emitting anything else throws, so typos fail loudly
+     */
+    constructor(names = null) {
+        this._names = names ? new Set(Object.values(names)) : null;
+        this._listeners = new Map();
+    }
+
+    /**
+     * Subscribe to an event.
+     * @param {string} name - Event name
+     * @param {Function} listener - Called with the event payload
+     * @returns {Function} Unsubscribes the listener
+     */
+    on(name, listener) {
+        this._check(name);
+        let listeners = this._listeners.get(name);
+        if (!listeners) {
+            listeners = [];
+            this._listeners.set(name, listeners);
+        }
+        listeners.push(listener);
+        return () => this.off(name, listener);
+    }
+
+    /** Like on(), but the listener is removed after its first call. */
+    once(name, listener) {
+        const off = this.on(name, (payload) => {
+            off();
+            listener(payload);
+        });
+        return off;
+    }
+
+    off(name, listener) {
+        const listeners = this._listeners.get(name);
+        if (!listeners) return;
+        const idx = listeners.indexOf(listener);
+        if (idx > -1) listeners.splice(idx, 1);
+    }
+
+    /** Call every listener of `name`, in subscription order. */
+    emit(name, payload = {}) {
+        this._check(name);
+        const listeners = this._listeners.get(name);
+        if (!listeners || listeners.length === 0) return;
+        // Copy so listeners can unsubscribe (or subscribe others) while being called
+        for (const listener of listeners.slice()) listener(payload);
+    }
+
+    /** Drop every listener. */
+    clear() {
+        this._listeners.clear();
+    }
+
+    _check(name) {
+        if (this._names && !this._names.has(name)) {
+            throw new Error(`Unknown event "${name}"`);
+        }
+    }
+}
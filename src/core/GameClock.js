@@ -0,0 +1,52 @@
+/**
+ * Simulated game time. Advanced by the physics loop, so it stops while the game
+ * is paused and every gameplay timer scheduled on it stops with it.
+ */
+export class GameClock {
+    constructor() {
+        /** Elapsed game time in ms. */
+        this.now = 0;
+        this.paused = false;
+        this._timers = [];
+        this._nextId = 1;
+    }
+
+    /** Advance by dtMs and fire due timers in schedule order. */
+    advance(dtMs) {
+        if (this.paused) return;
+        this.now += dtMs;
+
+        for (;;) {
+            let due = null;
+            for (const timer of this._timers) {
+                if (timer.time > this.now) continue;
+                if (!due || timer.time < due.time || (timer.time === due.time && timer.id < due.id)) due = timer;
+            }
+            if (!due) break;
+            this._timers.splice(this._timers.indexOf(due), 1);
+            due.fn();
+        }
+    }
+
+    /** Game-time equivalent of window.setTimeout. Returns a timer id. */
+    setTimeout(fn, delayMs) {
+        const id = this._nextId++;
+        this._timers.push({ id, time: this.now + delayMs, fn });
+        return id;
+    }
+
+    clearTimeout(id) {
+        const idx = this._timers.findIndex(t => t.id === id);
+        if (idx > -1) this._timers.splice(idx, 1);
+    }
+
+    pause() { this.paused = true; }
+    resume() { this.paused = false; }
+
+    /** Drop all pending timers and restart from zero (new run / back to home). */
+    reset() {
+        this.now = 0;
+        this.paused = false;
+        this._timers = [];
+    }
+}
@@ -0,0 +1,107 @@
+/**
+ * Every event on the game-wide EventBus, with the payload it carries. Gameplay events
+ * come from GameSimulation and WallManager (in Node too); input and home-screen events
+ * only exist in the browser.
+ */
+export const GameEvents = Object.freeze({
+    /* ── Run ── */
+
+    /** New run started or a saved one resumed. `{ mode, seed, dailyKey, difficulty, level, resumed }` */
+    RUN_STARTED: 'run:started',
+    /** Score, shots, level or wall count changed. `{}` */
+    STATE_CHANGED: 'state:changed',
+    /** After every gameplay step. `{ dt, tick }` */
+    STEP: 'sim:step',
+    /** Run ended; `completed` when a fixed-length (daily, puzzle, versus) run was cleared. `{ completed, mode, score, level }` */
+    GAME_OVER: 'game:over',
+    /** Time Attack countdown extended; `reason` is 'level', 'combo' or 'powerUp'. `{ amount, reason }` */
+    TIME_ADDED: 'time:added',
+
+    /* ── Shots ── */
+
+    /** Versus: the next player's turn (after the previous shot settled). `{ turn }` */
+    TURN_CHANGED: 'turn:changed',
+    /** Shot accepted, just before its impulse. `{ direction, magnitude, tick }` */
+    SHOT_FIRED: 'shot:fired',
+    /** Shot fully played out (balls at rest, combo settled). `{}` */
+    SHOT_SETTLED: 'shot:settled',
+    /** Last shot taken back; ball, walls, score and shots are as they were before it. `{}` */
+    SHOT_UNDONE: 'shot:undone',
+    /** Main ball hit a table cushion. `{}` */
+    CUSHION_HIT: 'cushion:hit',
+
+    /* ── Walls ── */
+
+    /** A ball (`ball` is its body) hit a wall; `blocked` when a robust wall absorbed the hit. `{ wall, position, blocked, ball }` */
+    WALL_HIT: 'wall:hit',
+    /** A wall broke (bomb victims arrive staggered). `{ wall, type, position, isPowerUp }` */
+    WALL_DESTROYED: 'wall:destroyed',
+    /** A wall's body left the physics world. `{ wall }` */
+    WALL_DETACHED: 'wall:detached',
+    /** Live wall count changed. `{ count }` */
+    WALLS_CHANGED: 'walls:changed',
+    /** A broken wall scored. `{ points, combo, position, type }` */
+    WALL_SCORED: 'wall:scored',
+    /** A power-up wall was destroyed; GameSimulation applies its effect. `{ type, position }` */
+    POWERUP_TRIGGERED: 'powerup:triggered',
+    /** A combo of 2+ settled; `reward` is the matching CONFIG.COMBO threshold or null. `{ combo, reward }` */
+    COMBO_FINALIZED: 'combo:finalized',
+
+    /* ── Levels ── */
+
+    /**
+     * All walls cleared; `nextLevel` is null when this ends the run, `levelShots` is what the
+     * level took (compared against a puzzle's par). `{ level, nextLevel, shotBonus, bonusShots, bonusTime, levelShots }`
+     */
+    LEVEL_COMPLETED: 'level:completed',
+    /** The next level's walls are in place (not sent for a run's first level, see RUN_STARTED). `{ level }` */
+    LEVEL_STARTED: 'level:started',
+
+    /* ── Progress ── */
+
+    /** First time an achievement's condition was met (see AchievementTracker). `{ id, achievement }` */
+    ACHIEVEMENT_UNLOCKED: 'achievement:unlocked',
+
+    /* ── Input & UI ── */
+
+    /** Player released an aim. `{ direction, magnitude }` */
+    SHOT_REQUESTED: 'input:shoot',
+    /** Aim power while dragging, 0–1, or null on release. `{ ratio }` */
+    AIM_POWER_CHANGED: 'input:aim-power',
+    /** Table tapped with the practice "place ball" tool armed. `{ x, z }` */
+    BALL_PLACE_REQUESTED: 'input:place-ball',
+    /** Pointer pressed on the table while the level editor is open. `{ x, z }` */
+    EDIT_POINTER_DOWN: 'input:edit-down',
+    /** Pointer dragged across the table after an EDIT_POINTER_DOWN. `{ x, z }` */
+    EDIT_POINTER_MOVE: 'input:edit-move',
+    /** Pointer released after an EDIT_POINTER_DOWN. `{}` */
+    EDIT_POINTER_UP: 'input:edit-up',
+    /** Home screen Play, Time Attack, Zen or Versus; `mode` is 'classic', 'timeAttack', 'zen' or 'versus'. `{ mode }` */
+    HOME_PLAY: 'home:play',
+    /** Home screen Puzzles; `level` is the 1-based pack level to start on. `{ level }` */
+    HOME_PUZZLE: 'home:puzzle',
+    /** Home screen Editor. `{}` */
+    HOME_EDITOR: 'home:editor',
+    /** Home screen Online join; `room` is the code both players enter. `{ room }` */
+    HOME_ONLINE: 'home:online',
+    /** Home screen Trophies. `{}` */
+    HOME_TROPHIES: 'home:trophies',
+    /** Home screen Stats. `{}` */
+    HOME_STATS: 'home:stats',
+    /** Home screen All Scores; `difficulty` is the board to open on, or null. `{ mode, difficulty }` */
+    HOME_LEADERBOARD: 'home:leaderboard',
+    /** Home screen Daily. `{}` */
+    HOME_DAILY: 'home:daily',
+    /** Home screen Continue (saved run). `{}` */
+    HOME_CONTINUE: 'home:continue',
+    /** Replay file picked on the home screen. `{ text }` */
+    HOME_LOAD_REPLAY: 'home:load-replay',
+    /** Home screen data Export. `{}` */
+    HOME_EXPORT_DATA: 'home:export-data',
+    /** Save file picked on the home screen; `mode` is 'merge' or 'replace'. `{ text, mode }` */
+    HOME_IMPORT_DATA: 'home:import-data',
+    /** Sound switched on or off. `{ enabled }` */
+    SOUND_TOGGLED: 'settings:sound',
+    /** Another local profile was made active on the home screen. `{ id }` */
+    PROFILE_CHANGED: 'settings:profile'
+});
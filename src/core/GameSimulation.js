@@ -0,0 +1,873 @@
+import * as THREE from 'three';
+import * as CANNON from 'cannon';
+import { CONFIG } from '../config.js';
+import { PhysicsWorld } from '../physics/PhysicsWorld.js';
+import { Ball } from '../entities/Ball.js';
+import { Table } from '../entities/Table.js';
+import { WallManager } from '../entities/WallManager.js';
+import { createLevelRandom } from './SeededRandom.js';
+import { getDifficulty } from './Difficulty.js';
+import { assertValidConfig } from './ConfigValidation.js';
+import { GameClock } from './GameClock.js';
+import { EventBus } from './EventBus.js';
+import { GameEvents } from './GameEvents.js';
+
+/** Per-player run state; outside versus runs there is just one player. */
+function createPlayer(shots) {
+    return { score: 0, shotsRemaining: shots, combo: 0, bestCombo: 0 };
+}
+
+/**
+ * Renderer-free game core: physics world, table, balls, walls and every rule (scoring,
+ * combos, wall effects, power-ups, level progression, game over). Needs no DOM, so it
+ * runs under PoolGame in the browser or on its own in Node:
+ *
+ *   const sim = new GameSimulation();
+ *   sim.startRun('classic', 42);
+ *   sim.shoot({ x: 0, z: -1 }, 30);
+ *   sim.runUntilSettled();
+ *   sim.getState(); // { level, score, shotsRemaining, walls, ... }
+ *
+ * Meshes still live in a THREE.Scene (plain scene graph, never rendered headless).
+ * Everything that happens is emitted on `events` (see GameEvents), e.g.
+ * `sim.events.on(GameEvents.LEVEL_COMPLETED, ({ level }) => ...)`.
+ */
+export class GameSimulation {
+    /**
+     * @param {Object} [options]
+     * @param {THREE.Scene} [options.scene] - Where entity meshes go (the browser passes its rendered scene)
+     * @param {boolean} [options.fixedTimestep] - Deterministic stepping for runs that aren't
+     *   recorded (recorded runs always step deterministically so they can be replayed)
+     * @param {EventBus} [options.events] - Bus to emit on (the browser shares one with its UI)
+     */
+    constructor({
+        scene = new THREE.Scene(),
+        fixedTimestep = CONFIG.PHYSICS.FIXED_TIMESTEP,
+        events = new EventBus(GameEvents)
+    } = {}) {
+        assertValidConfig();
+
+        // Run state
+        this.mode = 'classic'; // 'classic' | 'daily' | 'timeAttack' | 'zen' | 'puzzle' | 'versus'
+        this.dailyKey = null;
+        this.levels = null; // parsed level files a puzzle run plays in order, null otherwise
+        this.seed = 0;
+        this.difficulty = getDifficulty(); // preset the run plays with (see Difficulty.js)
+        this.level = 1;
+        // score, shotsRemaining and combo read and write players[turn] (see Players below)
+        this.players = [createPlayer(this.difficulty.baseShots)];
+        this.turn = 0;
+        this.comboTimer = null;
+        this.shotsFired = 0;
+        this.levelStartShots = 0; // shotsFired when the current level's walls went up
+        this.timeRemaining = null; // ms left in a Time Attack run, null in other modes
+        this.shotInProgress = false; // true from shoot until everything has settled
+        this.tick = 0; // physics steps since the run started
+        this.runShots = []; // [tick, dirX, dirZ, magnitude] per shot, null when not replayable
+        this.scriptedShots = null; // { shots, next } while replaying recorded shots
+        this.undoEnabled = false; // opted in at run start
+        this.undoState = null; // pre-shot state of the last shot, while it can be undone
+        this.usedUndo = false; // an undone run is unranked
+        this.ballSettledTime = 0;
+        this.isGameOver = false;
+        this.levelTransitioning = false;
+        this.pendingStickyStop = false;
+
+        this.events = events;
+
+        // Game clock: all gameplay timers run on it, so they stop while paused
+        this.clock = new GameClock();
+
+        this.scene = scene;
+        this.fixedTimestep = fixedTimestep;
+        this.physics = new PhysicsWorld({ fixedTimestep });
+
+        // Entities
+        this.table = new Table(this.scene, this.physics);
+        this.ball = new Ball(this.scene, this.physics);
+
+        // Ball–table contact material
+        this.ballTableContact = new CANNON.ContactMaterial(
+            this.ball.body.material, this.table.physicsMaterial,
+            { friction: CONFIG.PHYSICS.BALL_TABLE_FRICTION, restitution: CONFIG.PHYSICS.BALL_TABLE_RESTITUTION }
+        );
+        this.physics.addContactMaterial(this.ballTableContact);
+        this.table.createBoundaryWalls(this.physics, this.ball.body.material);
+
+        // Extra balls (from multi-ball power-up)
+        this.extraBalls = [];
+        this.nextExtraBallId = 1; // 0 is the main ball in shot recordings
+
+        // Walls (the rules subscribe first, so scores are in before presentation listeners run)
+        this.wallManager = new WallManager(this.scene, this.physics, this.clock, events);
+        events.on(GameEvents.WALL_DESTROYED, ({ type, isPowerUp, position }) => this.scoreWall(type, isPowerUp, position));
+        events.on(GameEvents.WALLS_CHANGED, () => this._changed());
+        events.on(GameEvents.POWERUP_TRIGGERED, ({ type, position }) => this.handlePowerUp(type, position));
+
+        // Ball collision → wall removal queue + velocity effects
+        this.ball.body.addEventListener('collide', (event) => {
+            this.wallManager.queueRemoval(event.body, this.ball.body.position.clone(), this.ball.body);
+            if (event.body.wallType) this.applyWallEffect(event.body.wallType, this.ball.body);
+            if (event.body.isCushion) events.emit(GameEvents.CUSHION_HIT);
+        });
+    }
+
+    /* ── Run Lifecycle ── */
+
+    /**
+     * Start a new run at level 1. The seed plus level number fully determines each wall layout.
+     * @param {string} mode - 'classic' (endless), 'daily' (fixed length, no shot carry-over),
+     *   'timeAttack' (unlimited shots against a countdown), 'zen' (practice, see isPractice)
+     *   'puzzle' (handcrafted levels, see options.levels) or 'versus' (two players alternate
+     *   shots on one layout, see isVersus)
+     * @param {number} seed - Run seed
+     * @param {string|null} [dailyKey] - Date of a daily run
+     * @param {Object} [options]
+     * @param {boolean} [options.undo] - Allow undo() of the last shot (a run that uses it is unranked)
+     * @param {Object[]} [options.levels] - Puzzle runs: parsed level files (see LevelFile.js), played in order
+     * @param {number} [options.level] - Puzzle runs: level to start on (1-based)
+     * @param {string} [options.difficulty] - Preset key (see Difficulty.js); daily and puzzle runs
+     *   always play the default
+     */
+    startRun(mode, seed, dailyKey = null, { undo = false, levels = null, level = 1, difficulty } = {}) {
+        this._resetRun(mode, seed, dailyKey, difficulty);
+        this.undoEnabled = undo;
+        if (this.isPuzzle) {
+            this.levels = levels;
+            this.level = Math.max(1, Math.min(levels.length, level));
+        }
+        this.createLevelWalls();
+        this.events.emit(GameEvents.RUN_STARTED, {
+            mode, seed: this.seed, dailyKey, difficulty: this.difficulty.key, level: this.level, resumed: false
+        });
+        this._changed();
+    }
+
+    /** Resume from a snapshot() taken between shots. */
+    restoreRun(snapshot) {
+        this._resetRun(snapshot.mode, snapshot.seed, snapshot.dailyKey, snapshot.difficulty);
+        this.level = snapshot.level;
+        if (snapshot.players) {
+            this.players = snapshot.players.map(player => ({ ...player }));
+            this.turn = snapshot.turn;
+        } else {
+            this.score = snapshot.score;
+            this.shotsRemaining = snapshot.shotsRemaining;
+        }
+        this.shotsFired = snapshot.shotsFired;
+        this.undoEnabled = snapshot.undoEnabled ?? false;
+        this.usedUndo = snapshot.usedUndo ?? false;
+        if (this.isTimed) this.timeRemaining = snapshot.timeRemaining ?? this.timeRemaining;
+        this.ball.setPosition(snapshot.ball.x, snapshot.ball.z);
+        this.wallManager.restoreWalls(snapshot.walls, this.ball.body.material);
+        // The snapshot doesn't carry the exact physics state, so a resumed run can't be re-simulated
+        this.runShots = null;
+        this.events.emit(GameEvents.RUN_STARTED, {
+            mode: this.mode, seed: this.seed, dailyKey: this.dailyKey, difficulty: this.difficulty.key, level: this.level, resumed: true
+        });
+        this._changed();
+    }
+
+    /** Serializable state of a settled run (see restoreRun). */
+    snapshot() {
+        return {
+            mode: this.mode,
+            seed: this.seed,
+            dailyKey: this.dailyKey,
+            difficulty: this.difficulty.key,
+            level: this.level,
+            score: this.score,
+            shotsRemaining: this.shotsRemaining,
+            players: this.players.map(player => ({ ...player })),
+            turn: this.turn,
+            shotsFired: this.shotsFired,
+            timeRemaining: this.timeRemaining,
+            undoEnabled: this.undoEnabled,
+            usedUndo: this.usedUndo,
+            ball: { x: this.ball.body.position.x, z: this.ball.body.position.z },
+            walls: this.wallManager.serialize()
+        };
+    }
+
+    /**
+     * Pick up CONFIG edits made while running (the debug panel): physics values baked into the
+     * world, bodies and contact materials, and the run's difficulty (its spawn tiers and combo
+     * rewards are resolved from CONFIG). Everything else is read from CONFIG as it's used.
+     */
+    applyTuning() {
+        this.physics.applyTuning();
+        this.ball.applyTuning();
+        for (const { ball } of this.extraBalls) ball.applyTuning();
+        this.ballTableContact.friction = CONFIG.PHYSICS.BALL_TABLE_FRICTION;
+        this.ballTableContact.restitution = CONFIG.PHYSICS.BALL_TABLE_RESTITUTION;
+        this.table.applyTuning();
+        this.difficulty = getDifficulty(this.difficulty.key);
+        this.wallManager.difficulty = this.difficulty;
+    }
+
+    /** Stop everything and empty the table (no run in progress). */
+    clear() {
+        this.clock.reset();
+        this.comboTimer = null;
+        this.scriptedShots = null;
+        this.undoState = null;
+        this.physics.timeScale = 1;
+        this.clearExtraBalls();
+        this.wallManager.clearAll();
+        this.ball.reset();
+    }
+
+    _resetRun(mode, seed, dailyKey, difficulty = CONFIG.DIFFICULTY.DEFAULT) {
+        this.mode = mode;
+        this.seed = seed >>> 0;
+        this.dailyKey = dailyKey;
+        this.levels = null;
+        // Daily layouts are the same for everyone and puzzles bring their own budgets
+        const shared = mode === 'daily' || this.isPuzzle;
+        this.difficulty = getDifficulty(shared ? CONFIG.DIFFICULTY.DEFAULT : difficulty);
+        this.wallManager.difficulty = this.difficulty;
+        // A versus run is one shared layout
+        this.level = this.isVersus ? CONFIG.VERSUS.LEVEL : 1;
+        const shots = this.isVersus ? CONFIG.VERSUS.SHOTS : this.difficulty.baseShots;
+        this.players = Array.from({ length: this.isVersus ? 2 : 1 }, () => createPlayer(shots));
+        this.turn = 0;
+        this.comboTimer = null;
+        this.shotsFired = 0;
+        this.levelStartShots = 0;
+        this.timeRemaining = this.isTimed ? CONFIG.TIME_ATTACK.DURATION : null;
+        this.shotInProgress = false;
+        this.tick = 0;
+        // Practice tools move the ball and walls outside of shots, so zen runs can't be replayed;
+        // replay files only carry a seed, not puzzle layouts
+        this.runShots = this.isPractice || this.isPuzzle ? null : [];
+        // Recorded runs step deterministically so a replay re-simulates them exactly
+        this.physics.setFixedTimestep(this.runShots !== null || this.fixedTimestep);
+        this.scriptedShots = null;
+        this.undoEnabled = false;
+        this.undoState = null;
+        this.usedUndo = false;
+        this.ballSettledTime = 0;
+        this.clock.reset();
+        this.physics.timeScale = 1;
+        this.isGameOver = false;
+        this.levelTransitioning = false;
+        this.pendingStickyStop = false;
+        this.ball.reset();
+        this.clearExtraBalls();
+    }
+
+    /**
+     * Build the current level's walls from the run seed, or lay out the current puzzle
+     * (ball start and shot budget included). Undo can't reach back past a new level.
+     */
+    createLevelWalls() {
+        this.levelStartShots = this.shotsFired;
+        this.undoState = null;
+        const puzzle = this.currentPuzzle;
+        if (puzzle) {
+            this.ball.setPosition(puzzle.ball.x, puzzle.ball.z);
+            this.shotsRemaining = puzzle.shots;
+            this.wallManager.createWalls(this.level, this.ball.body.material, this.ball.body.position, puzzle);
+            return;
+        }
+        const random = createLevelRandom(this.seed, this.level);
+        this.wallManager.createWalls(this.level, this.ball.body.material, this.ball.body.position, random);
+    }
+
+    /** Level file being played in a puzzle run, or null. */
+    get currentPuzzle() {
+        return this.levels ? this.levels[this.level - 1] : null;
+    }
+
+    /* ── Shots ── */
+
+    /** Time Attack run: no shot budget, the countdown ends it. */
+    get isTimed() {
+        return this.mode === 'timeAttack';
+    }
+
+    /** Zen run: unlimited shots, no score, never ends; the sandbox tools below only work here. */
+    get isPractice() {
+        return this.mode === 'zen';
+    }
+
+    /** Puzzle run: handcrafted levels, each with its own ball start, shot budget and par. */
+    get isPuzzle() {
+        return this.mode === 'puzzle';
+    }
+
+    /** Versus run: two players take turns on one layout; clearing it or both running out of shots ends it. */
+    get isVersus() {
+        return this.mode === 'versus';
+    }
+
+    /** Shots are limited (and running out ends the run). */
+    get hasShotBudget() {
+        return !this.isTimed && !this.isPractice;
+    }
+
+    canShoot() {
+        if (this.isGameOver || (this.hasShotBudget && this.shotsRemaining <= 0)) return false;
+        // Taking turns: the table passes to the next player only once the shot has played out
+        return this.players.length === 1 || !this.shotInProgress;
+    }
+
+    /**
+     * Take a shot with the main ball.
+     * @param {{x: number, z: number}} direction - Unit vector on the table plane
+     * @param {number} magnitude - Impulse strength (capped by the input at CONFIG.AIMING.MAX_IMPULSE)
+     * @returns {boolean} false when no shot is available
+     */
+    shoot(direction, magnitude) {
+        if (!this.canShoot()) return false;
+        if (this.undoEnabled) this.undoState = this.snapshot();
+        if (this.hasShotBudget) this.shotsRemaining--;
+        this.shotsFired++;
+        this.shotInProgress = true;
+        if (this.runShots) this.runShots.push([this.tick, direction.x, direction.z, magnitude]);
+        this.ballSettledTime = 0;
+        this.combo = 0;
+        this.clock.clearTimeout(this.comboTimer);
+        this.comboTimer = null;
+        this.events.emit(GameEvents.SHOT_FIRED, { direction, magnitude, tick: this.tick });
+        this.ball.applyImpulse(direction, magnitude);
+        this._changed();
+        // Game-over check is deferred to stepGameplay() so the last shot plays out
+        // and power-ups (extra shots) can still save the player.
+        return true;
+    }
+
+    /**
+     * Replay recorded shots (`[tick, dirX, dirZ, magnitude]`, see runShots) on the ticks they
+     * were taken. Once they run out and the last one has settled, the run ends.
+     */
+    playShots(shots) {
+        this.scriptedShots = { shots, next: 0 };
+        this._feedScriptedShots();
+    }
+
+    /** Recorded shots still to be fired, or 0. */
+    get scriptedShotsLeft() {
+        return this.scriptedShots ? this.scriptedShots.shots.length - this.scriptedShots.next : 0;
+    }
+
+    _feedScriptedShots() {
+        const scripted = this.scriptedShots;
+        if (!scripted || this.isGameOver) return;
+        const shots = scripted.shots;
+        while (scripted.next < shots.length && shots[scripted.next][0] <= this.tick) {
+            const [, x, z, magnitude] = shots[scripted.next++];
+            this.shoot({ x, z }, magnitude);
+        }
+    }
+
+    /** The last shot can be taken back (see undo). */
+    get canUndo() {
+        return this.undoState !== null && !this.isGameOver && !this.levelTransitioning;
+    }
+
+    /**
+     * Put everything back as it was just before the last shot: ball, walls (rebuilt with
+     * fresh bodies and contact materials, robust walls keep their hitsRemaining), every
+     * player's score, combo and shots, whose turn it is, and time. One step only; the run becomes unranked and unreplayable.
+     * @returns {boolean} false when there is nothing to undo
+     */
+    undo() {
+        if (!this.canUndo) return false;
+        const state = this.undoState;
+        this.undoState = null;
+        this.usedUndo = true;
+        this.runShots = null;
+
+        this.clock.clearTimeout(this.comboTimer);
+        this.comboTimer = null;
+        this.pendingStickyStop = false;
+        this.shotInProgress = false;
+        this.ballSettledTime = 0;
+        this.clearExtraBalls();
+
+        this.level = state.level;
+        this.players = state.players.map(player => ({ ...player }));
+        this.turn = state.turn;
+        this.shotsFired = state.shotsFired;
+        this.timeRemaining = state.timeRemaining;
+        this.ball.stop();
+        this.ball.setPosition(state.ball.x, state.ball.z);
+        this.wallManager.restoreWalls(state.walls, this.ball.body.material);
+
+        this.events.emit(GameEvents.SHOT_UNDONE);
+        this._changed();
+        return true;
+    }
+
+    /** Nothing left to play out: ready for the next shot, or the run is over. */
+    get isSettled() {
+        return this.isGameOver
+            || (!this.shotInProgress && !this.levelTransitioning && this.canShoot());
+    }
+
+    /* ── Stepping ── */
+
+    /**
+     * Advance by real elapsed time (browser render loop).
+     * @param {number} frameDelta - Unpaused time since the last update (seconds)
+     */
+    update(frameDelta) {
+        this.physics.update(frameDelta, this.ball.body.velocity, (dt) => this.stepGameplay(dt));
+    }
+
+    /** Advance `count` fixed steps, as fast as possible (headless). */
+    step(count = 1) {
+        const dt = CONFIG.PHYSICS.FIXED_DT;
+        for (let i = 0; i < count; i++) {
+            this.physics.step(dt);
+            this.stepGameplay(dt);
+        }
+    }
+
+    /**
+     * Step until isSettled (headless).
+     * @param {number} [maxTicks] - Give up after this many steps (default: 2 minutes of game time)
+     * @returns {number} Steps taken
+     */
+    runUntilSettled(maxTicks = 120 / CONFIG.PHYSICS.FIXED_DT) {
+        let ticks = 0;
+        while (!this.isSettled && ticks < maxTicks) {
+            this.step();
+            ticks++;
+        }
+        return ticks;
+    }
+
+    /**
+     * Gameplay tick, run after every physics substep: applies queued wall removals,
+     * advances the game clock (combo, level and bomb timers), counts Time Attack down
+     * and checks level end.
+     * @param {number} dt - Substep length (seconds)
+     */
+    stepGameplay(dt) {
+        this.tick++;
+        this.wallManager.processRemovals();
+        this.clock.advance(dt * 1000);
+        if (this.pendingStickyStop) {
+            this.ball.stop();
+            this.pendingStickyStop = false;
+        }
+        this.ball.clampToTable();
+        this.updateExtraBalls();
+        this.events.emit(GameEvents.STEP, { dt, tick: this.tick });
+
+        // Time Attack countdown: stops with the clock and while the next level builds
+        if (this.isTimed && !this.isGameOver && !this.levelTransitioning && !this.clock.paused) {
+            this.timeRemaining -= dt * 1000;
+            if (this.timeRemaining <= 0) {
+                this.timeRemaining = 0;
+                this.gameOver();
+            }
+        }
+
+        // Deferred next-level: wait for ball + extra balls to settle after clearing all walls
+        if (!this.isGameOver && !this.levelTransitioning
+            && this.wallManager.count === 0
+            && this.extraBalls.length === 0) {
+            if (this.isBallAtRest()) {
+                this.nextLevel();
+            }
+        }
+
+        // Shot played out (balls at rest, combo settled)
+        if (this.shotInProgress && !this.isGameOver && !this.levelTransitioning
+            && this.wallManager.count > 0
+            && this.extraBalls.length === 0
+            && this.comboTimer === null
+            && this.isBallAtRest()) {
+            this.shotInProgress = false;
+            this.events.emit(GameEvents.SHOT_SETTLED);
+            if (this.players.length > 1) this._nextTurn();
+        }
+
+        // Deferred game-over: wait for ball + extra balls to settle
+        if (!this.isGameOver && this.hasShotBudget && this.players.every(player => player.shotsRemaining <= 0)
+            && this.wallManager.count > 0
+            && this.extraBalls.length === 0) {
+            if (this.isBallAtRest()) {
+                this.ballSettledTime += dt;
+                if (this.ballSettledTime >= CONFIG.PHYSICS.BALL_SLEEP_TIME_LIMIT) {
+                    this.gameOver();
+                }
+            } else {
+                this.ballSettledTime = 0;
+            }
+        }
+
+        // Replaying: shots taken right after this step, or the end of a recording that
+        // stopped short of a game over (e.g. it diverged under different settings)
+        if (this.scriptedShots) {
+            this._feedScriptedShots();
+            if (!this.isGameOver && !this.shotInProgress && !this.levelTransitioning
+                && this.scriptedShotsLeft === 0) {
+                this.gameOver();
+            }
+        }
+    }
+
+    /** Main ball slower than the sleep speed limit on the table plane. */
+    isBallAtRest() {
+        const vel = this.ball.body.velocity;
+        const speedSq = vel.x * vel.x + vel.z * vel.z;
+        const limit = CONFIG.PHYSICS.BALL_SLEEP_SPEED_LIMIT;
+        return speedSq < limit * limit;
+    }
+
+    /* ── Rules ── */
+
+    nextLevel() {
+        this.levelTransitioning = true;
+        this.shotInProgress = false;
+        // Bonus points for unused shots (Time Attack has no budget, it gets time instead;
+        // in versus they'd only reward whoever happened to clear the table)
+        const timed = this.isTimed;
+        const remaining = this.hasShotBudget && !this.isVersus ? this.shotsRemaining : 0;
+        const shotBonus = remaining * 10;
+        if (shotBonus > 0) {
+            this.score += shotBonus;
+        }
+
+        this.ball.stop();
+        this.clearExtraBalls();
+
+        // Daily runs end after a fixed number of levels, puzzle runs with their last level,
+        // versus runs with their only one
+        const isDaily = this.mode === 'daily';
+        const levelShots = this.shotsFired - this.levelStartShots;
+        const lastLevel = isDaily ? CONFIG.DAILY.LEVELS
+            : this.levels ? this.levels.length
+            : this.isVersus ? this.level : Infinity;
+        if (this.level >= lastLevel) {
+            this._changed();
+            this.events.emit(GameEvents.LEVEL_COMPLETED, {
+                level: this.level, nextLevel: null, shotBonus, bonusShots: 0, bonusTime: 0, levelShots
+            });
+            this.gameOver(true);
+            return;
+        }
+
+        // Practice stays on the chosen level with a fresh layout
+        const clearedLevel = this.level;
+        if (this.isPractice) this.seed = (this.seed + 1) >>> 0;
+        else this.level++;
+
+        // Daily levels start from a fresh shot budget (no carry-over), puzzles bring their own
+        const carriesShots = this.mode === 'classic';
+        let bonusTime = 0;
+        if (timed) {
+            bonusTime = CONFIG.TIME_ATTACK.LEVEL_BONUS;
+            this.addTime(bonusTime, 'level');
+        } else if (this.hasShotBudget && !this.isPuzzle) {
+            const { baseShots } = this.difficulty;
+            this.shotsRemaining = carriesShots ? this.shotsRemaining + baseShots : baseShots;
+        }
+        this.events.emit(GameEvents.LEVEL_COMPLETED, {
+            level: clearedLevel, nextLevel: this.level, shotBonus, bonusShots: carriesShots ? remaining : 0, bonusTime, levelShots
+        });
+
+        this.clock.setTimeout(() => {
+            // Layout depends on ball position, so daily levels always start centered
+            if (isDaily) this.ball.reset();
+            this.createLevelWalls();
+            this.levelTransitioning = false;
+            this._changed();
+            this.events.emit(GameEvents.LEVEL_STARTED, { level: this.level });
+        }, CONFIG.EFFECTS.NEXT_LEVEL_DELAY);
+    }
+
+    /** @param {boolean} [completed] - true when a fixed-length run (daily, puzzle, versus) was cleared */
+    gameOver(completed = false) {
+        this.isGameOver = true;
+        this.ball.stop();
+        this.clearExtraBalls();
+        this.clock.clearTimeout(this.comboTimer);
+        this.physics.timeScale = 1;
+        this.events.emit(GameEvents.GAME_OVER, {
+            completed, mode: this.mode, score: this.score, level: this.level
+        });
+    }
+
+    handlePowerUp(type, position) {
+        switch (type) {
+            case 'extraShot':
+                this.awardShots(CONFIG.POWERUPS[type].shots, 'powerUp');
+                this._changed();
+                break;
+            case 'multiBall':
+                this.spawnExtraBalls(position);
+                break;
+            // bomb chain reaction is handled internally by WallManager
+        }
+    }
+
+    applyWallEffect(wallType, ballBody) {
+        switch (wallType) {
+            case 'sticky':
+                this.pendingStickyStop = true;
+                break;
+            case 'lowBounce':
+                ballBody.velocity.x *= 0.25;
+                ballBody.velocity.z *= 0.25;
+                break;
+            case 'extraBounce':
+                ballBody.velocity.x *= 1.25;
+                ballBody.velocity.z *= 1.25;
+                break;
+        }
+    }
+
+    scoreWall(type, isPowerUp, position) {
+        if (isPowerUp) return; // power-up walls don't give points
+
+        // Practice counts combos but keeps no score
+        const basePoints = CONFIG.SCORING.POINTS[type] || 0;
+        if (basePoints === 0) return;
+        const points = this.isPractice ? 0 : basePoints;
+
+        // Award base points immediately
+        this.score += points;
+        this.combo++;
+        this._changed();
+        this.events.emit(GameEvents.WALL_SCORED, { points, combo: this.combo, position, type });
+
+        // Restart combo settle timer
+        this.clock.clearTimeout(this.comboTimer);
+        this.comboTimer = this.clock.setTimeout(() => this.finalizeCombo(), CONFIG.COMBO.SETTLE_DELAY);
+    }
+
+    finalizeCombo() {
+        this.comboTimer = null;
+        if (this.combo < 2) {
+            this.combo = 0;
+            return;
+        }
+        this.player.bestCombo = Math.max(this.player.bestCombo, this.combo);
+
+        // Find highest matching threshold (practice earns no rewards)
+        const thresholds = this.isPractice ? [] : this.difficulty.comboThresholds;
+        let reward = null;
+        for (let i = thresholds.length - 1; i >= 0; i--) {
+            if (this.combo >= thresholds[i].min) {
+                reward = thresholds[i];
+                break;
+            }
+        }
+
+        if (reward) {
+            this.score += reward.points;
+            this.awardShots(reward.shots, 'combo');
+            this._changed();
+        }
+        this.events.emit(GameEvents.COMBO_FINALIZED, { combo: this.combo, reward });
+
+        this.combo = 0;
+    }
+
+    /** Grant the active player bonus shots, paid as CONFIG.TIME_ATTACK.TIME_PER_SHOT each in Time Attack. */
+    awardShots(shots, reason) {
+        if (shots <= 0) return;
+        if (this.isTimed) this.addTime(shots * CONFIG.TIME_ATTACK.TIME_PER_SHOT, reason);
+        else if (this.hasShotBudget) this.shotsRemaining += shots;
+    }
+
+    /** Extend the Time Attack countdown. @param {string} reason - 'level' | 'combo' | 'powerUp' */
+    addTime(ms, reason) {
+        this.timeRemaining += ms;
+        this.events.emit(GameEvents.TIME_ADDED, { amount: ms, reason });
+    }
+
+    /* ── Players ── */
+
+    /** Player whose shot it is (the only one outside versus). */
+    get player() { return this.players[this.turn]; }
+
+    get score() { return this.player.score; }
+    set score(value) { this.player.score = value; }
+
+    get shotsRemaining() { return this.player.shotsRemaining; }
+    set shotsRemaining(value) { this.player.shotsRemaining = value; }
+
+    get combo() { return this.player.combo; }
+    set combo(value) { this.player.combo = value; }
+
+    /** Hand the table to the next player who still has shots (the same one if nobody else does). */
+    _nextTurn() {
+        for (let i = 1; i <= this.players.length; i++) {
+            const next = (this.turn + i) % this.players.length;
+            if (this.players[next].shotsRemaining > 0) {
+                if (next !== this.turn) {
+                    this.turn = next;
+                    this.events.emit(GameEvents.TURN_CHANGED, { turn: next });
+                    this._changed();
+                }
+                return;
+            }
+        }
+    }
+
+    /* ── Practice Sandbox ── */
+
+    /**
+     * Switch a zen run to another level's wall count and spawn table (CONFIG.WALL_SPAWN_RATES).
+     * @returns {boolean} false outside practice or while the next layout is on its way
+     */
+    setPracticeLevel(level) {
+        if (!this.isPractice || this.levelTransitioning) return false;
+        this.level = Math.max(1, Math.min(CONFIG.PRACTICE.MAX_LEVEL, Math.round(level)));
+        return this.regenerateWalls();
+    }
+
+    /**
+     * Replace a zen run's walls with a fresh layout for the current level.
+     * @returns {boolean} false outside practice or while the next layout is on its way
+     */
+    regenerateWalls() {
+        if (!this.isPractice || this.levelTransitioning) return false;
+        this._settleForSandbox();
+        this.seed = (this.seed + 1) >>> 0;
+        this.createLevelWalls();
+        this._changed();
+        return true;
+    }
+
+    /**
+     * Put the main ball, at rest, at a point on the table (zen runs only).
+     * @returns {boolean} false outside practice or off the table
+     */
+    placeBall(x, z) {
+        if (!this.isPractice || this.levelTransitioning) return false;
+        const { TABLE_WIDTH, TABLE_DEPTH, BOUNDARY_WALL_THICKNESS, BALL_RADIUS } = CONFIG.DIMENSIONS;
+        const margin = BOUNDARY_WALL_THICKNESS + BALL_RADIUS; // clear of the cushions
+        if (Math.abs(x) > TABLE_WIDTH / 2 - margin || Math.abs(z) > TABLE_DEPTH / 2 - margin) return false;
+        this._settleForSandbox();
+        this.ball.setPosition(x, z);
+        this._changed();
+        return true;
+    }
+
+    /** End the current shot on the spot so a sandbox tool starts from a still table. */
+    _settleForSandbox() {
+        this.ball.stop();
+        this.clearExtraBalls();
+        this.wallManager.processRemovals();
+        this.clock.clearTimeout(this.comboTimer);
+        this.comboTimer = null;
+        this.combo = 0;
+        this.pendingStickyStop = false;
+        if (this.shotInProgress) {
+            this.shotInProgress = false;
+            this.events.emit(GameEvents.SHOT_SETTLED);
+        }
+    }
+
+    /* ── Multi-ball ── */
+
+    spawnExtraBalls(position) {
+        const mainVel = this.ball.body.velocity;
+        const speed = Math.sqrt(mainVel.x * mainVel.x + mainVel.z * mainVel.z)
+            * CONFIG.MULTI_BALL.IMPULSE_FACTOR;
+        const baseAngle = Math.atan2(mainVel.z, mainVel.x);
+        const spread = CONFIG.MULTI_BALL.SPREAD_ANGLE;
+        const count = CONFIG.POWERUPS.multiBall.count;
+
+        for (let i = 0; i < count; i++) {
+            const angle = baseAngle + spread * (i / (count - 1) - 0.5);
+            const extraBall = new Ball(this.scene, this.physics, this.ball.body.material);
+
+            extraBall.setPosition(position.x, position.z);
+
+            const impulseSpeed = Math.max(speed, 3); // minimum speed so they move
+            extraBall.body.velocity.set(
+                Math.cos(angle) * impulseSpeed,
+                0,
+                Math.sin(angle) * impulseSpeed
+            );
+
+            extraBall.body.addEventListener('collide', (event) => {
+                this.wallManager.queueRemoval(event.body, extraBall.body.position.clone(), extraBall.body);
+                if (event.body.wallType) this.applyWallEffect(event.body.wallType, extraBall.body);
+            });
+
+            this.extraBalls.push({ ball: extraBall, spawnTime: this.clock.now, id: this.nextExtraBallId++ });
+        }
+    }
+
+    /** Expire stopped or timed-out extra balls and keep the rest on the table. */
+    updateExtraBalls() {
+        const now = this.clock.now;
+        for (let i = this.extraBalls.length - 1; i >= 0; i--) {
+            const eb = this.extraBalls[i];
+            const expired = now - eb.spawnTime > CONFIG.MULTI_BALL.TIMEOUT;
+            const vel = eb.ball.body.velocity;
+            const speedSq = vel.x * vel.x + vel.z * vel.z;
+            const limit = CONFIG.PHYSICS.BALL_SLEEP_SPEED_LIMIT;
+            const stopped = speedSq < limit * limit;
+
+            if (expired || stopped) {
+                this._removeExtraBall(eb);
+                this.extraBalls.splice(i, 1);
+            } else {
+                eb.ball.clampToTable();
+            }
+        }
+    }
+
+    clearExtraBalls() {
+        for (const eb of this.extraBalls) this._removeExtraBall(eb);
+        this.extraBalls = [];
+    }
+
+    _removeExtraBall(eb) {
+        this.physics.removeBody(eb.ball.body);
+        this.scene.remove(eb.ball.mesh);
+        eb.ball.mesh.geometry.dispose();
+        eb.ball.mesh.material.dispose();
+    }
+
+    /* ── Queries ── */
+
+    /** Main ball (id 0) and extra ball positions, as `[id, x, z]`. */
+    getBallSamples() {
+        const pos = this.ball.body.position;
+        const samples = [[0, pos.x, pos.z]];
+        for (const eb of this.extraBalls) {
+            samples.push([eb.id, eb.ball.body.position.x, eb.ball.body.position.z]);
+        }
+        return samples;
+    }
+
+    /** Plain snapshot of the run for tests, tools and the HUD. */
+    getState() {
+        return {
+            mode: this.mode,
+            seed: this.seed,
+            difficulty: this.difficulty.key,
+            level: this.level,
+            puzzleId: this.currentPuzzle ? this.currentPuzzle.id : null,
+            score: this.score,
+            shotsRemaining: this.shotsRemaining,
+            players: this.players.map(player => ({ ...player })),
+            turn: this.turn,
+            shotsFired: this.shotsFired,
+            timeRemaining: this.timeRemaining,
+            walls: this.wallManager.count,
+            tick: this.tick,
+            ball: { x: this.ball.body.position.x, z: this.ball.body.position.z },
+            extraBalls: this.extraBalls.length,
+            shotInProgress: this.shotInProgress,
+            levelTransitioning: this.levelTransitioning,
+            isGameOver: this.isGameOver,
+            usedUndo: this.usedUndo
+        };
+    }
+
+    _changed() {
+        this.events.emit(GameEvents.STATE_CHANGED);
+    }
+}
@@ -3,45 +3,67 @@ import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
 import { EffectComposer } from 'three/addons/postprocessing/EffectComposer.js';
 import { RenderPass } from 'three/addons/postprocessing/RenderPass.js';
 import { UnrealBloomPass } from 'three/addons/postprocessing/UnrealBloomPass.js';
-import * as CANNON from 'cannon';
 import { CONFIG } from '../config.js';
-import { PhysicsWorld } from '../physics/PhysicsWorld.js';
-import { Ball } from '../entities/Ball.js';
-import { Table } from '../entities/Table.js';
-import { WallManager } from '../entities/WallManager.js';
 import { InputManager } from '../input/InputManager.js';
 import { ImpactEffects } from '../effects/ImpactEffects.js';
 import { FloatingText } from '../effects/FloatingText.js';
 import { HUD } from '../ui/HUD.js';
 import { GameOverScreen } from '../ui/GameOverScreen.js';
 import { HomeScreen } from '../ui/HomeScreen.js';
-import { StorageManager } from '../storage/StorageManager.js';
+import { PauseScreen } from '../ui/PauseScreen.js';
+import { TrophyScreen } from '../ui/TrophyScreen.js';
+import { StatsScreen } from '../ui/StatsScreen.js';
+import { LeaderboardScreen } from '../ui/LeaderboardScreen.js';
+import { ReplayControls } from '../ui/ReplayControls.js';
+import { PracticeToolbar } from '../ui/PracticeToolbar.js';
+import { EditorToolbar } from '../ui/EditorToolbar.js';
 import { AudioManager } from '../audio/AudioManager.js';
 import { ParticleSystem } from '../effects/ParticleSystem.js';
+import { createRandom, hashSeed, randomSeed } from './SeededRandom.js';
+import { getDailyKey, getDailySeed } from './DailyChallenge.js';
+import { GameSimulation } from './GameSimulation.js';
+import { EventBus } from './EventBus.js';
+import { GameEvents } from './GameEvents.js';
+import { AchievementTracker } from './AchievementTracker.js';
+import { StatsTracker, statRows } from './StatsTracker.js';
+import { ShotRecorder } from '../replay/ShotRecorder.js';
+import { InstantReplay } from '../replay/InstantReplay.js';
+import { createRunReplay, downloadRunReplay, getConfigHash, parseRunReplay } from '../replay/RunReplay.js';
+import { createSaveFile, downloadSaveFile, parseSaveFile } from '../storage/SaveFile.js';
+import { PUZZLE_PACK } from '../levels/PuzzlePack.js';
+import { downloadLevel, parseLevel } from '../levels/LevelFile.js';
+import { LevelEditor } from '../editor/LevelEditor.js';
+import { OnlineSession } from '../net/OnlineSession.js';
+
+/** Shown to both players when an online match is ended because the tables drifted apart. */
+const DESYNC_MESSAGE = 'The tables went out of sync';
 
 /**
- * Main game controller — orchestrates physics, rendering, input, and game state.
+ * Main game controller — presents a GameSimulation (rendering, effects, input, UI,
+ * audio, storage) and drives it from the render loop.
  * @class PoolGame
  */
 export class PoolGame {
-    constructor() {
-        // Game state
-        this.level = 1;
-        this.score = 0;
-        this.combo = 0;
-        this.comboTimer = null;
-        this.shotsRemaining = CONFIG.GAME.BASE_SHOTS;
-        this.ballSettledTime = 0;
-        this.isGameOver = false;
+    /** @param {StorageManager} storage - The opened save (see StorageManager.open) */
+    constructor(storage) {
+        // Presentation state (the run itself lives in this.sim)
+        this.playback = null; // { replay, speed } while watching a replay file
+        this.playTesting = false; // the run is the level editor's play test; leaving it reopens the editor
+        this.remoteShots = []; // online opponent's shots not yet fired ({ tick, direction, magnitude })
         this.isPlaying = false;
+        this.isPaused = false;
         this.isContextLost = false;
+        this.lastFrameTime = 0;
 
         // Effects state
         this.shakeIntensity = 0;
         this.slowMoUntil = 0;
         this.levelZoomStart = 0;
-        this.pendingStickyStop = false;
-        this.levelTransitioning = false;
+
+        // Instant replay: the last shot is recorded, big combos offer to replay it
+        this.recorder = new ShotRecorder();
+        this.replayOffered = false;
+        this.instantReplay = new InstantReplay();
 
         // Renderer
         this.scene = new THREE.Scene();
@@ -60,6 +82,7 @@ export class PoolGame {
 
         // Post-processing (skip on low-end devices)
         this.composer = null;
+        this.bloomPass = null;
         if (!this.deviceInfo.isLowEnd) {
             this.setupBloom();
         }
@@ -77,76 +100,43 @@ export class PoolGame {
         this.controls.minPolarAngle = 0;
         this.controls.maxPolarAngle = 0;
 
+        // Level editor (its own scene, seen through the game camera)
+        this.editor = new LevelEditor(this.camera);
+        this.editor.onChange = () => this.updateEditorToolbar();
+
         // Lighting
         this.setupLighting();
+        this.setupLighting(this.instantReplay.scene);
+        this.setupLighting(this.editor.scene);
 
-        // Physics
-        this.physics = new PhysicsWorld();
+        // Game-wide event bus: simulation, input and UI events (see GameEvents)
+        this.events = new EventBus(GameEvents);
 
-        // Entities (always present — table and ball visible behind home screen)
-        this.table = new Table(this.scene, this.physics);
-        this.ball = new Ball(this.scene, this.physics);
-
-        // Ball–table contact material
-        const ballTableContact = new CANNON.ContactMaterial(
-            this.ball.body.material, this.table.physicsMaterial,
-            { friction: CONFIG.PHYSICS.BALL_TABLE_FRICTION, restitution: CONFIG.PHYSICS.BALL_TABLE_RESTITUTION }
-        );
-        this.physics.addContactMaterial(ballTableContact);
-        this.table.createBoundaryWalls(this.physics, this.ball.body.material);
+        // Simulation: physics, table, balls, walls and rules (table and ball visible behind home screen)
+        this.sim = new GameSimulation({
+            scene: this.scene,
+            events: this.events
+        });
+        this.bindSimulation();
 
         // Effects
         this.effects = new ImpactEffects(this.scene);
         this.floatingText = new FloatingText(this.scene);
         this.particles = new ParticleSystem(this.scene);
 
-        // Extra balls (from multi-ball power-up)
-        this.extraBalls = [];
-
-        // Walls
-        this.wallManager = new WallManager(this.scene, this.physics);
-        this.wallManager.onWallRemoved = (pos, type, isPowerUp) => {
-            this.effects.spawn(pos);
-            const color = isPowerUp ? CONFIG.POWERUPS[type].color : CONFIG.WALL_BEHAVIORS[type].color;
-            this.effects.flash(pos, color);
-            if (type === 'bomb') {
-                this.particles.emit(pos, color, {
-                    count: CONFIG.PARTICLES.BOMB_COUNT,
-                    speedMax: CONFIG.PARTICLES.BOMB_SPEED_MAX
-                });
-            } else {
-                this.particles.emit(pos, color);
-            }
-            this.scoreWall(type, isPowerUp, pos);
-        };
-        this.wallManager.onAllCleared = () => this.nextLevel();
-        this.wallManager.onCountChanged = () => this.updateHUD();
-        this.wallManager.onPowerUp = (type, pos) => this.handlePowerUp(type, pos);
-        this.wallManager.onWallBlocked = (pos, type) => {
-            this.floatingText.spawn('blocked', pos, CONFIG.WALL_BEHAVIORS[type].color);
-            this.shakeIntensity = CONFIG.SHAKE.BASE_INTENSITY;
-            this.audio.play('wallBreak');
-        };
-
-        // Ball collision → wall removal queue + velocity effects + sound
-        this.ball.body.addEventListener('collide', (event) => {
-            this.wallManager.queueRemoval(event.body, this.ball.body.position.clone());
-            if (event.body.wallType) this.applyWallEffect(event.body.wallType, this.ball.body);
-            if (event.body.isCushion) this.audio.play('cushionBounce');
-        });
-
         // Input
-        this.input = new InputManager(this.camera, this.renderer, this.controls, this.scene);
-        this.input.canShoot = () => this.isPlaying && !this.isGameOver && this.shotsRemaining > 0;
-        this.input.getBallPosition = () => this.ball.mesh.position;
-        this.input.onShoot = (direction, magnitude) => this.onShoot(direction, magnitude);
+        this.input = new InputManager(this.camera, this.renderer, this.controls, this.scene, this.events);
+        this.input.canShoot = () => this.isPlaying && !this.isPaused && !this.instantReplay.active
+            && !this.playback && this.sim.canShoot() && !this.isOpponentTurn;
+        this.input.getBallPosition = () => this.sim.ball.mesh.position;
+        this.events.on(GameEvents.SHOT_REQUESTED, ({ direction, magnitude }) => this.sim.shoot(direction, magnitude));
         this._ballBaseColor = new THREE.Color(CONFIG.COLORS.BALL);
         this._ballAimColor = new THREE.Color(CONFIG.COLORS.BALL_AIM_MAX);
         this._ballTempColor = new THREE.Color();
         this._ballBaseEmissive = CONFIG.MATERIALS.BALL_EMISSIVE_INTENSITY;
         this._ballMaxEmissive = this._ballBaseEmissive * 1.8;
-        this.input.onAimPowerChange = (ratio) => {
-            const mat = this.ball.mesh.material;
+        this.events.on(GameEvents.AIM_POWER_CHANGED, ({ ratio }) => {
+            const mat = this.sim.ball.mesh.material;
             if (ratio === null) {
                 mat.color.copy(this._ballBaseColor);
                 mat.emissive.copy(this._ballBaseColor);
@@ -157,20 +147,133 @@ export class PoolGame {
                 mat.emissive.copy(this._ballTempColor);
                 mat.emissiveIntensity = this._ballBaseEmissive + (this._ballMaxEmissive - this._ballBaseEmissive) * ratio;
             }
-        };
+        });
 
-        // Storage
-        this.storage = new StorageManager();
+        // Storage (failed writes are reported on the home screen)
+        this.storage = storage;
+        this.storage.onError = (message) => this.homeScreen.showNotice(message);
+
+        // Achievements and stats only count live play (see countsProgress); unlocks are
+        // saved and toasted at once, stats are added to the lifetime totals shot by shot
+        this.achievements = new AchievementTracker(this.events, Object.keys(this.storage.getAchievements()));
+        this.achievements.canUnlock = () => this.countsProgress;
+        this.stats = new StatsTracker(this.events);
+        this.stats.canRecord = () => this.countsProgress;
+        this.events.on(GameEvents.ACHIEVEMENT_UNLOCKED, ({ id, achievement }) => {
+            this.storage.unlockAchievement(id);
+            this.hud.showAchievement(achievement);
+        });
 
         // Audio (initialized lazily on first user gesture)
         this.audio = new AudioManager();
 
         // UI
         this.hud = new HUD();
+        this.hud.onPause = () => this.pause();
+        this.hud.onReplay = () => this.startInstantReplay();
+        this.hud.onUndo = () => this.undoShot();
         this.gameOverScreen = new GameOverScreen();
-        this.homeScreen = new HomeScreen(this.storage);
-        this.homeScreen.onPlay = () => this.startGame();
-        this.homeScreen.onSoundToggle = (enabled) => { this.audio.enabled = enabled; };
+        this.pauseScreen = new PauseScreen();
+        this.pauseScreen.onResume = () => this.resume();
+        this.pauseScreen.onRestart = () => this.restartGame();
+        this.pauseScreen.onQuit = () => this.returnToHome();
+        this.trophyScreen = new TrophyScreen();
+        this.trophyScreen.onClose = () => {
+            this.trophyScreen.hide();
+            this.homeScreen.show();
+        };
+        this.statsScreen = new StatsScreen();
+        this.statsScreen.onClose = () => {
+            this.statsScreen.hide();
+            this.homeScreen.show();
+        };
+        this.leaderboardScreen = new LeaderboardScreen(this.storage);
+        this.leaderboardScreen.onClose = () => {
+            this.leaderboardScreen.hide();
+            this.homeScreen.show();
+        };
+        this.replayControls = new ReplayControls(CONFIG.REPLAY.SPEEDS);
+        this.replayControls.onTogglePlay = () => this.instantReplay.togglePlay();
+        this.replayControls.onSeek = (time) => {
+            this.instantReplay.playing = false;
+            this.instantReplay.seek(time);
+        };
+        this.replayControls.onSpeedChange = (speed) => { this.instantReplay.speed = speed; };
+        this.replayControls.onClose = () => this.stopInstantReplay();
+        this.runReplayControls = new ReplayControls(CONFIG.REPLAY.RUN_SPEEDS, { seekable: false });
+        this.runReplayControls.onTogglePlay = () => {
+            const physics = this.sim.physics;
+            physics.timeScale = physics.timeScale === 0 ? this.playback.speed : 0;
+        };
+        this.runReplayControls.onSpeedChange = (speed) => {
+            this.playback.speed = speed;
+            if (this.sim.physics.timeScale !== 0) this.sim.physics.timeScale = speed;
+        };
+        this.runReplayControls.onClose = () => this.returnToHome();
+        this.practiceToolbar = new PracticeToolbar();
+        this.practiceToolbar.onLevelChange = (level) => {
+            if (!this.sim.setPracticeLevel(level)) this.practiceToolbar.setLevel(this.sim.level);
+        };
+        this.practiceToolbar.onRegenerate = () => this.sim.regenerateWalls();
+        this.practiceToolbar.onPlaceToggle = (active) => {
+            this.input.cancelAim();
+            this.input.placingBall = active;
+        };
+        this.events.on(GameEvents.BALL_PLACE_REQUESTED, ({ x, z }) => {
+            if (!this.isPlaying || this.isPaused || this.instantReplay.active) return;
+            if (!this.sim.placeBall(x, z)) return;
+            this.input.placingBall = false;
+            this.practiceToolbar.setPlacing(false);
+        });
+        this.editorToolbar = new EditorToolbar();
+        this.editorToolbar.onNameChange = (name) => this.editor.setName(name);
+        this.editorToolbar.onShotsChange = (shots) => this.editor.setShots(shots);
+        this.editorToolbar.onParChange = (par) => this.editor.setPar(par);
+        this.editorToolbar.onToolChange = (tool) => this.editor.setTool(tool);
+        this.editorToolbar.onTypeChange = (type) => this.editor.setWallType(type);
+        this.editorToolbar.onRotate = (steps) => this.editor.rotateSelected(steps);
+        this.editorToolbar.onResize = (delta) => this.editor.resizeSelected(delta);
+        this.editorToolbar.onHitsChange = (hits) => this.editor.setSelectedHits(hits);
+        this.editorToolbar.onDelete = () => this.editor.deleteSelected();
+        this.editorToolbar.onPlayTest = () => this.playTestLevel();
+        this.editorToolbar.onImport = (text) => this.importLevel(text);
+        this.editorToolbar.onExport = () => this.exportLevel();
+        this.editorToolbar.onExit = () => this.exitEditor();
+        this.events.on(GameEvents.EDIT_POINTER_DOWN, ({ x, z }) => this.editor.pointerDown(x, z));
+        this.events.on(GameEvents.EDIT_POINTER_MOVE, ({ x, z }) => this.editor.pointerMove(x, z));
+        this.events.on(GameEvents.EDIT_POINTER_UP, () => this.editor.pointerUp());
+        this.online = new OnlineSession();
+        this.online.onWaiting = () => this.homeScreen.showNotice('Waiting for an opponent to join your room\u2026');
+        this.online.onStart = ({ seed }) => this.startOnlineMatch(seed);
+        this.online.onShot = (shot) => this.remoteShots.push(shot);
+        this.online.onOpponentLeft = () => this.endOnlineMatch('Your opponent left');
+        this.online.onDesync = () => this.endOnlineMatch(DESYNC_MESSAGE);
+        this.online.onError = (message) => this.endOnlineMatch(message);
+        this.homeScreen = new HomeScreen(this.storage, this.events);
+        if (this.storage.loadProblem) this.homeScreen.showNotice(this.storage.loadProblem);
+        this.events.on(GameEvents.HOME_PLAY, ({ mode }) => this.startGame({ mode }));
+        this.events.on(GameEvents.HOME_PUZZLE, ({ level }) => this.startGame({ mode: 'puzzle', level }));
+        this.events.on(GameEvents.HOME_EDITOR, () => this.openEditor());
+        this.events.on(GameEvents.HOME_ONLINE, ({ room }) => this.joinOnline(room));
+        this.events.on(GameEvents.HOME_TROPHIES, () => {
+            this.homeScreen.hide();
+            this.trophyScreen.show(this.storage.getAchievements());
+        });
+        this.events.on(GameEvents.HOME_STATS, () => {
+            this.homeScreen.hide();
+            this.statsScreen.show(this.storage.getLifetimeStats());
+        });
+        this.events.on(GameEvents.HOME_LEADERBOARD, (board) => {
+            this.homeScreen.hide();
+            this.leaderboardScreen.show(board);
+        });
+        this.events.on(GameEvents.HOME_DAILY, () => this.startDaily());
+        this.events.on(GameEvents.HOME_CONTINUE, () => this.continueRun());
+        this.events.on(GameEvents.SOUND_TOGGLED, ({ enabled }) => { this.audio.enabled = enabled; });
+        this.events.on(GameEvents.PROFILE_CHANGED, () => this.syncProfile());
+        this.events.on(GameEvents.HOME_LOAD_REPLAY, ({ text }) => this.loadReplay(text));
+        this.events.on(GameEvents.HOME_EXPORT_DATA, () => downloadSaveFile(createSaveFile(this.storage.exportData())));
+        this.events.on(GameEvents.HOME_IMPORT_DATA, ({ text, mode }) => this.importData(text, mode));
         this.audio.enabled = this.homeScreen.soundEnabled;
 
         // Start render loop (background scene visible behind home screen)
@@ -180,9 +283,37 @@ export class PoolGame {
         this._onResize = () => this.onWindowResize();
         window.addEventListener('resize', this._onResize, false);
 
-        // Debug FPS
+        // Pause: Esc toggles, losing focus or hiding the tab pauses; Ctrl/Cmd+Z undoes a shot
+        this._onKeyDown = (event) => {
+            if (this.editor.active) {
+                this.onEditorKey(event);
+                return;
+            }
+            if ((event.ctrlKey || event.metaKey) && event.key === 'z') {
+                this.undoShot();
+                return;
+            }
+            if (event.key !== 'Escape') return;
+            if (this.instantReplay.active) this.stopInstantReplay();
+            else if (this.isPaused) this.resume();
+            else this.pause();
+        };
+        this._onVisibilityChange = () => {
+            if (document.hidden) this.pause();
+        };
+        this._onBlur = () => this.pause();
+        window.addEventListener('keydown', this._onKeyDown);
+        document.addEventListener('visibilitychange', this._onVisibilityChange);
+        window.addEventListener('blur', this._onBlur);
+
+        // Debug FPS and the live tuning panel (lil-gui is only fetched for ?debug)
+        this.debugPanel = null;
         if (window.location.search.includes('debug')) {
             this.hud.createFPSCounter();
+            import('../ui/DebugPanel.js').then(({ DebugPanel }) => {
+                this.debugPanel = new DebugPanel();
+                this.debugPanel.onChange = (group) => this.applyTuning(group);
+            }).catch((error) => console.warn('Tuning panel unavailable', error));
         }
 
         // Cleanup
@@ -192,58 +323,481 @@ export class PoolGame {
         this.hideLoadingScreen();
     }
 
+    /** Subscribe effects, audio, HUD and storage to the simulation's events. */
+    bindSimulation() {
+        const { sim, events } = this;
+        events.on(GameEvents.STATE_CHANGED, () => this.updateHUD());
+        // Particle jitter follows the run seed, so a watched replay shows the same bursts
+        events.on(GameEvents.RUN_STARTED, ({ seed }) => {
+            this.particles.random = createRandom(hashSeed(seed, 'particles'));
+        });
+        events.on(GameEvents.SHOT_FIRED, ({ direction, magnitude, tick }) => {
+            this.replayOffered = false;
+            this.hud.hideReplayButton();
+            this.recorder.begin(sim.clock.now, {
+                direction,
+                magnitude,
+                ball: sim.ball.body.position,
+                walls: sim.wallManager.serialize()
+            });
+            // Online, each side sends only its own shots (the opponent's arrive via remoteShots)
+            if (this.online.seat === sim.turn) this.online.sendShot(tick, direction, magnitude);
+            this.audio.play('shoot');
+        });
+        events.on(GameEvents.STEP, () => {
+            if (this.recorder.isRecording) this.recorder.recordFrame(sim.clock.now, sim.getBallSamples());
+        });
+        events.on(GameEvents.WALL_DESTROYED, ({ position: pos, type, isPowerUp }) => {
+            this.effects.spawn(pos);
+            const color = isPowerUp ? CONFIG.POWERUPS[type].color : CONFIG.WALL_BEHAVIORS[type].color;
+            this.effects.flash(pos, color);
+            if (type === 'bomb') {
+                this.particles.emit(pos, color, {
+                    count: CONFIG.PARTICLES.BOMB_COUNT,
+                    speedMax: CONFIG.PARTICLES.BOMB_SPEED_MAX
+                });
+            } else {
+                this.particles.emit(pos, color);
+            }
+        });
+        events.on(GameEvents.WALL_SCORED, ({ points, combo, position, type }) => {
+            this.showWallScore(points, combo, position, type);
+        });
+        events.on(GameEvents.WALL_HIT, ({ wall, position, blocked }) => {
+            if (!blocked) return;
+            this.floatingText.spawn('blocked', position, CONFIG.WALL_BEHAVIORS[wall.type].color);
+            this.shakeIntensity = CONFIG.SHAKE.BASE_INTENSITY;
+            this.audio.play('wallBreak');
+            this.recorder.recordWallEvent(sim.clock.now, wall.id, 'damaged');
+        });
+        events.on(GameEvents.WALL_DETACHED, ({ wall }) => {
+            this.recorder.recordWallEvent(sim.clock.now, wall.id, 'removed');
+        });
+        events.on(GameEvents.POWERUP_TRIGGERED, ({ type, position }) => {
+            const def = CONFIG.POWERUPS[type];
+            this.floatingText.spawn(def.label, position, def.color);
+            this.audio.play('wallBreak');
+        });
+        events.on(GameEvents.CUSHION_HIT, () => this.audio.play('cushionBounce'));
+        events.on(GameEvents.COMBO_FINALIZED, ({ combo, reward }) => this.showComboReward(combo, reward));
+        events.on(GameEvents.SHOT_UNDONE, () => {
+            this.recorder.clear();
+            this.replayOffered = false;
+            this.hud.hideReplayButton();
+            this.hud.hideCombo();
+            this.effects.clear();
+            this.floatingText.clear();
+            this.particles.clear();
+            this.saveRun();
+        });
+        events.on(GameEvents.SHOT_SETTLED, () => {
+            this.endShotRecording();
+            this.saveRun();
+            this.saveStats();
+        });
+        events.on(GameEvents.LEVEL_COMPLETED, ({ level, nextLevel, shotBonus, bonusShots, bonusTime, levelShots }) => {
+            // Puzzles are marked solved one by one, so quitting midway keeps the progress
+            if (this.sim.isPuzzle && !this.playback && !this.playTesting) {
+                this.storage.savePuzzleResult(this.sim.levels[level - 1].id, levelShots);
+            }
+            // The last daily level has no banner: the game-over screen takes over
+            if (nextLevel !== null) this.showLevelComplete(nextLevel, shotBonus, bonusShots, bonusTime);
+        });
+        events.on(GameEvents.TIME_ADDED, ({ amount, reason }) => {
+            // A cleared level announces its bonus on the level banner
+            if (reason !== 'level') this.hud.showTimeBonus(amount);
+        });
+        events.on(GameEvents.LEVEL_STARTED, () => {
+            this.hud.hideLevelBanner();
+            this.effects.clear();
+            this.floatingText.clear();
+            this.particles.clear();
+            this.updateAimLineScale();
+            this.saveRun();
+        });
+        events.on(GameEvents.GAME_OVER, ({ completed }) => this.gameOver(completed));
+    }
+
     /* ── Game Flow ── */
 
-    startGame() {
+    /**
+     * Start a new run. The seed plus level number fully determines each wall layout.
+     * @param {Object} [options]
+     * @param {string} [options.mode] - 'classic' (endless), 'daily' (fixed length, no shot carry-over)
+     *   'timeAttack' (unlimited shots against a countdown), 'zen' (practice sandbox, no score)
+     *   or 'puzzle' (the handcrafted PUZZLE_PACK)
+     * @param {number} [options.seed] - Run seed; defaults to `?seed=` from the URL, else random
+     * @param {string|null} [options.dailyKey] - Date of a daily run
+     * @param {boolean} [options.undo] - Allow undoing the last shot; defaults to the home screen setting
+     * @param {Object[]} [options.levels] - Puzzle levels to play (parsed level files); defaults to PUZZLE_PACK
+     * @param {number} [options.level] - Puzzle to start on (1-based)
+     * @param {string} [options.difficulty] - Preset key; defaults to the home screen choice
+     * @param {Object|null} [options.playback] - `{ replay, speed }` when watching a replay file
+     */
+    startGame({
+        mode = 'classic',
+        seed = this.getUrlSeed() ?? randomSeed(),
+        dailyKey = null,
+        undo = this.storage.getSettings().undo === true,
+        levels = mode === 'puzzle' ? PUZZLE_PACK : null,
+        level = 1,
+        difficulty = this.homeScreen.difficulty,
+        playback = null
+    } = {}) {
+        this.beginRun();
+        // Set before the run starts so its RUN_STARTED already knows whether progress counts
+        this.playback = playback;
+        this.sim.startRun(mode, seed, dailyKey, { undo, levels, level, difficulty });
+        if (this.sim.isPractice) this.practiceToolbar.show(this.sim.level);
+        this.updateAimLineScale();
+    }
+
+    /* ── Online Versus ── */
+
+    /** Scoreboard labels from the local player's point of view, or null offline. */
+    get onlinePlayerNames() {
+        const seat = this.online.seat;
+        if (seat === null) return null;
+        return this.sim.players.map((player, i) => (i === seat ? 'YOU' : 'THEM'));
+    }
+
+    /** Join a relay room from the home screen; the match starts when a second player joins. */
+    joinOnline(room) {
+        this.audio.init();
+        this.homeScreen.showNotice(`Connecting to room ${room}\u2026`);
+        this.online.join(room);
+    }
+
+    /** Both players are in: start the versus run on the seed the relay dealt. */
+    startOnlineMatch(seed) {
+        this.remoteShots = [];
+        this.startGame({ mode: 'versus', seed, undo: false, difficulty: CONFIG.DIFFICULTY.DEFAULT });
+    }
+
+    /** The opponent or the relay went away: end a match in progress, or report it at home. */
+    endOnlineMatch(message) {
+        this.online.close();
+        this.remoteShots = [];
+        if (!this.isPlaying || !this.sim.isVersus) {
+            this.homeScreen.showNotice(message);
+            return;
+        }
+        if (this.sim.isGameOver) return;
+        this.isPlaying = false;
+        this.pauseScreen.hide();
+        this.stopInstantReplay();
+        this.input.cancelAim();
+        this.gameOverScreen.show(this.sim.level, this.sim.score, false, () => this.returnToHome(), {
+            title: 'Match Ended',
+            lines: [message],
+            askInitials: false
+        });
+    }
+
+    /** True while an online match waits on the opponent's shot. */
+    get isOpponentTurn() {
+        return this.online.seat !== null && this.sim.turn !== this.online.seat;
+    }
+
+    /**
+     * Keep the table in step with the opponent's. Once the turn passes to them the run holds
+     * still until their shot arrives, then catches up to the tick they took it on and fires
+     * it there, so both simulations see the same shot at the same moment.
+     * @returns {boolean} true while holding (skip this frame's simulation update)
+     */
+    syncOpponentTurn() {
+        const sim = this.sim;
+        if (!this.isOpponentTurn || sim.isGameOver || !sim.canShoot()) return false;
+        const shot = this.remoteShots.shift();
+        if (!shot) return true;
+        // A shot from before this table's tick can't be fired where it was taken
+        if (shot.tick < sim.tick) {
+            this.online.sendDesync();
+            this.endOnlineMatch(DESYNC_MESSAGE);
+            return true;
+        }
+        if (shot.tick > sim.tick) sim.step(shot.tick - sim.tick);
+        sim.shoot(shot.direction, shot.magnitude);
+        return false;
+    }
+
+    /** Resume the autosaved run snapshot (see saveRun). */
+    continueRun() {
+        const run = this.storage.getSavedRun();
+        if (!run) return;
+        this.beginRun();
+        this.sim.restoreRun(run);
+        this.stats.restore(run.stats);
+        this.updateAimLineScale();
+    }
+
+    /**
+     * Whether play right now counts toward achievements and lifetime stats: the player's
+     * own live shots, not replays, Zen practice, editor play tests or the online opponent.
+     */
+    get countsProgress() {
+        return this.isPlaying && !this.playback && !this.playTesting && !this.sim.isPractice && !this.isOpponentTurn;
+    }
+
+    /** Validate a replay file picked on the home screen and watch it. */
+    loadReplay(text) {
+        let replay;
+        try {
+            replay = parseRunReplay(text);
+        } catch (error) {
+            this.homeScreen.showNotice(error.message);
+            return;
+        }
+        // Different physics or rules would play the same shots out differently
+        if (replay.configHash !== getConfigHash()) {
+            this.homeScreen.showNotice('This replay was recorded with different game settings');
+            return;
+        }
+        this.watchReplay(replay);
+    }
+
+    /**
+     * Validate a save file picked on the home screen and bring its data in.
+     * @param {string} mode - 'merge' or 'replace' (see StorageManager.importData)
+     */
+    importData(text, mode) {
+        try {
+            this.storage.importData(parseSaveFile(text), mode);
+        } catch (error) {
+            this.homeScreen.showNotice(error.message);
+            return;
+        }
+        this.homeScreen.refresh();
+        this.syncProfile();
+        this.homeScreen.showNotice(mode === 'replace' ? 'Progress replaced from the file' : 'Progress merged from the file');
+    }
+
+    /** Pick up the active profile's trophies and sound setting (after a switch or an import). */
+    syncProfile() {
+        this.achievements.unlocked = new Set(Object.keys(this.storage.getAchievements()));
+        this.audio.enabled = this.homeScreen.soundEnabled;
+    }
+
+    /** Re-simulate a replay's run from its seed, feeding the recorded shots. */
+    watchReplay(replay) {
+        this.startGame({
+            mode: replay.mode,
+            seed: replay.seed,
+            dailyKey: replay.dailyKey,
+            undo: false,
+            difficulty: replay.difficulty,
+            playback: { replay, speed: CONFIG.REPLAY.RUN_SPEEDS[0] }
+        });
+        this.sim.playShots(replay.shots);
+        this.runReplayControls.show(replay.shots.length);
+    }
+
+    /** Replay file for the current run, or null if it can't be re-simulated. */
+    createRunReplay() {
+        const sim = this.sim;
+        if (!sim.runShots || !sim.physics.fixedTimestep) return null;
+        return createRunReplay({
+            mode: sim.mode,
+            seed: sim.seed,
+            dailyKey: sim.dailyKey,
+            difficulty: sim.difficulty.key,
+            score: sim.score,
+            level: sim.level,
+            shots: sim.runShots
+        });
+    }
+
+    /**
+     * Autosave a snapshot of the settled run so it survives a reload or a discarded tab.
+     * Only taken between shots, so no ball is moving and no timer is pending.
+     * Zen practice and puzzles are never saved (they would replace a real run's autosave).
+     */
+    saveRun() {
+        if (this.playback || this.sim.isPractice || this.sim.isPuzzle || this.sim.isVersus) return;
+        this.storage.saveRun({ ...this.sim.snapshot(), stats: this.stats.run });
+    }
+
+    /** Add what was recorded since the last call to the lifetime stats. */
+    saveStats() {
+        this.storage.addLifetimeStats(this.stats.takePending());
+    }
+
+    /** Drop the autosave if it belongs to this run (a different saved run stays resumable). */
+    discardSavedRun() {
+        if (this.playback) return;
+        const run = this.storage.getSavedRun();
+        if (run && run.mode === this.sim.mode && run.seed === this.sim.seed) {
+            this.storage.clearSavedRun();
+        }
+    }
+
+    /** Reset presentation state and show the HUD; the caller starts the simulation run. */
+    beginRun() {
         this.audio.init(); // first user gesture → create AudioContext
         this.homeScreen.hide();
-        this.level = 1;
-        this.score = 0;
-        this.combo = 0;
-        clearTimeout(this.comboTimer);
-        this.comboTimer = null;
-        this.shotsRemaining = CONFIG.GAME.BASE_SHOTS;
-        this.ballSettledTime = 0;
+        this.playback = null;
+        this.runReplayControls.hide();
+        this.practiceToolbar.hide();
+        this.input.placingBall = false;
+        this.isPaused = false;
+        this.pauseScreen.hide();
+        this.stopInstantReplay();
+        this.recorder.clear();
+        this.replayOffered = false;
         this.shakeIntensity = 0;
         this.slowMoUntil = 0;
         this.levelZoomStart = Date.now();
-        this.physics.timeScale = 1;
-        this.isGameOver = false;
         this.isPlaying = true;
-        this.levelTransitioning = false;
-        this.ball.reset();
-        this.clearExtraBalls();
         this.effects.clear();
         this.floatingText.clear();
         this.particles.clear();
-        this.wallManager.createWalls(this.level, this.ball.body.material, this.ball.body.position);
-        this.updateAimLineScale();
+        this.hud.setTimer(null);
         this.hud.show();
-        this.updateHUD();
+    }
+
+    /** Start today's daily challenge: layouts derived from the local date. */
+    startDaily() {
+        const dailyKey = getDailyKey();
+        this.startGame({ mode: 'daily', seed: getDailySeed(dailyKey), dailyKey });
+    }
+
+    /**
+     * Start over in the same mode (same layouts for a daily run, the same level for a puzzle;
+     * a watched replay plays again).
+     */
+    restartGame() {
+        if (this.online.seat !== null) return; // an online match can't be restarted by one side
+        if (this.playback) this.watchReplay(this.playback.replay);
+        else if (this.sim.mode === 'daily') this.startDaily();
+        else if (this.sim.isPuzzle) this.startGame({ mode: 'puzzle', levels: this.sim.levels, level: this.sim.level });
+        else this.startGame({ mode: this.sim.mode, difficulty: this.sim.difficulty.key });
     }
 
     returnToHome() {
+        this.saveStats();
+        this.online.close();
+        this.remoteShots = [];
         this.isPlaying = false;
-        clearTimeout(this.comboTimer);
-        this.physics.timeScale = 1;
-        this.clearExtraBalls();
-        this.wallManager.clearAll();
+        this.isPaused = false;
+        this.pauseScreen.hide();
+        this.stopInstantReplay();
+        this.recorder.clear();
+        this.replayOffered = false;
+        this.playback = null;
+        this.runReplayControls.hide();
+        this.practiceToolbar.hide();
+        this.input.placingBall = false;
+        this.input.cancelAim();
+        this.sim.clear();
         this.effects.clear();
         this.floatingText.clear();
         this.particles.clear();
-        this.ball.reset();
         this.hud.hide();
+        if (this.playTesting) {
+            this.playTesting = false;
+            this.openEditor();
+            return;
+        }
+        this.homeScreen.refresh();
+        this.homeScreen.show();
+    }
+
+    /* ── Level Editor ── */
+
+    /** Show the level editor; the level being edited survives play tests and trips home. */
+    openEditor() {
+        this.audio.init();
+        this.homeScreen.hide();
+        this.controls.enabled = false; // drags edit the level instead of turning the view
+        this.input.editing = true;
+        this.editor.open();
+        this.editorToolbar.show();
+    }
+
+    /** Hide the editor (its level stays for the next openEditor). */
+    closeEditor() {
+        this.editor.close();
+        this.editorToolbar.hide();
+        this.input.editing = false;
+        this.controls.enabled = true;
+    }
+
+    exitEditor() {
+        this.closeEditor();
         this.homeScreen.refresh();
         this.homeScreen.show();
     }
 
+    /** The edited level as a level file, or null (with the reason on the toolbar) if it isn't playable. */
+    getEditedLevel() {
+        try {
+            return parseLevel(this.editor.toLevel());
+        } catch (error) {
+            this.editorToolbar.showMessage(error.message);
+            return null;
+        }
+    }
+
+    /** Play the edited level as a one-level puzzle run; leaving the run comes back here. */
+    playTestLevel() {
+        const level = this.getEditedLevel();
+        if (!level) return;
+        this.closeEditor();
+        this.playTesting = true; // before the run starts, so none of it counts as progress
+        this.startGame({ mode: 'puzzle', levels: [level], undo: false });
+    }
+
+    exportLevel() {
+        const level = this.getEditedLevel();
+        if (level) downloadLevel(level);
+    }
+
+    importLevel(text) {
+        try {
+            this.editor.load(parseLevel(text));
+        } catch (error) {
+            this.editorToolbar.showMessage(error.message);
+        }
+    }
+
+    updateEditorToolbar() {
+        const editor = this.editor;
+        this.editorToolbar.showMessage('');
+        this.editorToolbar.update({
+            name: editor.level.name,
+            shots: editor.level.shots,
+            par: editor.level.par,
+            tool: editor.tool,
+            wallType: editor.wallType,
+            hasSelection: editor.selectedWall !== null,
+            hits: editor.selectedHits
+        });
+    }
+
+    /** Delete/Backspace removes the selected wall, R / Shift+R turns it, +/- resizes it. */
+    onEditorKey(event) {
+        if (event.target instanceof HTMLInputElement) return; // typing the level name
+        const step = CONFIG.EDITOR.LENGTH_STEP;
+        switch (event.key) {
+            case 'Delete':
+            case 'Backspace': this.editor.deleteSelected(); break;
+            case 'r': this.editor.rotateSelected(1); break;
+            case 'R': this.editor.rotateSelected(-1); break;
+            case '+':
+            case '=': this.editor.resizeSelected(step); break;
+            case '-': this.editor.resizeSelected(-step); break;
+            case 'Escape': this.editor.setTool('select'); break;
+        }
+    }
+
     /* ── Lighting ── */
 
-    setupLighting() {
+    /** @param {THREE.Scene} [scene] - Also used to light the instant replay scene */
+    setupLighting(scene = this.scene) {
         const L = CONFIG.LIGHTING;
 
         const ambientLight = new THREE.AmbientLight(L.AMBIENT_COLOR, L.AMBIENT_INTENSITY);
-        this.scene.add(ambientLight);
+        scene.add(ambientLight);
 
         const mainLight = new THREE.DirectionalLight(L.MAIN_COLOR, L.MAIN_INTENSITY);
         mainLight.position.set(L.MAIN_POSITION.x, L.MAIN_POSITION.y, L.MAIN_POSITION.z);
@@ -258,99 +812,132 @@ export class PoolGame {
         mainLight.shadow.camera.top = L.SHADOW_TOP;
         mainLight.shadow.camera.bottom = L.SHADOW_BOTTOM;
         mainLight.shadow.bias = L.SHADOW_BIAS;
-        this.scene.add(mainLight.target);
-        this.scene.add(mainLight);
+        scene.add(mainLight.target);
+        scene.add(mainLight);
 
         const fillLight = new THREE.DirectionalLight(L.FILL_COLOR, L.FILL_INTENSITY);
         fillLight.position.set(L.FILL_POSITION.x, L.FILL_POSITION.y, L.FILL_POSITION.z);
         fillLight.target.position.set(0, 0, 0);
-        this.scene.add(fillLight.target);
-        this.scene.add(fillLight);
+        scene.add(fillLight.target);
+        scene.add(fillLight);
 
         const rimLight = new THREE.DirectionalLight(L.RIM_COLOR, L.RIM_INTENSITY);
         rimLight.position.set(L.RIM_POSITION.x, L.RIM_POSITION.y, L.RIM_POSITION.z);
         rimLight.target.position.set(0, 0, 0);
-        this.scene.add(rimLight.target);
-        this.scene.add(rimLight);
+        scene.add(rimLight.target);
+        scene.add(rimLight);
     }
 
     /* ── Gameplay ── */
 
     updateHUD() {
-        this.hud.update(this.level, this.shotsRemaining, this.wallManager.count, this.score);
+        const sim = this.sim;
+        const maxLevel = sim.mode === 'daily' ? CONFIG.DAILY.LEVELS : sim.levels ? sim.levels.length : null;
+        const shots = sim.hasShotBudget ? sim.shotsRemaining : null;
+        // Versus scores live on the per-player scoreboard
+        const score = sim.isPractice || sim.isVersus ? null : sim.score;
+        this.hud.update(sim.level, shots, sim.wallManager.count, score, maxLevel);
+        if (sim.isVersus) this.hud.setPlayers(sim.players, sim.turn, this.onlinePlayerNames);
+        else this.hud.setPlayers(null);
+        const puzzle = sim.currentPuzzle;
+        if (puzzle) this.hud.setPuzzle(puzzle.name, puzzle.par);
+        else this.hud.setPuzzle(null);
+    }
+
+    /** Seed forced through `?seed=<n>` (for bug repros), or null. */
+    getUrlSeed() {
+        const param = new URLSearchParams(window.location.search).get('seed');
+        const seed = param === null ? NaN : Number(param);
+        return Number.isInteger(seed) ? seed : null;
     }
 
     updateAimLineScale() {
-        this.input.aimLineScale = 1;
+        this.input.aimLineScale = this.sim.difficulty.aimLineScale;
+    }
+
+    /** Pause the run: freezes physics and the game clock, shows the pause menu. */
+    pause() {
+        if (!this.isPlaying || this.sim.isGameOver || this.isPaused || this.instantReplay.active) return;
+        this.isPaused = true;
+        this.sim.clock.pause();
+        this.input.cancelAim();
+        this.pauseScreen.show(this.online.seat === null);
+    }
+
+    resume() {
+        if (!this.isPaused) return;
+        this.isPaused = false;
+        this.sim.clock.resume();
+        this.pauseScreen.hide();
+    }
+
+    /** Play the last recorded shot back; the run stays frozen until the replay closes. */
+    startInstantReplay() {
+        const shot = this.recorder.lastShot;
+        if (!shot || !this.isPlaying || this.sim.isGameOver || this.isPaused || this.instantReplay.active) return;
+        this.sim.clock.pause();
+        this.input.cancelAim();
+        this.hud.hideReplayButton();
+        this.instantReplay.start(shot);
+        this.replayControls.show(shot.duration);
+    }
+
+    stopInstantReplay() {
+        if (!this.instantReplay.active) return;
+        this.instantReplay.stop();
+        this.replayControls.hide();
+        this.sim.clock.resume();
+    }
+
+    /** Take the last shot back (runs started with undo enabled on the home screen). */
+    undoShot() {
+        if (!this.isPlaying || this.isPaused || this.instantReplay.active || this.playback) return;
+        this.input.cancelAim();
+        this.sim.undo();
     }
 
-    onShoot(direction, magnitude) {
-        this.shotsRemaining--;
-        this.ballSettledTime = 0;
-        this.combo = 0;
-        clearTimeout(this.comboTimer);
-        this.comboTimer = null;
-        this.ball.applyImpulse(direction, magnitude);
-        this.audio.play('shoot');
-        this.updateHUD();
-        // Game-over check is deferred to animate() so the last shot plays out
-        // and power-ups (extra shots) can still save the player.
+    /** Close the shot recording; offer the replay if the shot earned one. */
+    endShotRecording() {
+        if (!this.recorder.isRecording) return;
+        this.recorder.end();
+        if (this.replayOffered && !this.sim.isGameOver) this.hud.showReplayButton();
     }
 
     animate(time = 0) {
         if (this.isContextLost) return;
         requestAnimationFrame((t) => this.animate(t));
 
+        // Measured every frame (even while paused) so resuming doesn't produce a catch-up jump
+        const frameDelta = this.lastFrameTime ? Math.max(0, (time - this.lastFrameTime) / 1000) : CONFIG.PHYSICS.DT;
+        this.lastFrameTime = time;
+
         try {
-            if (this.isPlaying) {
+            if (this.instantReplay.active) {
+                this.instantReplay.update(frameDelta);
+                this.replayControls.update(this.instantReplay.time, this.instantReplay.playing);
+            } else if (this.isPlaying && !this.isPaused) {
                 // Slow-mo (disabled)
                 // const now = Date.now();
                 // if (this.slowMoUntil && now < this.slowMoUntil) {
-                //     this.physics.timeScale = CONFIG.SLOW_MO.TIME_SCALE;
-                // } else if (this.physics.timeScale !== 1) {
-                //     this.physics.timeScale = 1;
+                //     this.sim.physics.timeScale = CONFIG.SLOW_MO.TIME_SCALE;
+                // } else if (this.sim.physics.timeScale !== 1) {
+                //     this.sim.physics.timeScale = 1;
                 // }
 
-                this.physics.update(time, this.ball.body.velocity, () => this.wallManager.processRemovals());
-                if (this.pendingStickyStop) {
-                    this.ball.stop();
-                    this.pendingStickyStop = false;
-                }
-                this.ball.clampToTable();
-                this.ball.syncMeshToBody();
-                this.updateExtraBalls();
+                const sim = this.sim;
+                if (!this.syncOpponentTurn()) sim.update(frameDelta);
+                sim.ball.syncMeshToBody(sim.physics.alpha);
+                for (const eb of sim.extraBalls) eb.ball.syncMeshToBody(sim.physics.alpha);
                 this.effects.update();
                 this.floatingText.update();
                 this.particles.update(1 / 60);
-                this.wallManager.updatePowerupGlow(time);
-
-                        // Deferred next-level: wait for ball + extra balls to settle after clearing all walls
-                if (!this.isGameOver && !this.levelTransitioning
-                    && this.wallManager.count === 0
-                    && this.extraBalls.length === 0) {
-                    const vel = this.ball.body.velocity;
-                    const speedSq = vel.x * vel.x + vel.z * vel.z;
-                    const limit = CONFIG.PHYSICS.BALL_SLEEP_SPEED_LIMIT;
-                    if (speedSq < limit * limit) {
-                        this.nextLevel();
-                    }
-                }
-
-                // Deferred game-over: wait for ball + extra balls to settle
-                if (!this.isGameOver && this.shotsRemaining <= 0
-                    && this.wallManager.count > 0
-                    && this.extraBalls.length === 0) {
-                    const vel = this.ball.body.velocity;
-                    const speedSq = vel.x * vel.x + vel.z * vel.z;
-                    const limit = CONFIG.PHYSICS.BALL_SLEEP_SPEED_LIMIT;
-                    if (speedSq < limit * limit) {
-                        this.ballSettledTime += 1 / 60;
-                        if (this.ballSettledTime >= CONFIG.PHYSICS.BALL_SLEEP_TIME_LIMIT) {
-                            this.gameOver();
-                        }
-                    } else {
-                        this.ballSettledTime = 0;
-                    }
+                sim.wallManager.updateFading();
+                sim.wallManager.updatePowerupGlow(time);
+                if (sim.isTimed) this.hud.setTimer(sim.timeRemaining);
+                this.hud.setUndoAvailable(sim.canUndo && !this.playback);
+                if (this.playback) {
+                    const played = this.playback.replay.shots.length - sim.scriptedShotsLeft;
+                    this.runReplayControls.update(played, sim.physics.timeScale !== 0);
                 }
             }
 
@@ -376,10 +963,13 @@ export class PoolGame {
                 this.shakeIntensity = 0;
             }
 
+            const view = this.instantReplay.active ? this.instantReplay : this.editor.active ? this.editor : this;
             if (this.composer) {
+                this.renderPass.scene = view.scene;
+                this.renderPass.camera = view.camera;
                 this.composer.render();
             } else {
-                this.renderer.render(this.scene, this.camera);
+                this.renderer.render(view.scene, view.camera);
             }
 
             // Restore camera after render so OrbitControls isn't polluted
@@ -395,149 +985,171 @@ export class PoolGame {
         }
     }
 
-    nextLevel() {
-        this.levelTransitioning = true;
-        // Bonus points for unused shots
-        const remaining = this.shotsRemaining;
-        const shotBonus = remaining * 10;
-        if (shotBonus > 0) {
-            this.score += shotBonus;
-        }
 
-        this.level++;
-        this.shotsRemaining += CONFIG.GAME.BASE_SHOTS;
-        this.ball.stop();
-        this.clearExtraBalls();
+    /** Level cleared: banner, sound and camera dip while the next layout is on its way. */
+    showLevelComplete(level, shotBonus, bonusShots, bonusTime) {
+        this.endShotRecording();
         this.levelZoomStart = Date.now();
         this.audio.play('levelComplete');
-        this.hud.showLevelBanner(this.level, shotBonus, remaining);
-
-        setTimeout(() => {
-            this.hud.hideLevelBanner();
-            this.effects.clear();
-            this.floatingText.clear();
-            this.particles.clear();
-            this.wallManager.createWalls(this.level, this.ball.body.material, this.ball.body.position);
-            this.updateAimLineScale();
-            this.updateHUD();
-            this.levelTransitioning = false;
-        }, CONFIG.EFFECTS.NEXT_LEVEL_DELAY);
+        this.hud.showLevelBanner(level, shotBonus, bonusShots, bonusTime);
     }
 
-    gameOver() {
-        this.isGameOver = true;
-        this.ball.stop();
-        this.clearExtraBalls();
-        clearTimeout(this.comboTimer);
-        this.physics.timeScale = 1;
-        this.audio.play('gameOver');
-
-        const previousBest = this.storage.getHighScore();
-        const isNewBest = !previousBest || this.score > previousBest.score;
-
-        this.gameOverScreen.show(this.level, this.score, isNewBest, (initials) => {
-            this.storage.saveHighScore(this.score, this.level, initials);
-            this.returnToHome();
-        });
-    }
-
-    /* ── Power-ups & Multi-ball ── */
+    /** @param {boolean} [completed] - true when a fixed-length run (daily, puzzle) was cleared */
+    gameOver(completed = false) {
+        const sim = this.sim;
+        this.recorder.end();
+        this.hud.hideReplayButton();
+        this.discardSavedRun();
+        this.saveStats();
+        this.audio.play(completed ? 'levelComplete' : 'gameOver');
+
+        const replay = this.createRunReplay();
+        const onExportReplay = replay ? () => downloadRunReplay(replay) : undefined;
+
+        // A watched replay records nothing
+        if (this.playback) {
+            this.runReplayControls.hide();
+            this.gameOverScreen.show(sim.level, sim.score, false, () => this.returnToHome(), {
+                title: 'Replay Over',
+                lines: [`Recorded score: ${this.playback.replay.score}`],
+                askInitials: false,
+                onExportReplay
+            });
+            return;
+        }
 
-    handlePowerUp(type, position) {
-        const def = CONFIG.POWERUPS[type];
-        this.floatingText.spawn(def.label, position, def.color);
-        this.audio.play('wallBreak');
+        // The run's stats sit next to the score (play tests record none)
+        const stats = this.stats.run.shots > 0 ? statRows(this.stats.run, { wallTypes: false }) : undefined;
+        // Leaderboard entries keep the run's length in game time
+        const duration = Math.round(this.stats.run.playTime);
+
+        // Puzzles have no score table (solved levels are saved as they're cleared)
+        if (sim.isPuzzle) {
+            const puzzle = sim.currentPuzzle;
+            const lines = [`${puzzle.name} \u2014 par ${puzzle.par}`];
+            if (this.playTesting) {
+                lines.push(completed ? `Solved in ${sim.shotsFired - sim.levelStartShots} shots` : 'Not solved');
+            } else {
+                const results = this.storage.getPuzzleResults();
+                lines.push(`${sim.levels.filter(level => results[level.id]).length}/${sim.levels.length} solved`);
+            }
+            const title = completed ? (this.playTesting ? 'Level Solved!' : 'Puzzles Complete!') : 'Out of Shots';
+            this.gameOverScreen.show(sim.level, sim.score, false, () => this.returnToHome(), {
+                title,
+                lines,
+                stats,
+                askInitials: false,
+                onRetry: completed && !this.playTesting ? undefined : () => this.restartGame()
+            });
+            return;
+        }
 
-        switch (type) {
-            case 'extraShot':
-                this.shotsRemaining += def.shots;
-                this.updateHUD();
-                break;
-            case 'multiBall':
-                this.spawnExtraBalls(position);
-                break;
-            // bomb chain reaction is handled internally by WallManager
+        // Versus is a match between two players: name the winner, rank nothing
+        if (sim.isVersus) {
+            const [first, second] = sim.players;
+            const winner = first.score > second.score ? 0 : 1;
+            const names = this.onlinePlayerNames;
+            let title = 'Draw!';
+            if (first.score !== second.score) {
+                title = names ? (winner === this.online.seat ? 'You Win!' : 'You Lose') : `Player ${winner + 1} Wins!`;
+            }
+            const lines = sim.players.map((player, i) =>
+                `${names ? names[i] : `P${i + 1}`}: ${player.score} \u2014 best combo x${player.bestCombo}`);
+            this.gameOverScreen.show(sim.level, Math.max(first.score, second.score), false, () => this.returnToHome(), {
+                title,
+                lines,
+                stats,
+                askInitials: false,
+                onRetry: names ? undefined : () => this.restartGame(),
+                onExportReplay
+            });
+            return;
         }
-    }
 
-    applyWallEffect(wallType, ballBody) {
-        switch (wallType) {
-            case 'sticky':
-                this.pendingStickyStop = true;
-                break;
-            case 'lowBounce':
-                ballBody.velocity.x *= 0.25;
-                ballBody.velocity.z *= 0.25;
-                break;
-            case 'extraBounce':
-                ballBody.velocity.x *= 1.25;
-                ballBody.velocity.z *= 1.25;
-                break;
+        // A run that took a shot back stays off the high-score tables and daily results
+        if (sim.usedUndo) {
+            const title = sim.mode === 'daily' ? (completed ? 'Daily Complete!' : 'Daily Over!')
+                : sim.isTimed ? 'Time Up!' : 'Game Over!';
+            this.gameOverScreen.show(sim.level, sim.score, false, () => this.returnToHome(), {
+                title,
+                lines: ['Undo used \u2014 not ranked'],
+                stats,
+                askInitials: false
+            });
+            return;
         }
-    }
 
-    scoreWall(type, isPowerUp, position) {
-        if (isPowerUp) return; // power-up walls don't give points
+        if (sim.mode === 'daily') {
+            const { dailyKey, score, shotsFired, level } = sim;
+            const previousBest = this.storage.getDailyResult(dailyKey);
+            const isNewBest = !previousBest || score > previousBest.score;
+            const options = {
+                title: completed ? 'Daily Complete!' : 'Daily Over!',
+                lines: [`${dailyKey} — ${shotsFired} shots`],
+                stats,
+                onExportReplay,
+                initials: this.storage.getActiveProfile().initials
+            };
+            this.gameOverScreen.show(level, score, isNewBest, (initials) => {
+                this.storage.setProfileInitials(initials);
+                this.storage.saveDailyResult(dailyKey, score, shotsFired, level, initials, duration);
+                this.returnToHome();
+            }, options);
+            return;
+        }
 
-        const points = CONFIG.SCORING.POINTS[type] || 0;
-        if (points === 0) return;
+        // Classic and Time Attack keep separate high-score tables, ranked within each difficulty
+        const mode = sim.mode;
+        const difficulty = sim.difficulty;
+        const previousBest = this.storage.getHighScore(mode, difficulty.key);
+        const isNewBest = !previousBest || sim.score > previousBest.score;
+        const options = mode === 'timeAttack'
+            ? { title: 'Time Up!', lines: [`${difficulty.label} \u2014 ${sim.shotsFired} shots`], stats, onExportReplay }
+            : { lines: [difficulty.label], stats, onExportReplay };
+        options.initials = this.storage.getActiveProfile().initials;
+
+        this.gameOverScreen.show(sim.level, sim.score, isNewBest, (initials) => {
+            this.storage.setProfileInitials(initials);
+            this.storage.saveHighScore(sim.score, sim.level, initials, mode, difficulty.key, duration);
+            this.returnToHome();
+        }, options);
+    }
 
-        // Award base points immediately
-        this.score += points;
-        this.combo++;
-        this.updateHUD();
+    /* ── Feedback ── */
 
+    /** Points, sound and shake for a wall that scored (combo = hits so far this shot). */
+    showWallScore(points, combo, position, type) {
         // Sound — pitch escalates with combo
-        if (this.combo > 1) {
-            this.audio.play('comboHit', { combo: this.combo });
+        if (combo > 1) {
+            this.audio.play('comboHit', { combo });
         } else {
             this.audio.play('wallBreak');
         }
 
-        // Color-coded floating text
-        this.floatingText.spawn(`+${points}`, position, CONFIG.WALL_BEHAVIORS[type].color);
+        // Color-coded floating text (zen practice scores nothing)
+        if (points > 0) this.floatingText.spawn(`+${points}`, position, CONFIG.WALL_BEHAVIORS[type].color);
 
         // Screen shake (intensity scales with combo)
         const S = CONFIG.SHAKE;
         this.shakeIntensity = Math.min(
-            S.BASE_INTENSITY + this.combo * S.COMBO_INTENSITY,
+            S.BASE_INTENSITY + combo * S.COMBO_INTENSITY,
             S.MAX_INTENSITY
         );
 
         // Slow-mo on high combos (disabled)
-        // if (this.combo >= CONFIG.SLOW_MO.MIN_COMBO) {
+        // if (combo >= CONFIG.SLOW_MO.MIN_COMBO) {
         //     this.slowMoUntil = Date.now() + CONFIG.SLOW_MO.DURATION;
         // }
-
-        // Restart combo settle timer
-        clearTimeout(this.comboTimer);
-        this.comboTimer = setTimeout(() => this.finalizeCombo(), CONFIG.COMBO.SETTLE_DELAY);
     }
 
-    finalizeCombo() {
-        if (this.combo < 2) {
-            this.combo = 0;
-            return;
-        }
-
-        // Find highest matching threshold
-        const thresholds = CONFIG.COMBO.THRESHOLDS;
-        let reward = null;
-        for (let i = thresholds.length - 1; i >= 0; i--) {
-            if (this.combo >= thresholds[i].min) {
-                reward = thresholds[i];
-                break;
-            }
-        }
+    showComboReward(combo, reward) {
+        if (reward) this.hud.showCombo(combo, reward.points, reward.color);
 
-        if (reward) {
-            this.score += reward.points;
-            this.shotsRemaining += reward.shots;
-            this.updateHUD();
-            this.hud.showCombo(this.combo, reward.points, reward.color);
+        // Big combo: offer the instant replay once the shot has played out
+        if (combo >= CONFIG.REPLAY.MIN_COMBO) {
+            this.replayOffered = true;
+            if (!this.recorder.isRecording && !this.sim.isGameOver) this.hud.showReplayButton();
         }
-
-        this.combo = 0;
     }
 
     getLevelZoomY(now) {
@@ -563,76 +1175,13 @@ export class PoolGame {
         return baseY - Z.DIP * (1 - t * t); // ease-out
     }
 
-    spawnExtraBalls(position) {
-        const mainVel = this.ball.body.velocity;
-        const speed = Math.sqrt(mainVel.x * mainVel.x + mainVel.z * mainVel.z)
-            * CONFIG.MULTI_BALL.IMPULSE_FACTOR;
-        const baseAngle = Math.atan2(mainVel.z, mainVel.x);
-        const spread = CONFIG.MULTI_BALL.SPREAD_ANGLE;
-        const count = CONFIG.POWERUPS.multiBall.count;
-
-        for (let i = 0; i < count; i++) {
-            const angle = baseAngle + spread * (i / (count - 1) - 0.5);
-            const extraBall = new Ball(this.scene, this.physics, this.ball.body.material);
-
-            const radius = CONFIG.DIMENSIONS.BALL_RADIUS;
-            extraBall.body.position.set(position.x, radius, position.z);
-            extraBall.mesh.position.set(position.x, radius, position.z);
-
-            const impulseSpeed = Math.max(speed, 3); // minimum speed so they move
-            extraBall.body.velocity.set(
-                Math.cos(angle) * impulseSpeed,
-                0,
-                Math.sin(angle) * impulseSpeed
-            );
-
-            extraBall.body.addEventListener('collide', (event) => {
-                this.wallManager.queueRemoval(event.body, extraBall.body.position.clone());
-                if (event.body.wallType) this.applyWallEffect(event.body.wallType, extraBall.body);
-            });
-
-            this.extraBalls.push({ ball: extraBall, spawnTime: Date.now() });
-        }
-    }
-
-    updateExtraBalls() {
-        const now = Date.now();
-        for (let i = this.extraBalls.length - 1; i >= 0; i--) {
-            const eb = this.extraBalls[i];
-            const expired = now - eb.spawnTime > CONFIG.MULTI_BALL.TIMEOUT;
-            const vel = eb.ball.body.velocity;
-            const speedSq = vel.x * vel.x + vel.z * vel.z;
-            const limit = CONFIG.PHYSICS.BALL_SLEEP_SPEED_LIMIT;
-            const stopped = speedSq < limit * limit;
-
-            if (expired || stopped) {
-                this.physics.removeBody(eb.ball.body);
-                this.scene.remove(eb.ball.mesh);
-                eb.ball.mesh.geometry.dispose();
-                eb.ball.mesh.material.dispose();
-                this.extraBalls.splice(i, 1);
-            } else {
-                eb.ball.clampToTable();
-                eb.ball.syncMeshToBody();
-            }
-        }
-    }
-
-    clearExtraBalls() {
-        for (const eb of this.extraBalls) {
-            this.physics.removeBody(eb.ball.body);
-            this.scene.remove(eb.ball.mesh);
-            eb.ball.mesh.geometry.dispose();
-            eb.ball.mesh.material.dispose();
-        }
-        this.extraBalls = [];
-    }
-
     /* ── Infrastructure ── */
 
     onWindowResize() {
         this.camera.aspect = window.innerWidth / window.innerHeight;
         this.camera.updateProjectionMatrix();
+        this.instantReplay.camera.aspect = this.camera.aspect;
+        this.instantReplay.camera.updateProjectionMatrix();
         this.renderer.setSize(window.innerWidth, window.innerHeight);
         if (this.composer) this.composer.setSize(window.innerWidth, window.innerHeight);
     }
@@ -657,12 +1206,27 @@ export class PoolGame {
     setupBloom() {
         const B = CONFIG.BLOOM;
         this.composer = new EffectComposer(this.renderer);
-        this.composer.addPass(new RenderPass(this.scene, this.camera));
+        this.renderPass = new RenderPass(this.scene, this.camera);
+        this.composer.addPass(this.renderPass);
         const bloom = new UnrealBloomPass(
             new THREE.Vector2(window.innerWidth, window.innerHeight),
             B.STRENGTH, B.RADIUS, B.THRESHOLD
         );
         this.composer.addPass(bloom);
+        this.bloomPass = bloom;
+    }
+
+    /** Push a CONFIG group edited in the debug panel out to what was built from it. */
+    applyTuning(group) {
+        if (group === 'BLOOM') {
+            if (!this.bloomPass) return; // low-end devices render without bloom
+            this.bloomPass.strength = CONFIG.BLOOM.STRENGTH;
+            this.bloomPass.radius = CONFIG.BLOOM.RADIUS;
+            this.bloomPass.threshold = CONFIG.BLOOM.THRESHOLD;
+        } else if (group === 'PHYSICS' || group === 'COMBO' || group === 'WALL_SPAWN_RATES') {
+            this.sim.applyTuning();
+        }
+        // AIMING, SHAKE and PARTICLES are read from CONFIG every time they're used
     }
 
     setupContextLossHandling() {
@@ -725,6 +1289,9 @@ export class PoolGame {
             }
         });
         window.removeEventListener('resize', this._onResize);
+        window.removeEventListener('keydown', this._onKeyDown);
+        document.removeEventListener('visibilitychange', this._onVisibilityChange);
+        window.removeEventListener('blur', this._onBlur);
         this.input.dispose();
         this.renderer.dispose();
     }
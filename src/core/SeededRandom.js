@@ -0,0 +1,39 @@
+/**
+ * Seeded pseudo-random number generation for reproducible gameplay.
+ *
+ * A generator is a plain `() => number` returning values in [0, 1), so it can be
+ * passed anywhere `Math.random` is expected.
+ */
+
+/** Create a mulberry32 generator from a 32-bit integer seed. */
+export function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/** Combine any number of numbers/strings into a 32-bit seed (FNV-1a). */
+export function hashSeed(...parts) {
+    let hash = 0x811C9DC5;
+    const text = parts.join(':');
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+/** Fresh non-deterministic seed for a new run. */
+export function randomSeed() {
+    return Math.floor(Math.random() * 4294967296) >>> 0;
+}
+
+/** Generator for one level of a run: same (seed, level) always yields the same layout. */
+export function createLevelRandom(seed, level) {
+    return createRandom(hashSeed(seed, 'level', level));
+}
@@ -0,0 +1,146 @@
+import { CONFIG } from '../config.js';
+import { GameEvents } from './GameEvents.js';
+
+/** Stats kept as the highest value seen; every other field is a running total. */
+const MAX_FIELDS = ['bestCombo', 'highestLevel'];
+
+/**
+ * Empty stats record. Runs and lifetime totals share this shape.
+ * `walls` counts broken walls per type; `playTime` is game time in ms.
+ */
+export function createStats() {
+    return {
+        runs: 0,
+        shots: 0,
+        walls: {},
+        robustBlocked: 0,
+        bombs: 0,
+        multiBalls: 0,
+        bestCombo: 0,
+        highestLevel: 0,
+        playTime: 0
+    };
+}
+
+/**
+ * Fold `stats` into `total` (in place): totals add up, bests keep the higher value.
+ * Fields missing from either side (records saved by older versions) count as empty.
+ * @returns {Object} total
+ */
+export function mergeStats(total, stats) {
+    for (const [key, value] of Object.entries(createStats())) {
+        const incoming = stats[key] ?? value;
+        if (key === 'walls') {
+            total.walls = total.walls || {};
+            for (const [type, count] of Object.entries(incoming)) total.walls[type] = (total.walls[type] || 0) + count;
+        } else if (MAX_FIELDS.includes(key)) {
+            total[key] = Math.max(total[key] ?? value, incoming);
+        } else {
+            total[key] = (total[key] ?? value) + incoming;
+        }
+    }
+    return total;
+}
+
+/** Game time as m:ss, or h:mm:ss from an hour up. */
+export function formatDuration(ms) {
+    const seconds = Math.floor(ms / 1000);
+    const h = Math.floor(seconds / 3600);
+    const m = Math.floor(seconds / 60) % 60;
+    const s = String(seconds % 60).padStart(2, '0');
+    return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`;
+}
+
+/**
+ * Display rows for a stats record, in screen order.
+ * @param {Object} [options]
+ * @param {boolean} [options.lifetime] - Include the run count (a single run's is always 1)
+ * @param {boolean} [options.wallTypes] - List broken walls per type (indented) after the total
+ * @returns {Array<[string, string]>} [label, value] pairs
+ */
+export function statRows(stats, { lifetime = false, wallTypes = true } = {}) {
+    const broken = Object.values(stats.walls).reduce((sum, count) => sum + count, 0);
+    const rows = [];
+    if (lifetime) rows.push(['Runs', String(stats.runs)]);
+    rows.push(
+        ['Shots fired', String(stats.shots)],
+        ['Walls destroyed', String(broken)]
+    );
+    if (wallTypes) {
+        for (const type of [...Object.keys(CONFIG.WALL_BEHAVIORS), ...Object.keys(CONFIG.POWERUPS)]) {
+            if (stats.walls[type]) rows.push([`\u00A0\u00A0${type}`, String(stats.walls[type])]);
+        }
+    }
+    rows.push(
+        ['Walls per shot', stats.shots > 0 ? (broken / stats.shots).toFixed(1) : '—'],
+        ['Robust walls blocked', String(stats.robustBlocked)],
+        ['Bombs triggered', String(stats.bombs)],
+        ['Multi-balls', String(stats.multiBalls)],
+        ['Best combo', stats.bestCombo > 0 ? `x${stats.bestCombo}` : '—'],
+        ['Highest level', String(stats.highestLevel)],
+        ['Play time', formatDuration(stats.playTime)]
+    );
+    return rows;
+}
+
+/**
+ * Collects statistics from gameplay events (GameSimulation and WallManager, so it runs
+ * headless too). `run` covers the current run; everything is also added to a pending
+ * record that the owner moves into lifetime totals with takePending().
+ */
+export class StatsTracker {
+    /** @param {EventBus} events - The game's bus */
+    constructor(events) {
+        /** @type {Function} Returns false while play shouldn't count (replays, practice, ...). */
+        this.canRecord = () => true;
+        this.run = createStats();
+        this._pending = createStats();
+        this._runCounted = false; // a run counts once, at its first recorded shot
+
+        events.on(GameEvents.RUN_STARTED, ({ level, resumed }) => {
+            if (resumed) return; // restore() carries the run's stats over
+            this.run = createStats();
+            this._runCounted = false;
+            this._record({ highestLevel: level });
+        });
+        events.on(GameEvents.SHOT_FIRED, () => {
+            if (!this.canRecord()) return;
+            const stats = { shots: 1 };
+            if (!this._runCounted) {
+                this._runCounted = true;
+                stats.runs = 1;
+            }
+            this._record(stats);
+        });
+        events.on(GameEvents.STEP, ({ dt }) => this._record({ playTime: dt * 1000 }));
+        events.on(GameEvents.WALL_HIT, ({ blocked }) => {
+            if (blocked) this._record({ robustBlocked: 1 });
+        });
+        events.on(GameEvents.WALL_DESTROYED, ({ type }) => this._record({ walls: { [type]: 1 } }));
+        events.on(GameEvents.POWERUP_TRIGGERED, ({ type }) => {
+            if (type === 'bomb') this._record({ bombs: 1 });
+            else if (type === 'multiBall') this._record({ multiBalls: 1 });
+        });
+        events.on(GameEvents.COMBO_FINALIZED, ({ combo }) => this._record({ bestCombo: combo }));
+        events.on(GameEvents.LEVEL_STARTED, ({ level }) => this._record({ highestLevel: level }));
+    }
+
+    _record(stats) {
+        if (!this.canRecord()) return;
+        mergeStats(this.run, stats);
+        mergeStats(this._pending, stats);
+    }
+
+    /** Carry a resumed run's stats over (saved alongside its snapshot). */
+    restore(stats) {
+        this.run = mergeStats(createStats(), stats || {});
+        this._runCounted = true;
+    }
+
+    /** Stats recorded since the last call, for adding to the lifetime totals. */
+    takePending() {
+        const pending = this._pending;
+        this._pending = createStats();
+        return pending;
+    }
+}
@@ -0,0 +1,350 @@
+import * as THREE from 'three';
+import { CONFIG } from '../config.js';
+import { Ball } from '../entities/Ball.js';
+import { Table } from '../entities/Table.js';
+import { WallManager } from '../entities/WallManager.js';
+import { createLevel } from '../levels/LevelFile.js';
+
+/** Starting point for a new level: no walls, the ball on the left. */
+export function createBlankLevel() {
+    return { name: 'Untitled', ball: { x: -3, z: 0 }, shots: 3, par: 1, walls: [] };
+}
+
+/**
+ * Level editor: lays a level's walls and ball start out in its own scene (same table and
+ * wall meshes as the game) and edits them from table-plane pointer positions. While
+ * `active`, render `scene` with `camera` instead of the game's.
+ *
+ * Tools: 'select' grabs the ball or a wall and drags it (a selected wall's ends rotate
+ * and resize it), 'wall' drops a new wall of `wallType` and drags it into place.
+ */
+export class LevelEditor {
+    /** @param {THREE.Camera} camera - The game camera (the editor only changes what it looks at) */
+    constructor(camera) {
+        this.scene = new THREE.Scene();
+        this.scene.fog = new THREE.Fog(CONFIG.COLORS.BACKGROUND, CONFIG.CAMERA.FOG_NEAR, CONFIG.CAMERA.FOG_FAR);
+        this.scene.add(Table.createMesh());
+        this.camera = camera;
+
+        this.active = false;
+        /** Level being edited: `{ name, ball, shots, par, walls: [{ type, x, z, rotationY, length, hits? }] }` */
+        this.level = createBlankLevel();
+        this.tool = 'select';
+        this.wallType = 'normal'; // given to new walls
+        this.selected = -1; // index into level.walls
+        this._meshes = []; // one per level.walls entry
+        this._drag = null; // { target: 'ball' | 'wall' | 'end', ... } while the pointer is down
+
+        this._ballMesh = Ball.createMesh();
+        this._ballMesh.visible = false;
+        this.scene.add(this._ballMesh);
+        this._outline = null; // edges drawn on the selected wall
+
+        /** @type {Function|null} Called after every change to the level, the selection or the tool. */
+        this.onChange = null;
+    }
+
+    /** Show the editor with `level` (a parsed level file or the level already being edited). */
+    open(level = this.level) {
+        this.active = true;
+        this.load(level);
+    }
+
+    /** Leave the editor; the level stays for the next open(). */
+    close() {
+        this._drag = null;
+        this._clearMeshes();
+        this._ballMesh.visible = false;
+        this.active = false;
+    }
+
+    /** Replace the level being edited. */
+    load(level) {
+        this.level = {
+            name: level.name,
+            ball: { ...level.ball },
+            shots: level.shots,
+            par: level.par,
+            walls: level.walls.map(wall => ({ ...wall }))
+        };
+        this.selected = -1;
+        this._drag = null;
+        this._clearMeshes();
+        this.level.walls.forEach((wall, i) => this._buildMesh(i));
+        this._ballMesh.visible = true;
+        this._placeBallMesh();
+        this._changed();
+    }
+
+    /** The level as a level file (its id is derived from the name). */
+    toLevel() {
+        const id = this.level.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'untitled';
+        return createLevel({ id, ...this.level });
+    }
+
+    /** The selected wall, or null. */
+    get selectedWall() {
+        return this.level.walls[this.selected] || null;
+    }
+
+    setTool(tool) {
+        this.tool = tool;
+        this._changed();
+    }
+
+    /** Type for new walls; also retypes the selected wall. */
+    setWallType(type) {
+        this.wallType = type;
+        const wall = this.selectedWall;
+        if (wall) {
+            wall.type = type;
+            delete wall.hits; // back to the new type's full count
+            this._buildMesh(this.selected);
+        }
+        this._changed();
+    }
+
+    /* ── Pointer (table-plane coordinates) ── */
+
+    pointerDown(x, z) {
+        const { PICK_RADIUS, HANDLE_RADIUS, DEFAULT_LENGTH } = CONFIG.EDITOR;
+
+        if (this.tool === 'wall') {
+            this.level.walls.push({ type: this.wallType, x: 0, z: 0, rotationY: 0, length: DEFAULT_LENGTH });
+            this.selected = this.level.walls.length - 1;
+            this._buildMesh(this.selected);
+            this._drag = { target: 'wall', offsetX: 0, offsetZ: 0 };
+            this.pointerMove(x, z);
+            return;
+        }
+
+        // A selected wall's ends come first, so they can be grabbed where walls overlap
+        const wall = this.selectedWall;
+        if (wall) {
+            for (const side of [1, -1]) {
+                const [ex, ez] = this._wallEnd(wall, side);
+                if (Math.hypot(x - ex, z - ez) < HANDLE_RADIUS) {
+                    this._drag = { target: 'end', side };
+                    return;
+                }
+            }
+        }
+
+        const ball = this.level.ball;
+        if (Math.hypot(x - ball.x, z - ball.z) < CONFIG.DIMENSIONS.BALL_RADIUS + PICK_RADIUS) {
+            this._drag = { target: 'ball' };
+            return;
+        }
+
+        this.selected = this._pickWall(x, z);
+        if (this.selected !== -1) {
+            const picked = this.selectedWall;
+            this.wallType = picked.type;
+            this._drag = { target: 'wall', offsetX: picked.x - x, offsetZ: picked.z - z };
+        }
+        this._changed();
+    }
+
+    pointerMove(x, z) {
+        const drag = this._drag;
+        if (!drag) return;
+        const { GRID, ROTATION_STEP, LENGTH_STEP } = CONFIG.EDITOR;
+        const { TABLE_WIDTH, TABLE_DEPTH, BOUNDARY_WALL_THICKNESS, BALL_RADIUS } = CONFIG.DIMENSIONS;
+        const snap = (value, step) => Math.round(value / step) * step;
+
+        if (drag.target === 'ball') {
+            const margin = BOUNDARY_WALL_THICKNESS + BALL_RADIUS;
+            this.level.ball.x = clamp(snap(x, GRID), TABLE_WIDTH / 2 - margin);
+            this.level.ball.z = clamp(snap(z, GRID), TABLE_DEPTH / 2 - margin);
+            this._placeBallMesh();
+        } else if (drag.target === 'wall') {
+            const wall = this.selectedWall;
+            wall.x = clamp(snap(x + drag.offsetX, GRID), TABLE_WIDTH / 2);
+            wall.z = clamp(snap(z + drag.offsetZ, GRID), TABLE_DEPTH / 2);
+            this._placeWallMesh(this.selected);
+        } else {
+            // The grabbed end follows the pointer, mirrored about the wall's center
+            const wall = this.selectedWall;
+            const dx = (x - wall.x) * drag.side;
+            const dz = (z - wall.z) * drag.side;
+            // Rotating about +Y maps the wall's local +X axis to (cos, 0, -sin)
+            wall.rotationY = normalizeAngle(snap(Math.atan2(-dz, dx), ROTATION_STEP));
+            this._setLength(this.selected, snap(Math.hypot(dx, dz) * 2, LENGTH_STEP));
+        }
+        this._changed();
+    }
+
+    pointerUp() {
+        this._drag = null;
+    }
+
+    /* ── Selected Wall ── */
+
+    /** Turn the selected wall by `steps` × CONFIG.EDITOR.ROTATION_STEP (counter-clockwise seen from above). */
+    rotateSelected(steps) {
+        const wall = this.selectedWall;
+        if (!wall) return;
+        wall.rotationY = normalizeAngle(wall.rotationY + steps * CONFIG.EDITOR.ROTATION_STEP);
+        this._placeWallMesh(this.selected);
+        this._changed();
+    }
+
+    /** Lengthen (or shorten, with a negative delta) the selected wall. */
+    resizeSelected(delta) {
+        if (!this.selectedWall) return;
+        this._setLength(this.selected, this.selectedWall.length + delta);
+        this._changed();
+    }
+
+    /** Hits the selected wall takes, within 1..CONFIG.EDITOR.MAX_HITS. */
+    setSelectedHits(hits) {
+        const wall = this.selectedWall;
+        if (!wall) return;
+        const clamped = Math.max(1, Math.min(CONFIG.EDITOR.MAX_HITS, hits));
+        if (clamped === WallManager.fullHits(wall.type)) delete wall.hits;
+        else wall.hits = clamped;
+        this._paintWallMesh(this.selected);
+        this._changed();
+    }
+
+    /** Hits the selected wall takes (its type's full count unless set). */
+    get selectedHits() {
+        const wall = this.selectedWall;
+        return wall ? wall.hits ?? WallManager.fullHits(wall.type) : 0;
+    }
+
+    deleteSelected() {
+        if (!this.selectedWall) return;
+        const [mesh] = this._meshes.splice(this.selected, 1);
+        this._disposeMesh(mesh);
+        this.level.walls.splice(this.selected, 1);
+        this.selected = -1;
+        this._changed();
+    }
+
+    /* ── Level Settings ── */
+
+    setName(name) {
+        this.level.name = name;
+        this._changed();
+    }
+
+    /** Shot budget within 1..CONFIG.EDITOR.MAX_SHOTS; par is kept within it. */
+    setShots(shots) {
+        this.level.shots = Math.max(1, Math.min(CONFIG.EDITOR.MAX_SHOTS, shots));
+        this.level.par = Math.min(this.level.par, this.level.shots);
+        this._changed();
+    }
+
+    /** Par within 1..shots. */
+    setPar(par) {
+        this.level.par = Math.max(1, Math.min(this.level.shots, par));
+        this._changed();
+    }
+
+    /* ── Internals ── */
+
+    /** Index of the wall closest to a point within CONFIG.EDITOR.PICK_RADIUS, or -1. */
+    _pickWall(x, z) {
+        let best = -1;
+        let bestDistSq = CONFIG.EDITOR.PICK_RADIUS * CONFIG.EDITOR.PICK_RADIUS;
+        this.level.walls.forEach((wall, i) => {
+            const [ax, az] = this._wallEnd(wall, -1);
+            const [bx, bz] = this._wallEnd(wall, 1);
+            const distSq = WallManager.pointToSegmentDistSq(x, z, ax, az, bx, bz);
+            if (distSq < bestDistSq) {
+                best = i;
+                bestDistSq = distSq;
+            }
+        });
+        return best;
+    }
+
+    /** One end of a wall: side 1 is along its local +X axis, -1 the other way. */
+    _wallEnd(wall, side) {
+        const halfLen = wall.length / 2 * side;
+        return [wall.x + Math.cos(wall.rotationY) * halfLen, wall.z - Math.sin(wall.rotationY) * halfLen];
+    }
+
+    _setLength(index, length) {
+        const { MIN_LENGTH, MAX_LENGTH } = CONFIG.EDITOR;
+        this.level.walls[index].length = Math.max(MIN_LENGTH, Math.min(MAX_LENGTH, length));
+        this._buildMesh(index);
+    }
+
+    /** (Re)create a wall's mesh; needed whenever its type or length changes. */
+    _buildMesh(index) {
+        const wall = this.level.walls[index];
+        if (this._meshes[index]) this._disposeMesh(this._meshes[index]);
+        const mesh = WallManager.createWallMesh(wall.type, wall.length);
+        this._meshes[index] = mesh;
+        this.scene.add(mesh);
+        this._paintWallMesh(index);
+        this._placeWallMesh(index);
+    }
+
+    /** Walls that start with fewer hits than their type's full count show as damaged. */
+    _paintWallMesh(index) {
+        const wall = this.level.walls[index];
+        const fullHits = WallManager.fullHits(wall.type);
+        WallManager.paintWallMesh(this._meshes[index], wall.type, (wall.hits ?? fullHits) < fullHits);
+    }
+
+    _placeWallMesh(index) {
+        const wall = this.level.walls[index];
+        const mesh = this._meshes[index];
+        mesh.position.set(wall.x, CONFIG.DIMENSIONS.WALL_HEIGHT / 2, wall.z);
+        mesh.rotation.y = wall.rotationY;
+    }
+
+    _placeBallMesh() {
+        this._ballMesh.position.set(this.level.ball.x, CONFIG.DIMENSIONS.BALL_RADIUS, this.level.ball.z);
+    }
+
+    /** Keep the selection outline on the selected wall. */
+    _updateOutline() {
+        if (this._outline) {
+            this._outline.parent?.remove(this._outline);
+            this._outline.geometry.dispose();
+            this._outline.material.dispose();
+            this._outline = null;
+        }
+        const mesh = this._meshes[this.selected];
+        if (!mesh) return;
+        this._outline = new THREE.LineSegments(
+            new THREE.EdgesGeometry(mesh.geometry),
+            new THREE.LineBasicMaterial({ color: CONFIG.COLORS.EDITOR_SELECTION })
+        );
+        this._outline.scale.setScalar(1.15);
+        mesh.add(this._outline);
+    }
+
+    _disposeMesh(mesh) {
+        this.scene.remove(mesh);
+        mesh.geometry.dispose();
+        mesh.material.dispose();
+    }
+
+    _clearMeshes() {
+        for (const mesh of this._meshes) this._disposeMesh(mesh);
+        this._meshes = [];
+        this._updateOutline();
+    }
+
+    _changed() {
+        this._updateOutline();
+        if (this.onChange) this.onChange();
+    }
+}
+
+function clamp(value, limit) {
+    return Math.max(-limit, Math.min(limit, value));
+}
+
+/** Angle in (-π, π], so exported rotations stay small and readable. */
+function normalizeAngle(angle) {
+    const turned = angle % (Math.PI * 2);
+    if (turned > Math.PI) return turned - Math.PI * 2;
+    if (turned <= -Math.PI) return turned + Math.PI * 2;
+    return turned;
+}
@@ -7,9 +7,15 @@ import { CONFIG } from '../config.js';
  * Updated from the main game loop (no internal rAF).
  */
 export class ParticleSystem {
-    constructor(scene) {
+    /**
+     * @param {THREE.Scene} scene
+     * @param {Function} [random] - Generator for burst jitter (see SeededRandom.js)
+     */
+    constructor(scene, random = Math.random) {
         this.scene = scene;
         this.bursts = [];
+        /** Burst jitter source; PoolGame seeds it per run so watched replays look the same. */
+        this.random = random;
     }
 
     /** Emit a burst of particles at the given position with the given color.
@@ -31,16 +37,16 @@ export class ParticleSystem {
             positions[i3 + 2] = position.z;
 
             // Random spherical velocity with upward bias
-            const theta = Math.random() * Math.PI * 2;
-            const phi = Math.random() * Math.PI * 0.8; // bias away from straight down
-            const speed = P.SPEED_MIN + Math.random() * (speedMax - P.SPEED_MIN);
+            const theta = this.random() * Math.PI * 2;
+            const phi = this.random() * Math.PI * 0.8; // bias away from straight down
+            const speed = P.SPEED_MIN + this.random() * (speedMax - P.SPEED_MIN);
 
             velocities[i3] = Math.sin(phi) * Math.cos(theta) * speed;
             velocities[i3 + 1] = Math.abs(Math.cos(phi)) * speed;
             velocities[i3 + 2] = Math.sin(phi) * Math.sin(theta) * speed;
 
             ages[i] = 0;
-            lifetimes[i] = P.LIFETIME_MIN + Math.random() * (P.LIFETIME_MAX - P.LIFETIME_MIN);
+            lifetimes[i] = P.LIFETIME_MIN + this.random() * (P.LIFETIME_MAX - P.LIFETIME_MIN);
         }
 
         const geometry = new THREE.BufferGeometry();
@@ -8,19 +8,10 @@ import { CONFIG } from '../config.js';
 export class Ball {
     constructor(scene, physics, existingMaterial = null) {
         const radius = CONFIG.DIMENSIONS.BALL_RADIUS;
-        const segments = CONFIG.DIMENSIONS.BALL_SEGMENTS;
 
         // Visual
-        const geometry = new THREE.SphereGeometry(radius, segments, segments);
-        const material = new THREE.MeshPhongMaterial({
-            color: CONFIG.COLORS.BALL,
-            shininess: CONFIG.MATERIALS.BALL_SHININESS,
-            emissive: CONFIG.COLORS.BALL,
-            emissiveIntensity: CONFIG.MATERIALS.BALL_EMISSIVE_INTENSITY
-        });
-        this.mesh = new THREE.Mesh(geometry, material);
+        this.mesh = Ball.createMesh();
         this.mesh.position.set(0, radius, 0);
-        this.mesh.castShadow = true;
         scene.add(this.mesh);
 
         // Physics (reuse material for extra balls so contact materials apply)
@@ -37,8 +28,45 @@ export class Ball {
         physics.addBody(this.body);
     }
 
-    /** Sync Three.js mesh to Cannon body position. */
-    syncMeshToBody() {
+    /** Build a ball mesh (not added to any scene). */
+    static createMesh() {
+        const radius = CONFIG.DIMENSIONS.BALL_RADIUS;
+        const segments = CONFIG.DIMENSIONS.BALL_SEGMENTS;
+        const geometry = new THREE.SphereGeometry(radius, segments, segments);
+        const material = new THREE.MeshPhongMaterial({
+            color: CONFIG.COLORS.BALL,
+            shininess: CONFIG.MATERIALS.BALL_SHININESS,
+            emissive: CONFIG.COLORS.BALL,
+            emissiveIntensity: CONFIG.MATERIALS.BALL_EMISSIVE_INTENSITY
+        });
+        const mesh = new THREE.Mesh(geometry, material);
+        mesh.castShadow = true;
+        return mesh;
+    }
+
+    /**
+     * Sync Three.js mesh to Cannon body position.
+     * @param {number} [alpha] - Interpolate from the previous physics step (fixed-timestep mode)
+     */
+    syncMeshToBody(alpha = 1) {
+        if (alpha >= 1) {
+            this.mesh.position.copy(this.body.position);
+            return;
+        }
+        const prev = this.body.previousPosition;
+        const curr = this.body.position;
+        this.mesh.position.set(
+            prev.x + (curr.x - prev.x) * alpha,
+            prev.y + (curr.y - prev.y) * alpha,
+            prev.z + (curr.z - prev.z) * alpha
+        );
+    }
+
+    /** Teleport the ball on the table plane (no interpolation from the old spot). */
+    setPosition(x, z) {
+        const radius = this.body.shapes[0].radius;
+        this.body.position.set(x, radius, z);
+        this.body.previousPosition.copy(this.body.position);
         this.mesh.position.copy(this.body.position);
     }
 
@@ -64,8 +92,17 @@ export class Ball {
     }
 
     reset() {
-        const radius = this.mesh.geometry.parameters.radius;
-        this.body.position.set(0, radius, 0);
+        this.setPosition(0, 0);
         this.stop();
     }
+
+    /** Re-read the CONFIG.PHYSICS values the body was built with (live tuning). */
+    applyTuning() {
+        const P = CONFIG.PHYSICS;
+        this.body.mass = P.BALL_MASS;
+        this.body.updateMassProperties();
+        this.body.linearDamping = P.BALL_LINEAR_DAMPING;
+        this.body.sleepSpeedLimit = P.BALL_SLEEP_SPEED_LIMIT;
+        this.body.sleepTimeLimit = P.BALL_SLEEP_TIME_LIMIT;
+    }
 }
@@ -10,14 +10,7 @@ export class Table {
         const { TABLE_WIDTH, TABLE_HEIGHT, TABLE_DEPTH } = CONFIG.DIMENSIONS;
 
         // Visual
-        const geometry = new THREE.BoxGeometry(TABLE_WIDTH, TABLE_HEIGHT, TABLE_DEPTH);
-        const material = new THREE.MeshPhongMaterial({
-            color: CONFIG.COLORS.TABLE,
-            side: THREE.DoubleSide
-        });
-        const mesh = new THREE.Mesh(geometry, material);
-        mesh.receiveShadow = true;
-        scene.add(mesh);
+        scene.add(Table.createMesh());
 
         // Physics
         const body = new CANNON.Body({
@@ -29,6 +22,26 @@ export class Table {
         this.physicsMaterial = body.material;
     }
 
+    /** Build the table top mesh (not added to any scene). */
+    static createMesh() {
+        const { TABLE_WIDTH, TABLE_HEIGHT, TABLE_DEPTH } = CONFIG.DIMENSIONS;
+        const geometry = new THREE.BoxGeometry(TABLE_WIDTH, TABLE_HEIGHT, TABLE_DEPTH);
+        const material = new THREE.MeshPhongMaterial({
+            color: CONFIG.COLORS.TABLE,
+            side: THREE.DoubleSide
+        });
+        const mesh = new THREE.Mesh(geometry, material);
+        mesh.receiveShadow = true;
+        return mesh;
+    }
+
+    /** Re-read the cushion's CONFIG.PHYSICS contact values (live tuning). */
+    applyTuning() {
+        if (!this.cushionContact) return;
+        this.cushionContact.friction = CONFIG.PHYSICS.BALL_CUSHION_FRICTION;
+        this.cushionContact.restitution = CONFIG.PHYSICS.BALL_CUSHION_RESTITUTION;
+    }
+
     /** Creates the 4 invisible boundary cushion walls around the table. */
     createBoundaryWalls(physics, ballMaterial) {
         const { WALL_HEIGHT, BOUNDARY_WALL_THICKNESS, TABLE_WIDTH, TABLE_DEPTH } = CONFIG.DIMENSIONS;
@@ -44,6 +57,7 @@ export class Table {
             }
         );
         physics.addContactMaterial(contactMaterial);
+        this.cushionContact = contactMaterial;
 
         const walls = [
             { shape: new CANNON.Vec3(BOUNDARY_WALL_THICKNESS, WALL_HEIGHT, hd), pos: new CANNON.Vec3(-hw, WALL_HEIGHT / 2, 0) },
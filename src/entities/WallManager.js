@@ -1,51 +1,92 @@
 import * as THREE from 'three';
 import * as CANNON from 'cannon';
 import { CONFIG } from '../config.js';
+import { createRandom } from '../core/SeededRandom.js';
+import { getDifficulty } from '../core/Difficulty.js';
+import { GameEvents } from '../core/GameEvents.js';
 
 /**
  * Manages breakable wall lifecycle: creation, collision queueing, removal,
  * fade-out, power-up activation, bomb chain reactions, and glow animation.
+ * Reports hits, breaks and count changes on the game's EventBus (see GameEvents).
  */
 export class WallManager {
-    constructor(scene, physics) {
+    /**
+     * @param {GameClock} clock - Game clock driving fades and bomb-chain staggering
+     * @param {EventBus} events - Receives the wall events
+     */
+    constructor(scene, physics, clock, events) {
         this.scene = scene;
         this.physics = physics;
+        this.clock = clock;
+        this.events = events;
+        this.difficulty = getDifficulty(); // wall counts and spawn table of generated levels
         this.walls = [];
         this.fadingWalls = [];
+        this.stagedWalls = []; // detached by a bomb, visual removal still pending
         this.wallRemovalQueue = [];
         this.removedBodies = new Set();
         this.wallContactMaterials = [];
+        this.behaviorMaterials = {};
         this.powerupWalls = [];
+        this._nextWallId = 1;
+    }
+
+    /** Hits a fresh wall of this type takes before it breaks. */
+    static fullHits(type) {
+        return type === 'robust' ? 2 : 1;
+    }
 
-        /** @type {Function|null} Called with (impactPos) when a wall is removed. */
-        this.onWallRemoved = null;
-        /** @type {Function|null} Called when all walls are cleared (level complete). */
-        this.onAllCleared = null;
-        /** @type {Function|null} Called after any wall count change so HUD can update. */
-        this.onCountChanged = null;
-        /** @type {Function|null} Called with (type, position) when a power-up wall is destroyed. */
-        this.onPowerUp = null;
+    /** Build the visual mesh for a wall of the given type and length (not added to any scene). */
+    static createWallMesh(type, length) {
+        const { WALL_HEIGHT, WALL_THICKNESS } = CONFIG.DIMENSIONS;
+        const geometry = new THREE.BoxGeometry(length, WALL_HEIGHT, WALL_THICKNESS);
+        const mesh = new THREE.Mesh(geometry, new THREE.MeshPhongMaterial({
+            shininess: CONFIG.MATERIALS.WALL_SHININESS
+        }));
+        mesh.castShadow = true;
+        mesh.receiveShadow = true;
+        WallManager.paintWallMesh(mesh, type);
+        return mesh;
+    }
+
+    /** Apply a wall type's color and glow; a damaged robust wall turns to the normal wall color. */
+    static paintWallMesh(mesh, type, damaged = false) {
+        const material = mesh.material;
+        if (damaged) {
+            material.color.set(CONFIG.WALL_BEHAVIORS.normal.color);
+            material.emissive.setHex(0x000000);
+            material.emissiveIntensity = 0;
+            return;
+        }
+        const isPowerUp = type in CONFIG.POWERUPS;
+        const color = isPowerUp ? CONFIG.POWERUPS[type].color : CONFIG.WALL_BEHAVIORS[type].color;
+        // Only power-ups and extraBounce should pulse
+        const shouldPulse = isPowerUp || type === 'extraBounce';
+        material.color.set(color);
+        material.emissive.set(shouldPulse ? color : 0x000000);
+        material.emissiveIntensity = shouldPulse ? (type === 'bomb' ? 0.7 : 0.5) : 0;
     }
 
     get count() { return this.walls.length; }
 
-    /** Queue a wall for removal (called from ball collision event). */
-    queueRemoval(otherBody, impactPos) {
+    /**
+     * Queue a wall for removal (called from ball collision event).
+     * @param {CANNON.Body} [ballBody] - The ball that hit it, passed on in WALL_HIT
+     */
+    queueRemoval(otherBody, impactPos, ballBody = null) {
         if (this.removedBodies.has(otherBody.id)) return;
         const wall = this.walls.find(w => w.body === otherBody);
         if (wall && !wall.removing) {
-            if (wall.hitsRemaining > 1) {
+            const blocked = wall.hitsRemaining > 1;
+            if (blocked) {
                 wall.hitsRemaining--;
-                // Turn robust wall to normal wall color after first hit
-                const normalColor = CONFIG.WALL_BEHAVIORS.normal.color;
-                wall.mesh.material.color.setHex(normalColor);
-                wall.mesh.material.emissive.setHex(0x000000);
-                wall.mesh.material.emissiveIntensity = 0;
-                if (this.onWallBlocked) this.onWallBlocked(impactPos, wall.type);
-                return;
+                WallManager.paintWallMesh(wall.mesh, wall.type, true);
+            } else {
+                wall.removing = true;
+                this.wallRemovalQueue.push({ wall, impactPos });
             }
-            wall.removing = true;
-            this.wallRemovalQueue.push({ wall, impactPos });
+            this.events.emit(GameEvents.WALL_HIT, { wall, position: impactPos, blocked, ball: ballBody });
         }
     }
 
@@ -59,9 +100,9 @@ export class WallManager {
         }
     }
 
-    /** Get spawn rate table for the current level. */
+    /** Get spawn rate table for the current level (tiers shifted by the difficulty). */
     _getSpawnRates(level) {
-        const rates = CONFIG.WALL_SPAWN_RATES;
+        const rates = this.difficulty.spawnRates;
         return (rates.find(r => level <= r.maxLevel) || rates[rates.length - 1]).types;
     }
 
@@ -76,7 +117,7 @@ export class WallManager {
     }
 
     /** Squared distance from a point to a line segment in 2D (XZ plane). */
-    _pointToSegmentDistSq(px, pz, ax, az, bx, bz) {
+    static pointToSegmentDistSq(px, pz, ax, az, bx, bz) {
         const abx = bx - ax, abz = bz - az;
         const apx = px - ax, apz = pz - az;
         const lenSq = abx * abx + abz * abz;
@@ -86,19 +127,23 @@ export class WallManager {
         return dx * dx + dz * dz;
     }
 
-    /** Generate breakable walls for the given level. */
-    createWalls(level, ballMaterial, ballPosition) {
-        this.clear();
-
-        // Remove previous level's contact materials
-        for (const cm of this.wallContactMaterials) {
-            this.physics.removeContactMaterial(cm);
+    /**
+     * Generate breakable walls for the given level, or lay out a handcrafted one.
+     * The same generator state, level and ball position always yield the same layout.
+     * @param {Function|Object} [source] - `() => number` in [0, 1) (pass a seeded generator for
+     *   reproducible layouts), or a parsed level file (see LevelFile.js) whose walls are placed as listed
+     */
+    createWalls(level, ballMaterial, ballPosition, source = Math.random) {
+        if (typeof source !== 'function') {
+            const walls = source.walls.map(({ hits, ...wall }) => ({ ...wall, hitsRemaining: hits }));
+            this.restoreWalls(walls, ballMaterial);
+            return;
         }
-        this.wallContactMaterials = [];
-        this.powerupWalls = [];
+        const random = source;
+        this._resetLevel(ballMaterial);
 
-        const { WALL_MIN_LENGTH, WALL_MAX_LENGTH, WALL_HEIGHT, WALL_THICKNESS, WALL_SPAWN_WIDTH, WALL_SPAWN_DEPTH, BALL_SPAWN_CLEARANCE, BOMB_MIN_LENGTH_LATE, BOMB_MAX_LENGTH_LATE } = CONFIG.DIMENSIONS;
-        const wallCount = CONFIG.GAME.BASE_WALL_COUNT + (level - 1) * CONFIG.GAME.WALLS_PER_LEVEL;
+        const { WALL_MIN_LENGTH, WALL_MAX_LENGTH, WALL_SPAWN_WIDTH, WALL_SPAWN_DEPTH, BALL_SPAWN_CLEARANCE, BOMB_MIN_LENGTH_LATE, BOMB_MAX_LENGTH_LATE } = CONFIG.DIMENSIONS;
+        const wallCount = this.difficulty.baseWallCount + (level - 1) * this.difficulty.wallsPerLevel;
         const spawnRates = this._getSpawnRates(level);
         const clearanceSq = BALL_SPAWN_CLEARANCE * BALL_SPAWN_CLEARANCE;
         const ballX = ballPosition ? ballPosition.x : 0;
@@ -107,43 +152,30 @@ export class WallManager {
         const useSmallerBombs = level >= CONFIG.GAME.BOMB_SIZE_CHANGE_LEVEL;
         let bombCount = 0;
 
-        // Create one CANNON.Material + ContactMaterial per behavior type
-        const behaviorMaterials = {};
-        for (const [name, def] of Object.entries(CONFIG.WALL_BEHAVIORS)) {
-            const mat = new CANNON.Material();
-            const contact = new CANNON.ContactMaterial(mat, ballMaterial, {
-                friction: def.friction,
-                restitution: def.restitution
-            });
-            this.physics.addContactMaterial(contact);
-            this.wallContactMaterials.push(contact);
-            behaviorMaterials[name] = mat;
-        }
-
         for (let i = 0; i < wallCount; i++) {
+            // One sub-stream per wall so re-rolls away from the ball don't shift the rest of the layout
+            const wallRandom = createRandom(Math.floor(random() * 4294967296));
             let x, z, rotationY, wallLength;
             const maxAttempts = 20;
             let attempts = 0;
 
             // Re-roll position until the wall doesn't overlap the ball
             do {
-                x = (Math.random() - 0.5) * WALL_SPAWN_WIDTH;
-                z = (Math.random() - 0.5) * WALL_SPAWN_DEPTH;
-                rotationY = Math.random() * Math.PI * 2;
-                wallLength = WALL_MIN_LENGTH + Math.random() * (WALL_MAX_LENGTH - WALL_MIN_LENGTH);
+                x = (wallRandom() - 0.5) * WALL_SPAWN_WIDTH;
+                z = (wallRandom() - 0.5) * WALL_SPAWN_DEPTH;
+                rotationY = wallRandom() * Math.PI * 2;
+                wallLength = WALL_MIN_LENGTH + wallRandom() * (WALL_MAX_LENGTH - WALL_MIN_LENGTH);
 
                 const halfLen = wallLength / 2;
                 const dx = Math.cos(rotationY) * halfLen;
                 const dz = Math.sin(rotationY) * halfLen;
-                const distSq = this._pointToSegmentDistSq(ballX, ballZ, x - dx, z - dz, x + dx, z + dz);
+                const distSq = WallManager.pointToSegmentDistSq(ballX, ballZ, x - dx, z - dz, x + dx, z + dz);
 
                 if (distSq >= clearanceSq) break;
                 attempts++;
             } while (attempts < maxAttempts);
 
-            const y = WALL_HEIGHT / 2;
-
-            const roll = Math.random();
+            const roll = wallRandom();
             const wallDef = spawnRates.find(wt => roll < wt.threshold);
             let type = wallDef.type;
 
@@ -153,49 +185,92 @@ export class WallManager {
             }
             if (type === 'bomb') bombCount++;
 
-            const isPowerUp = this._isPowerUp(type);
-            const behavior = this._getBehavior(type);
-            const color = isPowerUp ? CONFIG.POWERUPS[type].color : CONFIG.WALL_BEHAVIORS[type].color;
-
             // Bomb walls get smaller dimensions after BOMB_SIZE_CHANGE_LEVEL
             if (type === 'bomb' && useSmallerBombs) {
-                wallLength = BOMB_MIN_LENGTH_LATE + Math.random() * (BOMB_MAX_LENGTH_LATE - BOMB_MIN_LENGTH_LATE);
+                wallLength = BOMB_MIN_LENGTH_LATE + wallRandom() * (BOMB_MAX_LENGTH_LATE - BOMB_MIN_LENGTH_LATE);
             }
 
-            // Only power-ups and extraBounce should pulse
-            const shouldPulse = isPowerUp || type === 'extraBounce';
-
-            // Visual
-            const geometry = new THREE.BoxGeometry(wallLength, WALL_HEIGHT, WALL_THICKNESS);
-            const mesh = new THREE.Mesh(geometry, new THREE.MeshPhongMaterial({
-                color,
-                shininess: CONFIG.MATERIALS.WALL_SHININESS,
-                emissive: shouldPulse ? color : 0x000000,
-                emissiveIntensity: shouldPulse ? (type === 'bomb' ? 0.7 : 0.5) : 0
-            }));
-            mesh.castShadow = true;
-            mesh.receiveShadow = true;
-            mesh.position.set(x, y, z);
-            mesh.rotation.y = rotationY;
-            this.scene.add(mesh);
-
-            // Physics
-            const body = new CANNON.Body({
-                type: CANNON.Body.STATIC,
-                shape: new CANNON.Box(new CANNON.Vec3(wallLength / 2, WALL_HEIGHT / 2, WALL_THICKNESS / 2)),
-                position: new CANNON.Vec3(x, y, z),
-                material: behaviorMaterials[behavior]
-            });
-            body.quaternion.setFromAxisAngle(new CANNON.Vec3(0, 1, 0), rotationY);
-            body.wallType = type;
-            this.physics.addBody(body);
+            this._addWall({ type, x, z, rotationY, length: wallLength });
+        }
+    }
+
+    /**
+     * Rebuild walls from a `serialize()` snapshot (saved runs).
+     * @param {Object[]} descriptors - `{ type, x, z, rotationY, length, hitsRemaining }` entries
+     */
+    restoreWalls(descriptors, ballMaterial) {
+        this._resetLevel(ballMaterial);
+        for (const desc of descriptors) this._addWall(desc);
+    }
 
-            const wall = { mesh, body, type, isPowerUp, hitsRemaining: type === 'robust' ? 2 : 1 };
-            this.walls.push(wall);
-            if (shouldPulse) this.powerupWalls.push(wall);
+    /** Plain-data description of every remaining wall (inverse of restoreWalls). */
+    serialize() {
+        return this.walls.map(({ id, type, x, z, rotationY, length, hitsRemaining }) => (
+            { id, type, x, z, rotationY, length, hitsRemaining }
+        ));
+    }
+
+    /** Clear walls and recreate one CANNON.Material + ContactMaterial per behavior type. */
+    _resetLevel(ballMaterial) {
+        this.clear();
+
+        // Remove previous level's contact materials
+        for (const cm of this.wallContactMaterials) {
+            this.physics.removeContactMaterial(cm);
+        }
+        this.wallContactMaterials = [];
+        this.powerupWalls = [];
+
+        this.behaviorMaterials = {};
+        for (const [name, def] of Object.entries(CONFIG.WALL_BEHAVIORS)) {
+            const mat = new CANNON.Material();
+            const contact = new CANNON.ContactMaterial(mat, ballMaterial, {
+                friction: def.friction,
+                restitution: def.restitution
+            });
+            this.physics.addContactMaterial(contact);
+            this.wallContactMaterials.push(contact);
+            this.behaviorMaterials[name] = mat;
         }
     }
 
+    /** Create one wall's mesh + static body. `hitsRemaining` defaults to the type's full count. */
+    _addWall({ type, x, z, rotationY, length, hitsRemaining }) {
+        const { WALL_HEIGHT, WALL_THICKNESS } = CONFIG.DIMENSIONS;
+        const y = WALL_HEIGHT / 2;
+        const isPowerUp = this._isPowerUp(type);
+        const behavior = this._getBehavior(type);
+        const shouldPulse = isPowerUp || type === 'extraBounce';
+
+        // Visual
+        const mesh = WallManager.createWallMesh(type, length);
+        mesh.position.set(x, y, z);
+        mesh.rotation.y = rotationY;
+        this.scene.add(mesh);
+
+        // Physics
+        const body = new CANNON.Body({
+            type: CANNON.Body.STATIC,
+            shape: new CANNON.Box(new CANNON.Vec3(length / 2, WALL_HEIGHT / 2, WALL_THICKNESS / 2)),
+            position: new CANNON.Vec3(x, y, z),
+            material: this.behaviorMaterials[behavior]
+        });
+        body.quaternion.setFromAxisAngle(new CANNON.Vec3(0, 1, 0), rotationY);
+        body.wallType = type;
+        this.physics.addBody(body);
+
+        const fullHits = WallManager.fullHits(type);
+        const wall = {
+            id: this._nextWallId++,
+            mesh, body, type, isPowerUp, x, z, rotationY, length,
+            hitsRemaining: hitsRemaining ?? fullHits
+        };
+        this.walls.push(wall);
+        if (shouldPulse) this.powerupWalls.push(wall);
+        if (wall.hitsRemaining < fullHits) WallManager.paintWallMesh(mesh, type, true);
+        return wall;
+    }
+
     /** Remove a wall's physics body and bookkeeping. Returns false if already removed. */
     _detachWall(wall) {
         if (this.removedBodies.has(wall.body.id)) return false;
@@ -205,38 +280,41 @@ export class WallManager {
         if (idx > -1) this.walls.splice(idx, 1);
         const pIdx = this.powerupWalls.indexOf(wall);
         if (pIdx > -1) this.powerupWalls.splice(pIdx, 1);
+        this.events.emit(GameEvents.WALL_DETACHED, { wall });
         return true;
     }
 
-    /** Play visual effects (callbacks, particles, flash, sound) and fade out mesh. */
+    /** Announce the break (effects, scoring, power-up) and fade out mesh. */
     _showRemoval(wall, impactPos) {
-        if (this.onWallRemoved && impactPos) {
-            this.onWallRemoved(impactPos, wall.type, wall.isPowerUp);
-        }
-        if (wall.isPowerUp && this.onPowerUp) {
-            this.onPowerUp(wall.type, wall.body.position);
+        this.events.emit(GameEvents.WALL_DESTROYED, {
+            wall, type: wall.type, position: impactPos, isPowerUp: wall.isPowerUp
+        });
+        if (wall.isPowerUp) {
+            this.events.emit(GameEvents.POWERUP_TRIGGERED, { type: wall.type, position: wall.body.position });
         }
 
-        // Fade out mesh
+        // Fade out mesh (advanced by updateFading)
         wall.mesh.material.transparent = true;
+        wall.fadeStart = this.clock.now;
+        this.fadingWalls.push(wall);
+    }
+
+    /** Advance wall fade-outs on game time. Call from game loop. */
+    updateFading() {
         const fadeOutDuration = CONFIG.EFFECTS.WALL_FADE_DURATION;
-        const startTime = Date.now();
-        const fadeInterval = setInterval(() => {
-            const elapsed = Date.now() - startTime;
-            const progress = elapsed / fadeOutDuration;
+        for (let i = this.fadingWalls.length - 1; i >= 0; i--) {
+            const wall = this.fadingWalls[i];
+            const progress = (this.clock.now - wall.fadeStart) / fadeOutDuration;
             if (progress >= 1) {
-                clearInterval(fadeInterval);
                 this.scene.remove(wall.mesh);
                 wall.mesh.geometry.dispose();
                 wall.mesh.material.dispose();
-                const fadeIdx = this.fadingWalls.indexOf(wall);
-                if (fadeIdx > -1) this.fadingWalls.splice(fadeIdx, 1);
+                this.fadingWalls.splice(i, 1);
             } else {
                 const easedProgress = 1 - Math.pow(2, -10 * progress);
                 wall.mesh.material.opacity = 1 - easedProgress;
             }
-        }, 16);
-        this.fadingWalls.push(wall);
+        }
     }
 
     _removeWall(wall, impactPos) {
@@ -249,7 +327,7 @@ export class WallManager {
             this._triggerBomb(wall.body);
         }
 
-        if (this.onCountChanged) this.onCountChanged();
+        this.events.emit(GameEvents.WALLS_CHANGED, { count: this.walls.length });
     }
 
     /** Compute the XZ axis-aligned half-extents for a rotated box body. */
@@ -279,11 +357,15 @@ export class WallManager {
         for (const wall of victims) this._detachWall(wall);
 
         // Update count once for all detached walls
-        if (victims.length > 0 && this.onCountChanged) this.onCountChanged();
+        if (victims.length > 0) this.events.emit(GameEvents.WALLS_CHANGED, { count: this.walls.length });
 
-        // Stagger visual effects across frames (~50ms apart)
+        // Stagger visual effects across frames (~50ms of game time apart)
         victims.forEach((wall, i) => {
-            setTimeout(() => {
+            this.stagedWalls.push(wall);
+            this.clock.setTimeout(() => {
+                const idx = this.stagedWalls.indexOf(wall);
+                if (idx === -1) return; // cleared meanwhile
+                this.stagedWalls.splice(idx, 1);
                 this._showRemoval(wall, wall.body.position.clone());
             }, (i + 1) * 50);
         });
@@ -318,6 +400,12 @@ export class WallManager {
             this.scene.remove(wall.mesh);
         });
         this.fadingWalls = [];
+        this.stagedWalls.forEach(wall => {
+            this.scene.remove(wall.mesh);
+            wall.mesh.geometry.dispose();
+            wall.mesh.material.dispose();
+        });
+        this.stagedWalls = [];
     }
 
     /** Clear walls AND contact materials (used when returning to home screen). */
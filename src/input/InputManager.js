@@ -1,32 +1,37 @@
 import * as THREE from 'three';
 import { CONFIG } from '../config.js';
+import { GameEvents } from '../core/GameEvents.js';
 
 const Y_AXIS = new THREE.Vector3(0, 1, 0);
 
 /**
  * Handles mouse and touch input for aiming and shooting the ball.
+ * Emits SHOT_REQUESTED, AIM_POWER_CHANGED, BALL_PLACE_REQUESTED and the level editor's
+ * EDIT_POINTER_* events on the game's EventBus.
  */
 export class InputManager {
-    constructor(camera, renderer, controls, scene) {
+    constructor(camera, renderer, controls, scene, events) {
         this.camera = camera;
         this.controls = controls;
+        this.events = events;
         this.isAiming = false;
         this.aimStart = new THREE.Vector3();
         this.aimEnd = new THREE.Vector3();
         this.activeTouchId = null;
         this.viewAngle = 0;
 
-        // Callbacks (set by game)
+        // Queries (set by game)
         /** @type {Function} Returns true if a shot is allowed. */
         this.canShoot = () => true;
         /** @type {Function} Returns the ball mesh position (THREE.Vector3). */
         this.getBallPosition = () => new THREE.Vector3();
-        /** @type {Function|null} Called with (direction: THREE.Vector3, magnitude: number). */
-        this.onShoot = null;
-        /** @type {Function|null} Called with (powerRatio: number) 0–1 during aiming, null on release. */
-        this.onAimPowerChange = null;
         /** Aim line scale factor (0 = hidden, 1 = full length). Set by game per level. */
         this.aimLineScale = 1;
+        /** Practice tool: while true, a tap on the table requests the ball there instead of aiming. */
+        this.placingBall = false;
+        /** Level editor: while true, presses and drags on the table are reported as EDIT_POINTER_* events. */
+        this.editing = false;
+        this._editDragging = false;
 
         // Aiming line
         const lineGeometry = new THREE.BufferGeometry();
@@ -42,6 +47,10 @@ export class InputManager {
         const raycaster = new THREE.Raycaster();
         const inputPos = new THREE.Vector2();
 
+        // Presses on HUD buttons and other overlay controls never start a shot
+        const isOverlayControl = (event) =>
+            event.target instanceof Element && event.target.closest('button, input, select') !== null;
+
         const getInputPosition = (event) => {
             if (event.touches && event.touches.length > 0) {
                 let touch = event.touches[0];
@@ -62,7 +71,36 @@ export class InputManager {
             }
         };
 
+        // Where the pointer meets the plane at ball height, or null if it points away from it
+        const pickTablePoint = (event) => {
+            const pos = getInputPosition(event);
+            inputPos.x = (pos.x / window.innerWidth) * 2 - 1;
+            inputPos.y = -(pos.y / window.innerHeight) * 2 + 1;
+            raycaster.setFromCamera(inputPos, this.camera);
+            const plane = new THREE.Plane(new THREE.Vector3(0, 1, 0), -CONFIG.DIMENSIONS.BALL_RADIUS);
+            const intersection = new THREE.Vector3();
+            return raycaster.ray.intersectPlane(plane, intersection) ? { x: intersection.x, z: intersection.z } : null;
+        };
+
         const onInputStart = (event) => {
+            if (isOverlayControl(event)) return;
+
+            if (this.editing) {
+                if (event.type === 'touchstart') event.preventDefault();
+                const point = pickTablePoint(event);
+                if (!point) return;
+                this._editDragging = true;
+                this.events.emit(GameEvents.EDIT_POINTER_DOWN, point);
+                return;
+            }
+
+            if (this.placingBall) {
+                if (event.type === 'touchstart') event.preventDefault();
+                const point = pickTablePoint(event);
+                if (point) this.events.emit(GameEvents.BALL_PLACE_REQUESTED, point);
+                return;
+            }
+
             if (!this.canShoot()) return;
             if (event.type === 'touchstart') event.preventDefault();
 
@@ -70,11 +108,7 @@ export class InputManager {
             if (this.isAiming && event.changedTouches) {
                 const newTouch = event.changedTouches[0];
                 if (newTouch.identifier !== this.activeTouchId) {
-                    this.isAiming = false;
-                    this.activeTouchId = null;
-                    this.aimingLine.visible = false;
-                    this.controls.enabled = true;
-                    if (this.onAimPowerChange) this.onAimPowerChange(null);
+                    this.cancelAim();
                 }
                 return;
             }
@@ -112,6 +146,11 @@ export class InputManager {
 
         const onInputMove = (event) => {
             if (event.type === 'touchmove') event.preventDefault();
+            if (this._editDragging) {
+                const point = pickTablePoint(event);
+                if (point) this.events.emit(GameEvents.EDIT_POINTER_MOVE, point);
+                return;
+            }
             if (!this.isAiming) return;
 
             const pos = getInputPosition(event);
@@ -134,6 +173,11 @@ export class InputManager {
         };
 
         const onInputEnd = (event) => {
+            if (this._editDragging) {
+                this._editDragging = false;
+                this.events.emit(GameEvents.EDIT_POINTER_UP);
+                return;
+            }
             if (!this.isAiming) return;
 
             if (event.type === 'touchend' || event.type === 'touchcancel') {
@@ -148,16 +192,10 @@ export class InputManager {
             const magnitude = Math.min(distance * CONFIG.AIMING.IMPULSE_MULTIPLIER, CONFIG.AIMING.MAX_IMPULSE);
             direction.normalize();
 
-            if (this.onShoot) {
-                this.onShoot(direction, magnitude);
-            }
+            this.events.emit(GameEvents.SHOT_REQUESTED, { direction, magnitude });
 
             // Reset aiming state
-            this.isAiming = false;
-            this.activeTouchId = null;
-            this.aimingLine.visible = false;
-            this.controls.enabled = true;
-            if (this.onAimPowerChange) this.onAimPowerChange(null);
+            this.cancelAim();
         };
 
         window.addEventListener('mousedown', onInputStart);
@@ -173,6 +211,16 @@ export class InputManager {
         this._onInputEnd = onInputEnd;
     }
 
+    /** Abort an in-progress aim without shooting (second finger, pause). */
+    cancelAim() {
+        if (!this.isAiming) return;
+        this.isAiming = false;
+        this.activeTouchId = null;
+        this.aimingLine.visible = false;
+        this.controls.enabled = true;
+        this.events.emit(GameEvents.AIM_POWER_CHANGED, { ratio: null });
+    }
+
     /** Apply accumulated view rotation on top of the current camera orientation. */
     applyViewRotation() {
         if (this.viewAngle !== 0) {
@@ -180,14 +228,12 @@ export class InputManager {
         }
     }
 
-    /** Update power ratio callback and aim line geometry from current aimStart/aimEnd. */
+    /** Emit the power ratio and update aim line geometry from current aimStart/aimEnd. */
     _updateAim() {
-        // Notify power ratio for visual feedback (ball color)
-        if (this.onAimPowerChange) {
-            const dragDist = new THREE.Vector3().subVectors(this.aimStart, this.aimEnd).length();
-            const magnitude = Math.min(dragDist * CONFIG.AIMING.IMPULSE_MULTIPLIER, CONFIG.AIMING.MAX_IMPULSE);
-            this.onAimPowerChange(magnitude / CONFIG.AIMING.MAX_IMPULSE);
-        }
+        // Power ratio for visual feedback (ball color)
+        const dragDist = new THREE.Vector3().subVectors(this.aimStart, this.aimEnd).length();
+        const magnitude = Math.min(dragDist * CONFIG.AIMING.IMPULSE_MULTIPLIER, CONFIG.AIMING.MAX_IMPULSE);
+        this.events.emit(GameEvents.AIM_POWER_CHANGED, { ratio: magnitude / CONFIG.AIMING.MAX_IMPULSE });
 
         // Draw predictive line in shot direction (reversed from drag)
         if (this.aimLineScale > 0) {
@@ -0,0 +1,91 @@
+import { CONFIG } from '../config.js';
+
+/**
+ * Handcrafted level files. Instead of a seed, a level lists its walls outright:
+ *
+ *   { format, version, id, name, ball: { x, z }, shots, par,
+ *     walls: [{ type, x, z, rotationY, length, hits }, ...] }
+ *
+ * Coordinates are on the table plane with the origin at its center (x along the width,
+ * z along the depth); `rotationY` is in radians about the vertical axis. `hits` is how
+ * many hits a wall takes (optional, defaults to the type's full count: 2 for robust
+ * walls, 1 otherwise). `shots` is the level's budget and `par` the shot count to beat.
+ */
+
+export const LEVEL_FORMAT = 'poolanoid-level';
+export const LEVEL_VERSION = 1;
+
+export function createLevel({ id, name, ball, shots, par, walls }) {
+    return {
+        format: LEVEL_FORMAT,
+        version: LEVEL_VERSION,
+        id,
+        name,
+        ball: { x: ball.x, z: ball.z },
+        shots,
+        par,
+        walls: walls.map(({ type, x, z, rotationY, length, hits }) => (
+            hits === undefined ? { type, x, z, rotationY, length } : { type, x, z, rotationY, length, hits }
+        ))
+    };
+}
+
+/** Save a level through the browser's download prompt. */
+export function downloadLevel(level) {
+    const blob = new Blob([JSON.stringify(level, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `poolanoid-level-${level.id}.json`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Parse and validate a level, given as file text or an already-parsed object.
+ * @returns {Object} A fresh copy (see createLevel), safe to hand to WallManager.createWalls
+ * @throws {Error} With a player-facing message when it isn't a playable level
+ */
+export function parseLevel(source) {
+    let level = source;
+    if (typeof source === 'string') {
+        try {
+            level = JSON.parse(source);
+        } catch {
+            throw new Error('Not a level file');
+        }
+    }
+    if (!level || level.format !== LEVEL_FORMAT) throw new Error('Not a level file');
+    if (level.version !== LEVEL_VERSION) throw new Error(`Unsupported level version ${level.version}`);
+
+    const { TABLE_WIDTH, TABLE_DEPTH, BOUNDARY_WALL_THICKNESS, BALL_RADIUS } = CONFIG.DIMENSIONS;
+    const onTable = (x, z, margin) => Number.isFinite(x) && Number.isFinite(z)
+        && Math.abs(x) <= TABLE_WIDTH / 2 - margin && Math.abs(z) <= TABLE_DEPTH / 2 - margin;
+    const isCount = (n) => Number.isInteger(n) && n >= 1;
+
+    if (typeof level.id !== 'string' || !level.id || typeof level.name !== 'string') {
+        throw new Error('Level file is damaged');
+    }
+    if (!level.ball || !onTable(level.ball.x, level.ball.z, BOUNDARY_WALL_THICKNESS + BALL_RADIUS)) {
+        throw new Error(`Level "${level.name}": the ball starts off the table`);
+    }
+    if (!isCount(level.shots) || !isCount(level.par) || level.par > level.shots) {
+        throw new Error(`Level "${level.name}": needs a shot budget of at least its par`);
+    }
+    if (!Array.isArray(level.walls) || level.walls.length === 0) {
+        throw new Error(`Level "${level.name}": has no walls`);
+    }
+
+    level.walls.forEach((wall, i) => {
+        const knownType = wall && (wall.type in CONFIG.WALL_BEHAVIORS || wall.type in CONFIG.POWERUPS);
+        const valid = knownType && onTable(wall.x, wall.z, 0)
+            && Number.isFinite(wall.rotationY)
+            && Number.isFinite(wall.length) && wall.length > 0 && wall.length <= TABLE_WIDTH
+            && (wall.hits === undefined || isCount(wall.hits));
+        if (!valid) throw new Error(`Level "${level.name}": wall ${i + 1} is invalid`);
+    });
+
+    return createLevel(level);
+}
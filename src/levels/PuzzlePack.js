@@ -0,0 +1,88 @@
+import { LEVEL_FORMAT, LEVEL_VERSION, parseLevel } from './LevelFile.js';
+
+const QUARTER = Math.PI / 2;
+const EIGHTH = Math.PI / 4;
+
+/**
+ * The curated puzzle pack, played in order (see LevelFile.js for the format). Ids are
+ * what solved state is stored under, so keep them stable when levels are tuned or moved.
+ */
+export const PUZZLE_PACK = [
+    {
+        id: 'first-break', name: 'First Break',
+        ball: { x: -3, z: 0 }, shots: 3, par: 1,
+        walls: [
+            { type: 'normal', x: 2, z: 0, rotationY: QUARTER, length: 3 }
+        ]
+    },
+    {
+        id: 'rebound', name: 'Rebound',
+        ball: { x: 0, z: 0 }, shots: 3, par: 1,
+        walls: [
+            { type: 'normal', x: -2.5, z: 0, rotationY: QUARTER, length: 2.5 },
+            { type: 'normal', x: 2.5, z: 0, rotationY: QUARTER, length: 2.5 }
+        ]
+    },
+    {
+        id: 'tough-nut', name: 'Tough Nut',
+        ball: { x: -3, z: 0 }, shots: 4, par: 2,
+        walls: [
+            { type: 'robust', x: 2, z: 0, rotationY: QUARTER, length: 2.5 },
+            { type: 'lowBounce', x: 3.5, z: 2.2, rotationY: 0, length: 2 },
+            { type: 'lowBounce', x: 3.5, z: -2.2, rotationY: 0, length: 2 }
+        ]
+    },
+    {
+        id: 'boxed-in', name: 'Boxed In',
+        ball: { x: 0, z: 0 }, shots: 6, par: 3,
+        walls: [
+            { type: 'normal', x: 0, z: -1.2, rotationY: 0, length: 2.4 },
+            { type: 'normal', x: 0, z: 1.2, rotationY: 0, length: 2.4 },
+            { type: 'extraBounce', x: -1.2, z: 0, rotationY: QUARTER, length: 2.4 },
+            { type: 'extraBounce', x: 1.2, z: 0, rotationY: QUARTER, length: 2.4 }
+        ]
+    },
+    {
+        id: 'chain-reaction', name: 'Chain Reaction',
+        ball: { x: -3.5, z: 0 }, shots: 3, par: 1,
+        walls: [
+            { type: 'bomb', x: 2, z: 0, rotationY: QUARTER, length: 1 },
+            { type: 'normal', x: 2, z: 1, rotationY: 0, length: 1.5 },
+            { type: 'normal', x: 2, z: -1, rotationY: 0, length: 1.5 },
+            { type: 'sticky', x: 3, z: 0, rotationY: QUARTER, length: 1.5 },
+            { type: 'normal', x: -1, z: 2.5, rotationY: 0, length: 2 }
+        ]
+    },
+    {
+        id: 'long-way-round', name: 'Long Way Round',
+        ball: { x: -4, z: 0 }, shots: 4, par: 2,
+        walls: [
+            { type: 'sticky', x: -2.5, z: 0, rotationY: QUARTER, length: 3 },
+            { type: 'extraShot', x: 0, z: 2.8, rotationY: 0, length: 1.5 },
+            { type: 'normal', x: 3, z: 0, rotationY: QUARTER, length: 2 },
+            { type: 'normal', x: 3, z: -2.5, rotationY: EIGHTH, length: 1.5 }
+        ]
+    },
+    {
+        id: 'mayhem', name: 'Mayhem',
+        ball: { x: -3.5, z: 0 }, shots: 6, par: 3,
+        walls: [
+            { type: 'multiBall', x: 0, z: 0, rotationY: QUARTER, length: 1.5 },
+            { type: 'normal', x: 3.5, z: 2.4, rotationY: EIGHTH, length: 1.8 },
+            { type: 'normal', x: 3.5, z: -2.4, rotationY: -EIGHTH, length: 1.8 },
+            { type: 'normal', x: -1.5, z: 2.6, rotationY: 0, length: 2 },
+            { type: 'normal', x: -1.5, z: -2.6, rotationY: 0, length: 2 },
+            { type: 'lowBounce', x: 4.2, z: 0, rotationY: QUARTER, length: 1.5 }
+        ]
+    },
+    {
+        id: 'robust-row', name: 'Robust Row',
+        ball: { x: -4, z: 0 }, shots: 7, par: 4,
+        walls: [
+            { type: 'robust', x: -1, z: 0, rotationY: QUARTER, length: 2 },
+            { type: 'robust', x: 1.5, z: 0, rotationY: QUARTER, length: 2, hits: 1 },
+            { type: 'robust', x: 4, z: 0, rotationY: QUARTER, length: 2 },
+            { type: 'extraShot', x: 1.5, z: 2.8, rotationY: 0, length: 1.2 }
+        ]
+    }
+].map(level => parseLevel({ format: LEVEL_FORMAT, version: LEVEL_VERSION, ...level }));
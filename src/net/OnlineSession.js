@@ -0,0 +1,122 @@
+import { CONFIG } from '../config.js';
+import { getConfigHash } from '../replay/RunReplay.js';
+
+/**
+ * Client side of online versus: one room on the relay (server/relay.mjs). Only shot
+ * inputs cross the wire; both browsers simulate the run from the seed the relay deals
+ * and fire every shot on the tick it was taken, so each table plays out the same way
+ * (as with run replays, this needs fixed-step physics and the same CONFIG on both).
+ *
+ * The relay URL is CONFIG.ONLINE.SERVER_URL unless the page has `?server=ws://host:port`.
+ */
+export class OnlineSession {
+    constructor() {
+        /** @type {Function|null} Called when joined and waiting for an opponent. */
+        this.onWaiting = null;
+        /** @type {Function|null} Called with ({ seed, seat }) when both players are in. */
+        this.onStart = null;
+        /** @type {Function|null} Called with ({ tick, direction, magnitude }) for each opponent shot. */
+        this.onShot = null;
+        /** @type {Function|null} Called when the opponent disconnects. */
+        this.onOpponentLeft = null;
+        /** @type {Function|null} Called when the opponent's table fell out of step with theirs. */
+        this.onDesync = null;
+        /** @type {Function|null} Called with (message) when joining fails or the relay is lost. */
+        this.onError = null;
+        this.socket = null;
+        /** Local player's index in the run's players (0 shoots first); null until started. */
+        this.seat = null;
+    }
+
+    static get serverUrl() {
+        return new URLSearchParams(window.location.search).get('server') || CONFIG.ONLINE.SERVER_URL;
+    }
+
+    get isConnected() { return this.socket !== null; }
+
+    /** Connect to the relay and join a room; a second player with the same code starts the match. */
+    join(room) {
+        this.close();
+        let socket;
+        try {
+            socket = new WebSocket(OnlineSession.serverUrl);
+        } catch {
+            this._fail('Invalid relay address');
+            return;
+        }
+        this.socket = socket;
+        let opened = false;
+        socket.addEventListener('open', () => {
+            opened = true;
+            socket.send(JSON.stringify({ type: 'join', room, configHash: getConfigHash() }));
+        });
+        socket.addEventListener('message', (event) => this._onMessage(event.data));
+        socket.addEventListener('close', () => {
+            if (this.socket !== socket) return; // closed on purpose
+            this.socket = null;
+            this._fail(opened ? 'Lost connection to the relay' : `Can't reach the relay at ${OnlineSession.serverUrl}`);
+        });
+    }
+
+    /**
+     * Send the local player's shot to the opponent.
+     * @param {number} tick - Simulation tick it was taken on (the opponent fires it on the same one)
+     */
+    sendShot(tick, direction, magnitude) {
+        if (!this.socket || this.socket.readyState !== WebSocket.OPEN) return;
+        this.socket.send(JSON.stringify({ type: 'shot', tick, direction: { x: direction.x, z: direction.z }, magnitude }));
+    }
+
+    /** Tell the opponent the tables no longer match (the match can't go on). */
+    sendDesync() {
+        if (!this.socket || this.socket.readyState !== WebSocket.OPEN) return;
+        this.socket.send(JSON.stringify({ type: 'desync' }));
+    }
+
+    /** Leave the room (the opponent is told) without reporting an error. */
+    close() {
+        const socket = this.socket;
+        this.socket = null;
+        this.seat = null;
+        if (socket) socket.close();
+    }
+
+    _onMessage(data) {
+        let message;
+        try {
+            message = JSON.parse(data);
+        } catch {
+            return;
+        }
+        switch (message.type) {
+            case 'waiting':
+                if (this.onWaiting) this.onWaiting();
+                break;
+            case 'start':
+                this.seat = message.seat;
+                if (this.onStart) this.onStart({ seed: message.seed, seat: message.seat });
+                break;
+            case 'shot':
+                if (this.onShot) {
+                    this.onShot({ tick: message.tick, direction: message.direction, magnitude: message.magnitude });
+                }
+                break;
+            case 'left':
+                this.close();
+                if (this.onOpponentLeft) this.onOpponentLeft();
+                break;
+            case 'desync':
+                this.close();
+                if (this.onDesync) this.onDesync();
+                break;
+            case 'error':
+                this.close();
+                this._fail(message.message);
+                break;
+        }
+    }
+
+    _fail(message) {
+        if (this.onError) this.onError(message);
+    }
+}
@@ -2,35 +2,40 @@ import * as CANNON from 'cannon';
 import { CONFIG } from '../config.js';
 
 /**
- * Manages the Cannon-es physics world and bullet-style adaptive simulation stepping.
+ * Manages the Cannon-es physics world and its simulation stepping: bullet-style adaptive
+ * substeps by default, or frame-rate independent fixed substeps in deterministic mode.
  */
 export class PhysicsWorld {
-    constructor() {
-        this.world = new CANNON.World({
-            gravity: new CANNON.Vec3(0, CONFIG.PHYSICS.GRAVITY, 0),
-            allowSleep: true
-        });
+    /**
+     * @param {Object} [options]
+     * @param {boolean} [options.fixedTimestep] - Deterministic fixed-size substeps (see CONFIG.PHYSICS.FIXED_DT)
+     */
+    constructor({ fixedTimestep = CONFIG.PHYSICS.FIXED_TIMESTEP } = {}) {
+        this.world = new CANNON.World({ allowSleep: true });
         this.world.broadphase = new CANNON.SAPBroadphase(this.world);
-        this.world.defaultContactMaterial.friction = CONFIG.PHYSICS.DEFAULT_FRICTION;
-        this.world.defaultContactMaterial.restitution = CONFIG.PHYSICS.DEFAULT_RESTITUTION;
-        this.world.solver.iterations = CONFIG.PHYSICS.SOLVER_ITERATIONS;
+        this.applyTuning();
 
         this.accumulator = 0;
-        this.lastFrameTime = 0;
         this.timeScale = 1;
+        this.fixedTimestep = fixedTimestep;
+        /** Render interpolation factor between the previous and current step (1 = current). */
+        this.alpha = 1;
     }
 
     /**
      * Bullet-style adaptive substeps: fast ball = smaller steps, no tunneling.
-     * @param {number} time - Current animation timestamp (ms)
+     * @param {number} frameDelta - Unpaused time since the last update (seconds)
      * @param {CANNON.Vec3} ballVelocity - Ball's current velocity
-     * @param {Function} onSubstep - Called between each substep (for wall removal processing)
+     * @param {Function} onSubstep - Called with (stepDt) after each substep (wall removals, game clock)
      */
-    update(time, ballVelocity, onSubstep) {
+    update(frameDelta, ballVelocity, onSubstep) {
         const { DT, MIN_STEP_DT, MAX_SUBSTEPS, BULLET_SAFE_DISTANCE, MAX_FRAME_DELTA } = CONFIG.PHYSICS;
-        const rawDelta = this.lastFrameTime ? Math.min((time - this.lastFrameTime) / 1000, MAX_FRAME_DELTA) : DT;
-        const delta = rawDelta * this.timeScale;
-        this.lastFrameTime = time;
+        const delta = Math.min(frameDelta, MAX_FRAME_DELTA) * this.timeScale;
+
+        if (this.fixedTimestep) {
+            this._updateFixed(delta, onSubstep);
+            return;
+        }
 
         this.accumulator += delta;
         let steps = 0;
@@ -44,10 +49,49 @@ export class PhysicsWorld {
             this.world.step(stepDt);
             this.accumulator -= stepDt;
             steps++;
-            if (onSubstep) onSubstep();
+            if (onSubstep) onSubstep(stepDt);
+        }
+    }
+
+    /**
+     * Deterministic stepping: identical step sizes whatever the frame rate, so the same
+     * starting state and shot always produce the same outcome. Leftover time becomes
+     * `alpha` for interpolating meshes between the last two steps.
+     */
+    _updateFixed(delta, onSubstep) {
+        const { FIXED_DT, MAX_SUBSTEPS } = CONFIG.PHYSICS;
+        this.accumulator += delta;
+        let steps = 0;
+        while (this.accumulator >= FIXED_DT && steps < MAX_SUBSTEPS) {
+            this.world.step(FIXED_DT);
+            this.accumulator -= FIXED_DT;
+            steps++;
+            if (onSubstep) onSubstep(FIXED_DT);
         }
+        // Drop time we couldn't catch up on rather than spiralling
+        if (steps === MAX_SUBSTEPS) this.accumulator = Math.min(this.accumulator, FIXED_DT);
+        this.alpha = this.accumulator / FIXED_DT;
     }
 
+    /** Switch between fixed and adaptive substeps (between runs); drops leftover frame time. */
+    setFixedTimestep(enabled) {
+        this.fixedTimestep = enabled;
+        this.accumulator = 0;
+        this.alpha = 1;
+    }
+
+    /** (Re-)read the world-wide CONFIG.PHYSICS settings: gravity, default contact, solver. */
+    applyTuning() {
+        const P = CONFIG.PHYSICS;
+        this.world.gravity.set(0, P.GRAVITY, 0);
+        this.world.defaultContactMaterial.friction = P.DEFAULT_FRICTION;
+        this.world.defaultContactMaterial.restitution = P.DEFAULT_RESTITUTION;
+        this.world.solver.iterations = P.SOLVER_ITERATIONS;
+    }
+
+    /** Advance exactly one step of `dt`, bypassing the frame accumulator (headless stepping). */
+    step(dt) { this.world.step(dt); }
+
     addBody(body) { this.world.addBody(body); }
     removeBody(body) { this.world.removeBody(body); }
 
@@ -0,0 +1,166 @@
+import * as THREE from 'three';
+import { CONFIG } from '../config.js';
+import { Ball } from '../entities/Ball.js';
+import { Table } from '../entities/Table.js';
+import { WallManager } from '../entities/WallManager.js';
+
+/**
+ * Plays a ShotRecorder record back in its own scene with a chase camera, so the
+ * live game (meshes, bodies, timers) is never touched. While `active`, render
+ * `scene` with `camera` instead of the game's.
+ */
+export class InstantReplay {
+    constructor() {
+        this.scene = new THREE.Scene();
+        this.scene.fog = new THREE.Fog(CONFIG.COLORS.BACKGROUND, CONFIG.CAMERA.FOG_NEAR, CONFIG.CAMERA.FOG_FAR);
+        this.scene.add(Table.createMesh());
+        this.camera = new THREE.PerspectiveCamera(CONFIG.CAMERA.FOV, window.innerWidth / window.innerHeight, CONFIG.CAMERA.NEAR, CONFIG.CAMERA.FAR);
+
+        this.active = false;
+        this.playing = false;
+        /** Playback position in shot time (ms). */
+        this.time = 0;
+        this.speed = 1;
+        this.shot = null;
+        this._walls = [];
+        this._balls = new Map(); // ball id → mesh
+        this._lookAt = new THREE.Vector3();
+    }
+
+    get duration() { return this.shot ? this.shot.duration : 0; }
+
+    /** Build the shot's starting table and play it from the beginning. */
+    start(shot) {
+        this.stop();
+        this.shot = shot;
+        this.active = true;
+        this.playing = true;
+        this.time = 0;
+
+        const y = CONFIG.DIMENSIONS.WALL_HEIGHT / 2;
+        for (const desc of shot.walls) {
+            const mesh = WallManager.createWallMesh(desc.type, desc.length);
+            mesh.position.set(desc.x, y, desc.z);
+            mesh.rotation.y = desc.rotationY;
+            this.scene.add(mesh);
+            this._walls.push({
+                id: desc.id,
+                type: desc.type,
+                mesh,
+                damagedAtStart: desc.hitsRemaining < WallManager.fullHits(desc.type),
+                damaged: false
+            });
+        }
+
+        this._lookAt.set(shot.ball.x, 0, shot.ball.z);
+        this._apply();
+    }
+
+    /** Drop the replay scene content. */
+    stop() {
+        for (const { mesh } of this._walls) {
+            this.scene.remove(mesh);
+            mesh.geometry.dispose();
+            mesh.material.dispose();
+        }
+        for (const mesh of this._balls.values()) {
+            this.scene.remove(mesh);
+            mesh.geometry.dispose();
+            mesh.material.dispose();
+        }
+        this._walls = [];
+        this._balls.clear();
+        this.shot = null;
+        this.active = false;
+        this.playing = false;
+    }
+
+    /** Play/pause; playing from the end starts over. */
+    togglePlay() {
+        if (!this.active) return;
+        if (!this.playing && this.time >= this.duration) this.time = 0;
+        this.playing = !this.playing;
+    }
+
+    seek(time) {
+        if (!this.active) return;
+        this.time = Math.max(0, Math.min(time, this.duration));
+        this._apply();
+    }
+
+    /** Advance playback by a real frame delta (seconds) and update the scene. */
+    update(frameDelta) {
+        if (!this.active) return;
+        if (this.playing) {
+            this.time += frameDelta * 1000 * this.speed;
+            if (this.time >= this.duration) {
+                this.time = this.duration;
+                this.playing = false;
+            }
+        }
+        this._apply();
+    }
+
+    _apply() {
+        const { frames, events, direction } = this.shot;
+        const t = this.time;
+
+        // Walls: replay events up to t ('removed' is final)
+        const states = new Map();
+        for (const event of events) {
+            if (event.t > t) break;
+            if (states.get(event.wallId) !== 'removed') states.set(event.wallId, event.kind);
+        }
+        for (const wall of this._walls) {
+            const state = states.get(wall.id);
+            wall.mesh.visible = state !== 'removed';
+            const damaged = wall.damagedAtStart || state === 'damaged';
+            if (damaged !== wall.damaged) {
+                WallManager.paintWallMesh(wall.mesh, wall.type, damaged);
+                wall.damaged = damaged;
+            }
+        }
+
+        // Balls: interpolate between the samples around t
+        let lo = 0;
+        let hi = frames.length - 1;
+        while (lo < hi) {
+            const mid = (lo + hi + 1) >> 1;
+            if (frames[mid].t <= t) lo = mid;
+            else hi = mid - 1;
+        }
+        const a = frames[lo];
+        const b = frames[Math.min(lo + 1, frames.length - 1)];
+        const k = b.t > a.t ? Math.min(1, (t - a.t) / (b.t - a.t)) : 0;
+        const radius = CONFIG.DIMENSIONS.BALL_RADIUS;
+
+        for (const mesh of this._balls.values()) mesh.visible = false;
+        for (const [id, x, z] of a.balls) {
+            const next = b.balls.find(sample => sample[0] === id) || [id, x, z];
+            const mesh = this._getBallMesh(id);
+            mesh.visible = true;
+            mesh.position.set(x + (next[1] - x) * k, radius, z + (next[2] - z) * k);
+        }
+
+        // Chase camera: behind the shot direction, easing toward the main ball
+        const R = CONFIG.REPLAY;
+        this._lookAt.lerp(this._getBallMesh(0).position, R.CAMERA_FOLLOW);
+        this._lookAt.y = 0;
+        this.camera.position.set(
+            this._lookAt.x - direction.x * R.CAMERA_DISTANCE,
+            R.CAMERA_HEIGHT,
+            this._lookAt.z - direction.z * R.CAMERA_DISTANCE
+        );
+        this.camera.lookAt(this._lookAt);
+    }
+
+    _getBallMesh(id) {
+        let mesh = this._balls.get(id);
+        if (!mesh) {
+            mesh = Ball.createMesh();
+            this.scene.add(mesh);
+            this._balls.set(id, mesh);
+        }
+        return mesh;
+    }
+}
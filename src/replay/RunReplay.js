@@ -0,0 +1,78 @@
+import { CONFIG } from '../config.js';
+import { hashSeed } from '../core/SeededRandom.js';
+import { isDifficulty } from '../core/Difficulty.js';
+
+/**
+ * Whole-run replay files. A run is fully determined by its seed and its shots in
+ * fixed-timestep mode, so a replay is just those plus the tick each shot was taken on:
+ *
+ *   { format, version, configHash, mode, seed, dailyKey, difficulty, score, level,
+ *     shots: [[tick, dirX, dirZ, magnitude], ...] }
+ *
+ * `tick` counts physics steps since the run started. `difficulty` is a preset key
+ * (see Difficulty.js); files from before presets existed played the default.
+ */
+
+export const RUN_REPLAY_FORMAT = 'poolanoid-replay';
+export const RUN_REPLAY_VERSION = 1;
+
+/** Hash of the current tuning; a replay only re-simulates exactly under the same CONFIG. */
+export function getConfigHash() {
+    return hashSeed(JSON.stringify(CONFIG));
+}
+
+export function createRunReplay({ mode, seed, dailyKey, difficulty, score, level, shots }) {
+    return {
+        format: RUN_REPLAY_FORMAT,
+        version: RUN_REPLAY_VERSION,
+        configHash: getConfigHash(),
+        mode,
+        seed,
+        dailyKey,
+        difficulty,
+        score,
+        level,
+        shots
+    };
+}
+
+/**
+ * Parse and validate replay file text.
+ * @throws {Error} With a player-facing message when the file isn't a usable replay
+ */
+export function parseRunReplay(text) {
+    let replay;
+    try {
+        replay = JSON.parse(text);
+    } catch {
+        throw new Error('Not a replay file');
+    }
+    if (!replay || replay.format !== RUN_REPLAY_FORMAT) throw new Error('Not a replay file');
+    if (replay.version !== RUN_REPLAY_VERSION) throw new Error(`Unsupported replay version ${replay.version}`);
+    if (!['classic', 'daily', 'timeAttack', 'versus'].includes(replay.mode) || !Number.isInteger(replay.seed)) {
+        throw new Error('Replay file is damaged');
+    }
+    replay.difficulty ??= CONFIG.DIFFICULTY.DEFAULT;
+    if (!isDifficulty(replay.difficulty)) throw new Error('Replay file is damaged');
+
+    const shots = replay.shots;
+    const validShot = (shot, i) => Array.isArray(shot) && shot.length === 4
+        && shot.every(Number.isFinite)
+        && Number.isInteger(shot[0]) && (i === 0 || shot[0] >= shots[i - 1][0]);
+    if (!Array.isArray(shots) || !shots.every(validShot)) throw new Error('Replay file is damaged');
+
+    return replay;
+}
+
+/** Save a replay through the browser's download prompt. */
+export function downloadRunReplay(replay) {
+    const blob = new Blob([JSON.stringify(replay)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `poolanoid-${replay.mode}-${replay.seed}.json`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
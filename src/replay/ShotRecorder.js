@@ -0,0 +1,71 @@
+import { CONFIG } from '../config.js';
+
+/**
+ * Records the shot in progress: its inputs, the table it started from, sampled
+ * ball positions and wall events. The last finished shot feeds the instant replay.
+ *
+ * Times are game-clock ms relative to the shot start. Ball samples are
+ * `[id, x, z]` with id 0 for the main ball.
+ */
+export class ShotRecorder {
+    constructor() {
+        this.current = null;
+        /** Last finished shot record, or null. */
+        this.lastShot = null;
+    }
+
+    get isRecording() { return this.current !== null; }
+
+    /**
+     * @param {number} time - Game clock time of the shot
+     * @param {Object} start
+     * @param {{x: number, z: number}} start.direction
+     * @param {number} start.magnitude
+     * @param {{x: number, z: number}} start.ball - Main ball position before the impulse
+     * @param {Object[]} start.walls - WallManager.serialize() before the impulse
+     */
+    begin(time, { direction, magnitude, ball, walls }) {
+        this.current = {
+            startTime: time,
+            direction: { x: direction.x, z: direction.z },
+            magnitude,
+            ball: { x: ball.x, z: ball.z },
+            walls,
+            frames: [{ t: 0, balls: [[0, ball.x, ball.z]] }],
+            events: []
+        };
+    }
+
+    /** Sample ball positions, at most once per SAMPLE_INTERVAL. */
+    recordFrame(time, balls) {
+        const shot = this.current;
+        if (!shot) return;
+        const t = time - shot.startTime;
+        const frames = shot.frames;
+        if (frames.length >= CONFIG.REPLAY.MAX_FRAMES) return;
+        if (t - frames[frames.length - 1].t < CONFIG.REPLAY.SAMPLE_INTERVAL) return;
+        frames.push({ t, balls });
+    }
+
+    /** @param {string} kind - 'removed' (body left the world) or 'damaged' (robust wall hit) */
+    recordWallEvent(time, wallId, kind) {
+        if (!this.current) return;
+        this.current.events.push({ t: time - this.current.startTime, wallId, kind });
+    }
+
+    /** Close the shot in progress; returns it (also kept as lastShot). */
+    end() {
+        const shot = this.current;
+        if (!shot) return null;
+        const frames = shot.frames;
+        shot.duration = frames[frames.length - 1].t;
+        this.current = null;
+        this.lastShot = shot;
+        return shot;
+    }
+
+    clear() {
+        this.current = null;
+        this.lastShot = null;
+    }
+}
@@ -0,0 +1,51 @@
+const DB_NAME = 'poolanoid';
+const DB_VERSION = 1;
+const STORE_NAME = 'save';
+
+/**
+ * Storage backend on IndexedDB: one object store of string values, so saves aren't held to
+ * localStorage's few-megabyte quota as replays, stats and saved runs grow.
+ */
+export class IndexedDBBackend {
+    static isAvailable() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    constructor() {
+        this._db = null; // Promise<IDBDatabase>, opened on first use
+    }
+
+    _open() {
+        if (!this._db) {
+            this._db = new Promise((resolve, reject) => {
+                const request = indexedDB.open(DB_NAME, DB_VERSION);
+                request.onupgradeneeded = () => request.result.createObjectStore(STORE_NAME);
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+                request.onblocked = () => reject(new Error('IndexedDB is blocked by another tab'));
+            });
+        }
+        return this._db;
+    }
+
+    /** Run one request in its own transaction; resolves with its result once the transaction commits. */
+    async _transaction(mode, makeRequest) {
+        const db = await this._open();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(STORE_NAME, mode);
+            const request = makeRequest(transaction.objectStore(STORE_NAME));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    async read(key) {
+        const value = await this._transaction('readonly', store => store.get(key));
+        return value ?? null;
+    }
+
+    async write(key, value) {
+        await this._transaction('readwrite', store => store.put(value, key));
+    }
+}
@@ -0,0 +1,26 @@
+/**
+ * Storage backend on window.localStorage (synchronous underneath, small quota). Where
+ * saves lived before the IndexedDB backend.
+ */
+export class LocalStorageBackend {
+    /** false when localStorage is missing or refuses writes (some private browsing modes). */
+    static isAvailable() {
+        try {
+            const probe = '__poolanoid_probe__';
+            localStorage.setItem(probe, probe);
+            localStorage.removeItem(probe);
+            return true;
+        } catch (_) {
+            return false;
+        }
+    }
+
+    async read(key) {
+        return localStorage.getItem(key);
+    }
+
+    /** Rejects with the browser's error (e.g. QuotaExceededError) if the value doesn't fit. */
+    async write(key, value) {
+        localStorage.setItem(key, value);
+    }
+}
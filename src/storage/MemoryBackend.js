@@ -0,0 +1,21 @@
+/**
+ * Storage backend that keeps entries in a Map, so nothing survives a reload. Used headless,
+ * in tests, and when the browser allows no persistent storage.
+ *
+ * Backends store strings under keys: `read(key)` resolves to the value or null,
+ * `write(key, value)` resolves once it's stored (see StorageManager.open).
+ */
+export class MemoryBackend {
+    /** @param {Object} [entries] - Initial `{ [key]: value }` contents */
+    constructor(entries = {}) {
+        this.entries = new Map(Object.entries(entries));
+    }
+
+    async read(key) {
+        return this.entries.has(key) ? this.entries.get(key) : null;
+    }
+
+    async write(key, value) {
+        this.entries.set(key, value);
+    }
+}
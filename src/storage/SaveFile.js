@@ -0,0 +1,119 @@
+import { CONFIG } from '../config.js';
+import { isDifficulty } from '../core/Difficulty.js';
+import { createStats } from '../core/StatsTracker.js';
+import { migrateSave, repairSave } from './SaveSchema.js';
+
+/**
+ * Player data export files: the save blob (see SaveSchema.js) plus a format tag and the
+ * export time, so progress can move between browsers and devices.
+ *
+ *   { format, exportedAt, version, activeProfile, profiles }
+ */
+export const SAVE_FILE_FORMAT = 'poolanoid-save';
+
+export function createSaveFile(data) {
+    return { format: SAVE_FILE_FORMAT, exportedAt: new Date().toISOString(), ...data };
+}
+
+/* ── Entry checks: what the game reads from each section of a profile ── */
+
+const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isDate = value => typeof value === 'string' && !Number.isNaN(Date.parse(value));
+const isOptional = (value, test) => value === undefined || test(value);
+
+/** Leaderboard entries all carry who set them and when. */
+const isRanked = entry => isObject(entry) && typeof entry.initials === 'string' && isDate(entry.date);
+const isScoreEntry = entry => isRanked(entry)
+    && Number.isFinite(entry.score) && Number.isFinite(entry.level) && isDifficulty(entry.difficulty);
+const isDailyEntry = entry => isRanked(entry) && Number.isFinite(entry.score) && Number.isFinite(entry.shots);
+const isPuzzleEntry = entry => isObject(entry) && Number.isFinite(entry.shots) && isDate(entry.date);
+const isAchievementEntry = entry => isObject(entry) && isDate(entry.date);
+
+/** Every stats field is a number; `walls` counts per wall type. */
+const isStats = stats => Object.keys(createStats()).every(key => (
+    key === 'walls'
+        ? isOptional(stats.walls, walls => isObject(walls) && Object.values(walls).every(Number.isFinite))
+        : isOptional(stats[key], Number.isFinite)
+));
+
+const isSettings = settings => isOptional(settings.orientation, v => v === 'portrait' || v === 'landscape')
+    && isOptional(settings.sound, v => typeof v === 'boolean')
+    && isOptional(settings.undo, v => typeof v === 'boolean')
+    && isOptional(settings.difficulty, isDifficulty);
+
+const isWallType = type => Object.hasOwn(CONFIG.WALL_BEHAVIORS, type) || Object.hasOwn(CONFIG.POWERUPS, type);
+const isWall = wall => isObject(wall) && isWallType(wall.type)
+    && ['x', 'z', 'rotationY', 'length'].every(key => Number.isFinite(wall[key]));
+const isPlayer = player => isObject(player) && Number.isFinite(player.score) && Number.isFinite(player.shotsRemaining);
+
+/** A snapshot GameSimulation.restoreRun can resume (only classic, daily and time attack runs are saved). */
+const isSavedRun = run => ['classic', 'daily', 'timeAttack'].includes(run.mode)
+    && Number.isInteger(run.seed) && Number.isInteger(run.level) && run.level >= 1
+    && Number.isFinite(run.shotsFired)
+    && isOptional(run.difficulty, isDifficulty)
+    && (Array.isArray(run.players)
+        ? run.players.length > 0 && run.players.every(isPlayer) && Number.isInteger(run.turn)
+        : Number.isFinite(run.score) && Number.isFinite(run.shotsRemaining))
+    && isObject(run.ball) && Number.isFinite(run.ball.x) && Number.isFinite(run.ball.z)
+    && Array.isArray(run.walls) && run.walls.every(isWall)
+    && isOptional(run.stats, stats => isObject(stats) && isStats(stats));
+
+/** Each part of a (type-checked) profile and whether it is usable. */
+const PROFILE_CHECKS = {
+    highScores: profile => (profile.highScores || []).every(isScoreEntry),
+    timeAttackScores: profile => (profile.timeAttackScores || []).every(isScoreEntry),
+    daily: profile => Object.values(profile.daily || {}).every(list => Array.isArray(list) && list.every(isDailyEntry)),
+    puzzles: profile => Object.values(profile.puzzles || {}).every(isPuzzleEntry),
+    achievements: profile => Object.values(profile.achievements || {}).every(isAchievementEntry),
+    stats: profile => isOptional(profile.stats, isStats),
+    settings: profile => isOptional(profile.settings, isSettings),
+    savedRun: profile => isOptional(profile.savedRun, isSavedRun)
+};
+
+/** Path of the first unusable part of the file's profiles (e.g. 'p1.highScores'), or null. */
+function findDamage(profiles) {
+    for (const [id, profile] of Object.entries(profiles)) {
+        const section = Object.keys(PROFILE_CHECKS).find(key => !PROFILE_CHECKS[key](profile));
+        if (section) return `${id}.${section}`;
+    }
+    return null;
+}
+
+/**
+ * Parse and validate save file text, migrating older layouts.
+ * @returns {Object} Save data without the file fields
+ * @throws {Error} With a player-facing message when the file isn't usable save data
+ */
+export function parseSaveFile(text) {
+    let file;
+    try {
+        file = JSON.parse(text);
+    } catch {
+        throw new Error('Not a save file');
+    }
+    if (!file || file.format !== SAVE_FILE_FORMAT) throw new Error('Not a save file');
+
+    const { format, exportedAt, ...fields } = file;
+    let data;
+    try {
+        data = migrateSave(fields);
+    } catch (error) {
+        throw new Error(error.message.startsWith('Save data is from a newer') ? error.message : 'Save file is damaged');
+    }
+    const damage = repairSave(data)[0] || findDamage(data.profiles);
+    if (damage) throw new Error(`Save file is damaged (${damage.replace(/^profiles\./, '')})`);
+    return data;
+}
+
+/** Save a data export through the browser's download prompt. */
+export function downloadSaveFile(file) {
+    const blob = new Blob([JSON.stringify(file)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `poolanoid-save-${file.exportedAt.slice(0, 10)}.json`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
@@ -0,0 +1,126 @@
+import { CONFIG } from '../config.js';
+
+/**
+ * Save data layout. The blob is `{ version, activeProfile, profiles: { [id]: profile } }`,
+ * each profile being `{ name, initials, ...sections }`; a save without a version is the
+ * original unversioned layout (version 1). Any change to a section's shape bumps
+ * SCHEMA_VERSION and adds the step from the previous version to MIGRATIONS, so every older
+ * save still loads.
+ */
+export const SCHEMA_VERSION = 4;
+
+/** Profile that saves from before profiles, and empty saves, start with. */
+const DEFAULT_PROFILE_ID = 'p1';
+const DEFAULT_PROFILE_NAME = 'PLAYER 1';
+
+/** MIGRATIONS[n] turns a version-n save into a version n + 1 one (it may modify it in place). */
+const MIGRATIONS = {
+    // 1 → 2: the blob is versioned; scores from before difficulty presets get the default
+    1: (data) => {
+        for (const key of ['highScores', 'timeAttackScores']) {
+            for (const entry of data[key] || []) {
+                if (!entry.difficulty) entry.difficulty = CONFIG.DIFFICULTY.DEFAULT;
+            }
+        }
+        return data;
+    },
+    // 2 → 3: the sections move into a default profile, pre-filled with the latest initials used
+    2: ({ version, ...sections }) => {
+        const latest = [...(sections.highScores || []), ...(sections.timeAttackScores || [])]
+            .filter(entry => entry && typeof entry.date === 'string')
+            .sort((a, b) => b.date.localeCompare(a.date))[0];
+        const profile = { ...createProfile(DEFAULT_PROFILE_NAME, ''), ...sections };
+        if (latest && typeof latest.initials === 'string') profile.initials = latest.initials;
+        return { version, activeProfile: DEFAULT_PROFILE_ID, profiles: { [DEFAULT_PROFILE_ID]: profile } };
+    },
+    // 3 → 4: each daily date keeps a ranked list of results instead of only the best one
+    3: (data) => {
+        for (const profile of Object.values(data.profiles || {})) {
+            for (const [dateKey, result] of Object.entries((profile && profile.daily) || {})) {
+                profile.daily[dateKey] = [result];
+            }
+        }
+        return data;
+    }
+};
+
+/** Each profile section and the JSON type it must have. */
+const SECTIONS = {
+    highScores: 'array',
+    timeAttackScores: 'array',
+    daily: 'object',
+    puzzles: 'object',
+    achievements: 'object',
+    stats: 'object',
+    settings: 'object',
+    savedRun: 'object'
+};
+
+const typeOf = (value) => (Array.isArray(value) ? 'array' : value === null ? 'null' : typeof value);
+
+/** A profile with no progress yet; its initials start as the first letters of the name. */
+export function createProfile(name, initials = name.replace(/[^A-Za-z]/g, '').toUpperCase().slice(0, 3)) {
+    return { name, initials };
+}
+
+/** An empty save with the default profile active. */
+export function createSave() {
+    const data = { version: SCHEMA_VERSION };
+    repairSave(data);
+    return data;
+}
+
+/**
+ * Bring parsed save data up to SCHEMA_VERSION.
+ * @returns {Object} The migrated data
+ * @throws {Error} If it isn't save data or was written by a newer version of the game
+ */
+export function migrateSave(data) {
+    if (typeOf(data) !== 'object') throw new Error('Save data is not an object');
+    let version = data.version ?? 1;
+    if (!Number.isInteger(version) || version < 1) throw new Error(`Unknown save version ${version}`);
+    if (version > SCHEMA_VERSION) throw new Error(`Save data is from a newer version of the game (v${version})`);
+    while (version < SCHEMA_VERSION) {
+        data = MIGRATIONS[version](data);
+        version++;
+        data.version = version;
+    }
+    return data;
+}
+
+/**
+ * Drop the parts of migrated save data that have the wrong type (they can't be read), then
+ * make sure there is a profile and that `activeProfile` names one.
+ * @returns {string[]} Paths of what was dropped, e.g. 'profiles.p1.highScores'
+ */
+export function repairSave(data) {
+    const damaged = [];
+    if (typeOf(data.profiles) !== 'object') {
+        if (data.profiles !== undefined) damaged.push('profiles');
+        data.profiles = {};
+    }
+    for (const [id, profile] of Object.entries(data.profiles)) {
+        if (typeOf(profile) !== 'object' || typeof profile.name !== 'string') {
+            damaged.push(`profiles.${id}`);
+            delete data.profiles[id];
+            continue;
+        }
+        for (const [section, type] of Object.entries(SECTIONS)) {
+            if (profile[section] !== undefined && typeOf(profile[section]) !== type) {
+                damaged.push(`profiles.${id}.${section}`);
+                delete profile[section];
+            }
+        }
+        if (typeof profile.initials !== 'string') {
+            damaged.push(`profiles.${id}.initials`);
+            profile.initials = '';
+        }
+    }
+    const ids = Object.keys(data.profiles);
+    if (ids.length === 0) {
+        data.profiles[DEFAULT_PROFILE_ID] = createProfile(DEFAULT_PROFILE_NAME, '');
+        ids.push(DEFAULT_PROFILE_ID);
+    }
+    if (!ids.includes(data.activeProfile)) data.activeProfile = ids[0];
+    return damaged;
+}
@@ -1,59 +1,445 @@
+import { CONFIG } from '../config.js';
+import { getPreviousDailyKey } from '../core/DailyChallenge.js';
+import { createStats, mergeStats } from '../core/StatsTracker.js';
+import { SCHEMA_VERSION, createProfile, createSave, migrateSave, repairSave } from './SaveSchema.js';
+import { IndexedDBBackend } from './IndexedDBBackend.js';
+import { LocalStorageBackend } from './LocalStorageBackend.js';
+import { MemoryBackend } from './MemoryBackend.js';
+
 const STORAGE_KEY = 'poolanoid_save';
+/** Where a save that couldn't be read is copied before the game starts over without it. */
+const BACKUP_KEY = 'poolanoid_save_backup';
+/** Bump when the saved-run snapshot shape changes; older snapshots are discarded. */
+const SAVED_RUN_VERSION = 1;
+/** High-score table per mode (classic keeps its original key). */
+const HIGH_SCORE_KEYS = { classic: 'highScores', timeAttack: 'timeAttackScores' };
+
+/** Sort a score table best first and keep each difficulty's leaderboard. */
+function rankScores(scores) {
+    scores.sort((a, b) => b.score - a.score || b.level - a.level);
+    const kept = {};
+    return scores.filter((entry) => {
+        const tier = entry.difficulty;
+        kept[tier] = (kept[tier] || 0) + 1;
+        return kept[tier] <= CONFIG.LEADERBOARD.SIZE;
+    });
+}
+
+/** Sort a day's daily results best first (higher score, then fewer shots) and keep its leaderboard. */
+function rankDaily(results) {
+    results.sort((a, b) => b.score - a.score || a.shots - b.shots);
+    return results.slice(0, CONFIG.LEADERBOARD.SIZE);
+}
+
+/** Entries of both lists, without the ones that appear in both (e.g. after importing a file twice). */
+function combineEntries(current = [], incoming = []) {
+    const seen = new Set();
+    return [...current, ...incoming].filter((entry) => {
+        const id = `${entry.date}|${entry.score}|${entry.initials}`;
+        if (seen.has(id)) return false;
+        seen.add(id);
+        return true;
+    });
+}
+
+/** Profile names match regardless of case and surrounding spaces. */
+const sameName = (a, b) => a.trim().toUpperCase() === b.trim().toUpperCase();
 
 /**
- * Persists high scores and user settings to localStorage.
+ * Player data kept in memory and written through a storage backend as one versioned JSON
+ * blob (layout and migrations in SaveSchema.js). The data is split into named local
+ * profiles, each with its own high scores, settings, progress and saved run; every
+ * score, progress and settings method works on the active profile. Reads are synchronous;
+ * writes are queued and land in order.
  */
 export class StorageManager {
-    constructor() {
-        this.data = this._load();
+    /**
+     * @param {Object} [backend] - Where the save is written (see MemoryBackend for the interface)
+     * @param {string|null} [raw] - The save as last written, already read from the backend
+     */
+    constructor(backend = new MemoryBackend(), raw = null) {
+        /** @type {Function|null} Called with a message for the player when a write fails. */
+        this.onError = null;
+        /** What went wrong reading the save (it was backed up and reset), or null. */
+        this.loadProblem = null;
+        this.backend = backend;
+        this._writing = Promise.resolve();
+        this.data = this._parse(raw);
+    }
+
+    /**
+     * Read the save through the first backend that works: IndexedDB, then localStorage,
+     * then memory (nothing persists).
+     * @param {Object} [backend] - Use this backend instead
+     * @returns {Promise<StorageManager>}
+     */
+    static async open(backend = null) {
+        const candidates = backend ? [backend] : [
+            IndexedDBBackend.isAvailable() && new IndexedDBBackend(),
+            LocalStorageBackend.isAvailable() && new LocalStorageBackend()
+        ].filter(Boolean);
+
+        for (const candidate of candidates) {
+            try {
+                let raw = await candidate.read(STORAGE_KEY);
+                // Saves from before the IndexedDB backend are still in localStorage
+                if (raw === null && candidate instanceof IndexedDBBackend && LocalStorageBackend.isAvailable()) {
+                    raw = await new LocalStorageBackend().read(STORAGE_KEY);
+                }
+                return new StorageManager(candidate, raw);
+            } catch (error) {
+                console.warn('Storage backend unavailable, trying the next one', error);
+            }
+        }
+        return new StorageManager(new MemoryBackend());
+    }
+
+    /** The active profile's data: `{ name, initials, ...sections }`. */
+    get profile() {
+        return this.data.profiles[this.data.activeProfile];
+    }
+
+    /** Every profile as `{ id, name }`, in creation order. */
+    getProfiles() {
+        return Object.entries(this.data.profiles).map(([id, profile]) => ({ id, name: profile.name }));
+    }
+
+    /** The active profile as `{ id, name, initials }`. */
+    getActiveProfile() {
+        const { name, initials } = this.profile;
+        return { id: this.data.activeProfile, name, initials };
+    }
+
+    /** Profile id with this name (ignoring case), or null. */
+    findProfile(name) {
+        const match = this.getProfiles().find(profile => sameName(profile.name, name));
+        return match ? match.id : null;
+    }
+
+    /**
+     * Add an empty profile (it isn't selected).
+     * @returns {string} Its id
+     */
+    addProfile(name) {
+        const id = this._nextProfileId();
+        this.data.profiles[id] = createProfile(name.trim());
+        this._persist();
+        return id;
+    }
+
+    selectProfile(id) {
+        if (!this.data.profiles[id] || id === this.data.activeProfile) return;
+        this.data.activeProfile = id;
+        this._persist();
     }
 
-    saveHighScore(score, level, initials) {
-        if (!this.data.highScores) this.data.highScores = [];
+    /** Remember the initials last entered by the active profile (pre-filled next time). */
+    setProfileInitials(initials) {
+        if (this.profile.initials === initials) return;
+        this.profile.initials = initials;
+        this._persist();
+    }
 
-        this.data.highScores.push({
+    _nextProfileId() {
+        let n = 1;
+        while (this.data.profiles[`p${n}`]) n++;
+        return `p${n}`;
+    }
+
+    /**
+     * @param {string} [mode] - 'classic' or 'timeAttack'
+     * @param {string} [difficulty] - Preset key; each mode keeps its own leaderboard per difficulty
+     * @param {number|null} [duration] - Run length in ms of game time
+     */
+    saveHighScore(score, level, initials, mode = 'classic', difficulty = CONFIG.DIFFICULTY.DEFAULT, duration = null) {
+        const key = HIGH_SCORE_KEYS[mode];
+        const scores = this.profile[key] || [];
+
+        scores.push({
             initials: (initials || 'AAA').toUpperCase().slice(0, 3),
             score,
             level,
+            difficulty,
+            duration,
             date: new Date().toISOString()
         });
 
-        this.data.highScores.sort((a, b) => b.score - a.score || b.level - a.level);
-        this.data.highScores = this.data.highScores.slice(0, 3);
+        this.profile[key] = rankScores(scores);
+        this._persist();
+    }
+
+    /** Best entry of a mode, within one difficulty or (null) across all of them. */
+    getHighScore(mode = 'classic', difficulty = null) {
+        const scores = this.getAllHighScores(mode, difficulty);
+        return scores.length > 0 ? scores[0] : null;
+    }
+
+    /** Entries of a mode, best first; pass a difficulty to keep only its entries. */
+    getAllHighScores(mode = 'classic', difficulty = null) {
+        const scores = this.profile[HIGH_SCORE_KEYS[mode]] || [];
+        return difficulty ? scores.filter(entry => entry.difficulty === difficulty) : scores;
+    }
+
+    /**
+     * Record a daily challenge result on its date's leaderboard
+     * (higher score ranks first, fewer shots breaks ties).
+     * @param {number|null} [duration] - Run length in ms of game time
+     * @returns {boolean} true if this run became the day's best
+     */
+    saveDailyResult(dateKey, score, shots, level, initials, duration = null) {
+        if (!this.profile.daily) this.profile.daily = {};
+
+        const entry = {
+            initials: (initials || 'AAA').toUpperCase().slice(0, 3),
+            score,
+            shots,
+            level,
+            duration,
+            date: new Date().toISOString()
+        };
+        this.profile.daily[dateKey] = rankDaily([...this.getDailyResults(dateKey), entry]);
+        this._persist();
+        return this.profile.daily[dateKey][0] === entry;
+    }
+
+    /** Best result of a daily date, or null if it wasn't played. */
+    getDailyResult(dateKey) {
+        return this.getDailyResults(dateKey)[0] || null;
+    }
+
+    /** A daily date's results, best first. */
+    getDailyResults(dateKey) {
+        return (this.profile.daily && this.profile.daily[dateKey]) || [];
+    }
+
+    /** Daily dates with results, most recent first. */
+    getDailyDates() {
+        return Object.keys(this.profile.daily || {}).sort().reverse();
+    }
+
+    /** Consecutive days with a daily result, ending today (or yesterday if today isn't played yet). */
+    getDailyStreak(todayKey) {
+        const daily = this.profile.daily || {};
+        let key = daily[todayKey] ? todayKey : getPreviousDailyKey(todayKey);
+        let streak = 0;
+        while (daily[key]) {
+            streak++;
+            key = getPreviousDailyKey(key);
+        }
+        return streak;
+    }
 
+    /**
+     * Mark a puzzle level solved; only its fewest-shots clear is kept.
+     * @returns {boolean} true if this clear became the level's best
+     */
+    savePuzzleResult(levelId, shots) {
+        if (!this.profile.puzzles) this.profile.puzzles = {};
+
+        const previous = this.profile.puzzles[levelId];
+        if (previous && previous.shots <= shots) return false;
+
+        this.profile.puzzles[levelId] = { shots, date: new Date().toISOString() };
         this._persist();
+        return true;
     }
 
-    getHighScore() {
-        const scores = this.data.highScores;
-        return (scores && scores.length > 0) ? scores[0] : null;
+    /** Solved puzzle levels: `{ [levelId]: { shots, date } }`. */
+    getPuzzleResults() {
+        return this.profile.puzzles || {};
     }
 
-    getAllHighScores() {
-        return this.data.highScores || [];
+    /**
+     * Record an achievement as earned (the first unlock date is kept).
+     * @returns {boolean} true if it wasn't earned before
+     */
+    unlockAchievement(id) {
+        if (!this.profile.achievements) this.profile.achievements = {};
+        if (this.profile.achievements[id]) return false;
+
+        this.profile.achievements[id] = { date: new Date().toISOString() };
+        this._persist();
+        return true;
+    }
+
+    /** Earned achievements: `{ [id]: { date } }`. */
+    getAchievements() {
+        return this.profile.achievements || {};
+    }
+
+    /** Add a stats record (see StatsTracker.js) to the lifetime totals. */
+    addLifetimeStats(stats) {
+        this.profile.stats = mergeStats(this.getLifetimeStats(), stats);
+        this._persist();
+    }
+
+    /** Lifetime totals across every counted run. */
+    getLifetimeStats() {
+        return mergeStats(createStats(), this.profile.stats || {});
+    }
+
+    /** Store the in-progress run snapshot (overwrites the previous one). */
+    saveRun(snapshot) {
+        this.profile.savedRun = { ...snapshot, version: SAVED_RUN_VERSION };
+        this._persist();
+    }
+
+    /** In-progress run snapshot, or null if none (or saved by an incompatible version). */
+    getSavedRun() {
+        const run = this.profile.savedRun;
+        if (!run) return null;
+        if (run.version !== SAVED_RUN_VERSION) {
+            this.clearSavedRun();
+            return null;
+        }
+        return run;
+    }
+
+    clearSavedRun() {
+        if (!this.profile.savedRun) return;
+        delete this.profile.savedRun;
+        this._persist();
     }
 
     saveSettings(settings) {
-        this.data.settings = { ...this.data.settings, ...settings };
+        this.profile.settings = { ...this.profile.settings, ...settings };
         this._persist();
     }
 
     getSettings() {
-        return this.data.settings || {};
+        return this.profile.settings || {};
+    }
+
+    /** Copy of everything saved, for an export file (see SaveFile.js). */
+    exportData() {
+        return JSON.parse(JSON.stringify(this.data));
+    }
+
+    /**
+     * Bring in save data from an export file (already checked by parseSaveFile).
+     * 'replace' discards the current data. 'merge' adds the file's profiles, folding each
+     * into the profile of the same name if there is one. Folding keeps the best of both:
+     * leaderboards are combined, the better puzzle results and the earliest trophies win,
+     * lifetime totals take the larger value of each (so importing the same file twice
+     * doesn't double them), and current settings and the saved run stay unless missing.
+     * @param {string} mode - 'merge' or 'replace'
+     * @throws {Error} If the data can't be merged or would leave more than
+     *   CONFIG.PROFILES.MAX profiles (the save is left as it was)
+     */
+    importData(data, mode) {
+        data = JSON.parse(JSON.stringify(data));
+        const added = Object.values(data.profiles).filter(profile => mode === 'replace' || !this.findProfile(profile.name));
+        const total = added.length + (mode === 'replace' ? 0 : this.getProfiles().length);
+        if (total > CONFIG.PROFILES.MAX) {
+            throw new Error(`That would make ${total} profiles; at most ${CONFIG.PROFILES.MAX} fit on one device`);
+        }
+        if (mode === 'replace') {
+            this.data = data;
+        } else {
+            // Merge into a copy of the profile list, so a file that fails halfway changes nothing
+            const previous = this.data;
+            this.data = { ...previous, profiles: { ...previous.profiles } };
+            try {
+                for (const profile of Object.values(data.profiles)) {
+                    const id = this.findProfile(profile.name);
+                    if (id) this.data.profiles[id] = this._mergeProfile(this.data.profiles[id], profile);
+                    else this.data.profiles[this._nextProfileId()] = profile;
+                }
+            } catch (error) {
+                this.data = previous;
+                throw error;
+            }
+        }
+        this.data.version = SCHEMA_VERSION;
+        this._persist();
+    }
+
+    _mergeProfile(current, incoming) {
+        const merged = { ...incoming, ...current };
+        for (const key of Object.values(HIGH_SCORE_KEYS)) {
+            merged[key] = rankScores(combineEntries(current[key], incoming[key]));
+        }
+        merged.daily = { ...incoming.daily, ...current.daily };
+        for (const [dateKey, results] of Object.entries(incoming.daily || {})) {
+            merged.daily[dateKey] = rankDaily(combineEntries((current.daily || {})[dateKey], results));
+        }
+        merged.puzzles = { ...incoming.puzzles, ...current.puzzles };
+        for (const [levelId, result] of Object.entries(incoming.puzzles || {})) {
+            if (result.shots < merged.puzzles[levelId].shots) merged.puzzles[levelId] = result;
+        }
+        merged.achievements = { ...incoming.achievements, ...current.achievements };
+        for (const [id, earned] of Object.entries(incoming.achievements || {})) {
+            if (earned.date < merged.achievements[id].date) merged.achievements[id] = earned;
+        }
+        const stats = mergeStats(createStats(), current.stats || {});
+        for (const [key, value] of Object.entries(mergeStats(createStats(), incoming.stats || {}))) {
+            if (key === 'walls') {
+                for (const [type, count] of Object.entries(value)) stats.walls[type] = Math.max(stats.walls[type] || 0, count);
+            } else {
+                stats[key] = Math.max(stats[key], value);
+            }
+        }
+        merged.stats = stats;
+        merged.settings = { ...incoming.settings, ...current.settings };
+        return merged;
+    }
+
+    /** Resolves once every write queued so far has landed (or failed). */
+    flush() {
+        return this._writing;
     }
 
     _persist() {
-        try {
-            localStorage.setItem(STORAGE_KEY, JSON.stringify(this.data));
-        } catch (_) { /* quota or private browsing */ }
+        this._write(STORAGE_KEY, JSON.stringify(this.data));
     }
 
-    _load() {
+    /** Queue a backend write after the ones before it; a failure is reported through onError. */
+    _write(key, value) {
+        this._writing = this._writing
+            .then(() => this.backend.write(key, value))
+            .catch((error) => {
+                console.warn('Saving failed', error);
+                if (this.onError) {
+                    this.onError(error && error.name === 'QuotaExceededError'
+                        ? 'Progress could not be saved: storage is full'
+                        : 'Progress could not be saved');
+                }
+            });
+    }
+
+    /**
+     * Parse and migrate the saved JSON. A save that can't be read at all, or parts of it
+     * with the wrong shape, are dropped after the original text is copied to BACKUP_KEY.
+     */
+    _parse(raw) {
+        if (raw === null) return createSave();
+
+        let data;
         try {
-            const raw = localStorage.getItem(STORAGE_KEY);
-            return raw ? JSON.parse(raw) : {};
+            data = JSON.parse(raw);
         } catch (_) {
-            return {};
+            this._backUp(raw, 'not valid JSON');
+            return createSave();
         }
+
+        const version = data && data.version;
+        try {
+            data = migrateSave(data);
+        } catch (error) {
+            this._backUp(raw, error.message);
+            return createSave();
+        }
+
+        const damaged = repairSave(data);
+        if (damaged.length > 0) this._backUp(raw, `damaged ${damaged.join(', ')}`);
+        // Write the upgraded or repaired save back right away
+        if (damaged.length > 0 || version !== SCHEMA_VERSION) this._write(STORAGE_KEY, JSON.stringify(data));
+        return data;
+    }
+
+    _backUp(raw, reason) {
+        console.warn(`Save data could not be read (${reason}); the original is kept under "${BACKUP_KEY}"`);
+        this.loadProblem = 'Some saved progress could not be read and was reset (a backup copy was kept)';
+        this._write(BACKUP_KEY, raw);
     }
 }
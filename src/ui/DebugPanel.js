@@ -0,0 +1,153 @@
+import GUI from 'lil-gui';
+import { CONFIG } from '../config.js';
+import { validateConfig } from '../core/ConfigValidation.js';
+
+/** CONFIG groups the panel edits, in panel order. */
+const TUNING_GROUPS = ['PHYSICS', 'AIMING', 'COMBO', 'SHAKE', 'BLOOM', 'PARTICLES', 'WALL_SPAWN_RATES'];
+/** Settings in those groups that are only read when a run starts, so live edits would do nothing. */
+const UNTUNED_KEYS = new Set(['FIXED_TIMESTEP']);
+
+/**
+ * Live tuning panel (`?debug`): edits the TUNING_GROUPS of CONFIG in place. Values read
+ * while playing take effect at once; values baked into objects are pushed out through
+ * onChange. "Copy as JSON" and "Load from JSON" move tuning presets in and out.
+ *
+ * A preset is `{ [group]: values }` in CONFIG's own shape; loading only takes the numbers,
+ * booleans and colors that already exist there, so a stale or partial preset is safe. A
+ * preset that would leave CONFIG invalid (see ConfigValidation.js) is refused whole, and an
+ * edit that would is undone, with the problems listed at the bottom of the panel.
+ */
+export class DebugPanel {
+    constructor() {
+        /** @type {Function|null} Called with (group) after a value in that CONFIG group changes. */
+        this.onChange = null;
+        this.gui = new GUI({ title: 'Tuning' });
+        this.gui.close();
+        this.lastValid = structuredClone(CONFIG); // what an invalid edit is put back to
+
+        for (const group of TUNING_GROUPS) {
+            const folder = this.gui.addFolder(group);
+            this._addValues(folder, CONFIG[group]);
+            folder.close();
+            folder.onChange(() => {
+                const errors = validateConfig();
+                if (errors.length > 0) {
+                    DebugPanel._merge(CONFIG[group], this.lastValid[group]);
+                    for (const controller of folder.controllersRecursive()) controller.updateDisplay();
+                    this._showErrors(errors);
+                    return;
+                }
+                this._showErrors([]);
+                this.lastValid = structuredClone(CONFIG);
+                if (this.onChange) this.onChange(group);
+            });
+        }
+
+        const actions = {
+            copy: () => this.copyPreset(),
+            load: () => {
+                const text = window.prompt('Paste a tuning preset (JSON)');
+                if (text) this.loadPreset(text);
+            }
+        };
+        this.gui.add(actions, 'copy').name('Copy as JSON');
+        this.gui.add(actions, 'load').name('Load from JSON');
+
+        this.status = { errors: '' };
+        this.statusController = this.gui.add(this.status, 'errors').name('Refused').disable().hide();
+    }
+
+    /** List the problems that got the last edit refused, or clear the list. */
+    _showErrors(errors) {
+        this.status.errors = errors.join('; ');
+        this.statusController.updateDisplay();
+        this.statusController.show(errors.length > 0);
+    }
+
+    /** One controller per number, boolean or color; nested objects and arrays become subfolders. */
+    _addValues(folder, object) {
+        for (const [key, value] of Object.entries(object)) {
+            if (UNTUNED_KEYS.has(key)) continue;
+            if (typeof value === 'number' && Number.isFinite(value)) {
+                folder.add(object, key);
+            } else if (typeof value === 'boolean') {
+                folder.add(object, key);
+            } else if (typeof value === 'string' && value.startsWith('#')) {
+                folder.addColor(object, key);
+            } else if (value && typeof value === 'object') {
+                const sub = folder.addFolder(DebugPanel._folderName(key, value));
+                this._addValues(sub, value);
+                sub.close();
+            }
+        }
+    }
+
+    /** Array items are named by what they are (a spawn type, a tier's last level, a combo size). */
+    static _folderName(key, value) {
+        if (value.type) return value.type;
+        if (value.maxLevel !== undefined) return `tier ≤ ${value.maxLevel}`;
+        if (value.min !== undefined) return `combo ${value.min}+`;
+        return key;
+    }
+
+    /** The tuned groups as JSON (Infinity is written as a string so it survives). */
+    toJSON() {
+        const preset = {};
+        for (const group of TUNING_GROUPS) preset[group] = CONFIG[group];
+        return JSON.stringify(preset, (key, value) => (value === Infinity ? 'Infinity' : value), 2);
+    }
+
+    copyPreset() {
+        const json = this.toJSON();
+        navigator.clipboard.writeText(json).catch(() => window.prompt('Copy the tuning preset', json));
+    }
+
+    /**
+     * Apply a preset copied from this panel (or hand-written in the same shape).
+     * @returns {boolean} false if the text isn't a JSON object or would make CONFIG invalid
+     */
+    loadPreset(text) {
+        let preset;
+        try {
+            preset = JSON.parse(text);
+        } catch {
+            window.alert('Not valid JSON');
+            return false;
+        }
+        if (!preset || typeof preset !== 'object') return false;
+
+        const candidate = structuredClone(CONFIG);
+        for (const group of TUNING_GROUPS) DebugPanel._merge(candidate[group], preset[group]);
+        const errors = validateConfig(candidate);
+        if (errors.length > 0) {
+            window.alert(`Preset not loaded:\n${errors.join('\n')}`);
+            return false;
+        }
+
+        for (const group of TUNING_GROUPS) {
+            if (preset[group] === undefined) continue;
+            DebugPanel._merge(CONFIG[group], preset[group]);
+            if (this.onChange) this.onChange(group);
+        }
+        this.lastValid = structuredClone(CONFIG);
+        this._showErrors([]);
+        for (const controller of this.gui.controllersRecursive()) controller.updateDisplay();
+        return true;
+    }
+
+    /** Copy matching values of `source` onto `target`, leaving its shape untouched. */
+    static _merge(target, source) {
+        if (!source || typeof source !== 'object') return;
+        for (const [key, value] of Object.entries(target)) {
+            const incoming = source[key];
+            if (incoming === undefined || UNTUNED_KEYS.has(key)) continue;
+            if (value && typeof value === 'object') {
+                DebugPanel._merge(value, incoming);
+            } else if (typeof value === 'number' && Number.isFinite(value) && Number.isFinite(incoming)) {
+                target[key] = incoming;
+            } else if (typeof value === typeof incoming && typeof value !== 'number') {
+                target[key] = incoming;
+            }
+        }
+    }
+}
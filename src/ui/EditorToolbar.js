@@ -0,0 +1,230 @@
+import { CONFIG } from '../config.js';
+
+const WALL_TYPES = [...Object.keys(CONFIG.WALL_BEHAVIORS), ...Object.keys(CONFIG.POWERUPS)];
+
+/**
+ * Level editor controls: level name, shot budget and par, the select / add-wall tools,
+ * the selected wall's type, rotation, length and hits, and play-test / import / export.
+ */
+export class EditorToolbar {
+    constructor() {
+        /** @type {Function|null} Called with (name) as the level name is typed. */
+        this.onNameChange = null;
+        /** @type {Function|null} Called with (shots) when the budget is stepped. */
+        this.onShotsChange = null;
+        /** @type {Function|null} Called with (par) when par is stepped. */
+        this.onParChange = null;
+        /** @type {Function|null} Called with ('select' | 'wall') when a tool is picked. */
+        this.onToolChange = null;
+        /** @type {Function|null} Called with (type) when a wall type is picked. */
+        this.onTypeChange = null;
+        /** @type {Function|null} Called with (steps) to turn the selected wall. */
+        this.onRotate = null;
+        /** @type {Function|null} Called with (delta) to resize the selected wall. */
+        this.onResize = null;
+        /** @type {Function|null} Called with (hits) when the selected wall's hits are stepped. */
+        this.onHitsChange = null;
+        /** @type {Function|null} Called when "delete" is tapped. */
+        this.onDelete = null;
+        /** @type {Function|null} Called when "play test" is tapped. */
+        this.onPlayTest = null;
+        /** @type {Function|null} Called with (text) when a level file is picked. */
+        this.onImport = null;
+        /** @type {Function|null} Called when "export" is tapped. */
+        this.onExport = null;
+        /** @type {Function|null} Called when "exit" is tapped. */
+        this.onExit = null;
+        this.element = null;
+        this._create();
+    }
+
+    _create() {
+        const el = document.createElement('div');
+        el.className = 'editor-toolbar';
+        el.style.display = 'none';
+
+        // ── Level: name, shots, par ──
+        const levelBar = document.createElement('div');
+        levelBar.className = 'editor-bar';
+
+        this.nameInput = document.createElement('input');
+        this.nameInput.type = 'text';
+        this.nameInput.className = 'editor-name';
+        this.nameInput.maxLength = 32;
+        this.nameInput.setAttribute('aria-label', 'Level name');
+        this.nameInput.addEventListener('input', () => {
+            if (this.onNameChange) this.onNameChange(this.nameInput.value);
+        });
+
+        this.shotsEl = document.createElement('span');
+        this.shotsEl.className = 'editor-value';
+        this.parEl = document.createElement('span');
+        this.parEl.className = 'editor-value';
+        this._shots = 0;
+        this._par = 0;
+
+        levelBar.appendChild(this.nameInput);
+        levelBar.appendChild(this._createStepper('Shots', this.shotsEl, (step) => {
+            if (this.onShotsChange) this.onShotsChange(this._shots + step);
+        }));
+        levelBar.appendChild(this._createStepper('Par', this.parEl, (step) => {
+            if (this.onParChange) this.onParChange(this._par + step);
+        }));
+
+        // ── Tools and the selected wall ──
+        const wallBar = document.createElement('div');
+        wallBar.className = 'editor-bar';
+
+        this.selectBtn = this._createBtn('↖ SELECT', 'Select and move', () => this._pickTool('select'));
+        this.addBtn = this._createBtn('+ WALL', 'Add walls', () => this._pickTool('wall'));
+
+        this.typeSelect = document.createElement('select');
+        this.typeSelect.className = 'editor-type';
+        this.typeSelect.setAttribute('aria-label', 'Wall type');
+        for (const type of WALL_TYPES) {
+            const option = document.createElement('option');
+            option.value = type;
+            option.textContent = type;
+            this.typeSelect.appendChild(option);
+        }
+        this.typeSelect.addEventListener('change', () => {
+            if (this.onTypeChange) this.onTypeChange(this.typeSelect.value);
+        });
+
+        this.wallControls = document.createElement('div');
+        this.wallControls.className = 'editor-wall-controls';
+        this.hitsEl = document.createElement('span');
+        this.hitsEl.className = 'editor-value';
+        this._hits = 0;
+        this.wallControls.appendChild(this._createBtn('⟲', 'Rotate left', () => {
+            if (this.onRotate) this.onRotate(1);
+        }));
+        this.wallControls.appendChild(this._createBtn('⟳', 'Rotate right', () => {
+            if (this.onRotate) this.onRotate(-1);
+        }));
+        this.wallControls.appendChild(this._createBtn('−', 'Shorter', () => {
+            if (this.onResize) this.onResize(-CONFIG.EDITOR.LENGTH_STEP);
+        }));
+        this.wallControls.appendChild(this._createBtn('+', 'Longer', () => {
+            if (this.onResize) this.onResize(CONFIG.EDITOR.LENGTH_STEP);
+        }));
+        this.wallControls.appendChild(this._createStepper('Hits', this.hitsEl, (step) => {
+            if (this.onHitsChange) this.onHitsChange(this._hits + step);
+        }));
+        this.wallControls.appendChild(this._createBtn('✕', 'Delete wall', () => {
+            if (this.onDelete) this.onDelete();
+        }));
+
+        wallBar.appendChild(this.selectBtn);
+        wallBar.appendChild(this.addBtn);
+        wallBar.appendChild(this.typeSelect);
+        wallBar.appendChild(this.wallControls);
+
+        // ── File and test ──
+        const fileBar = document.createElement('div');
+        fileBar.className = 'editor-bar';
+
+        const fileInput = document.createElement('input');
+        fileInput.type = 'file';
+        fileInput.accept = '.json,application/json';
+        fileInput.style.display = 'none';
+        fileInput.addEventListener('change', async () => {
+            const file = fileInput.files[0];
+            fileInput.value = '';
+            if (!file) return;
+            let text;
+            try {
+                text = await file.text();
+            } catch {
+                this.showMessage(`Could not read ${file.name}`);
+                return;
+            }
+            if (this.onImport) this.onImport(text);
+        });
+
+        fileBar.appendChild(this._createBtn('▶ PLAY TEST', 'Play test', () => {
+            if (this.onPlayTest) this.onPlayTest();
+        }));
+        fileBar.appendChild(this._createBtn('\u{1F4C2} IMPORT', 'Import level', () => fileInput.click()));
+        fileBar.appendChild(this._createBtn('⤓ EXPORT', 'Export level', () => {
+            if (this.onExport) this.onExport();
+        }));
+        fileBar.appendChild(this._createBtn('EXIT', 'Exit editor', () => {
+            if (this.onExit) this.onExit();
+        }));
+        fileBar.appendChild(fileInput);
+
+        this.messageEl = document.createElement('div');
+        this.messageEl.className = 'editor-message';
+
+        const title = document.createElement('div');
+        title.className = 'editor-title';
+        title.textContent = 'EDITOR';
+
+        el.appendChild(title);
+        el.appendChild(levelBar);
+        el.appendChild(wallBar);
+        el.appendChild(fileBar);
+        el.appendChild(this.messageEl);
+        document.body.appendChild(el);
+        this.element = el;
+    }
+
+    _createBtn(label, ariaLabel, onClick) {
+        const btn = document.createElement('button');
+        btn.className = 'editor-btn';
+        btn.textContent = label;
+        btn.setAttribute('aria-label', ariaLabel);
+        btn.addEventListener('click', onClick);
+        return btn;
+    }
+
+    /** "LABEL − value +" group; onStep gets -1 or 1. */
+    _createStepper(label, valueEl, onStep) {
+        const group = document.createElement('span');
+        group.className = 'editor-stepper';
+        const labelEl = document.createElement('span');
+        labelEl.className = 'editor-label';
+        labelEl.textContent = label.toUpperCase();
+        group.appendChild(labelEl);
+        group.appendChild(this._createBtn('−', `Fewer ${label.toLowerCase()}`, () => onStep(-1)));
+        group.appendChild(valueEl);
+        group.appendChild(this._createBtn('+', `More ${label.toLowerCase()}`, () => onStep(1)));
+        return group;
+    }
+
+    _pickTool(tool) {
+        if (this.onToolChange) this.onToolChange(tool);
+    }
+
+    get isVisible() { return this.element.style.display !== 'none'; }
+
+    show() {
+        this.showMessage('');
+        this.element.style.display = 'flex';
+    }
+
+    hide() { this.element.style.display = 'none'; }
+
+    /**
+     * Mirror the editor's state.
+     * @param {Object} state - `{ name, shots, par, tool, wallType, hasSelection, hits }`
+     */
+    update({ name, shots, par, tool, wallType, hasSelection, hits }) {
+        // Don't fight the caret while the name is being typed
+        if (document.activeElement !== this.nameInput) this.nameInput.value = name;
+        this._shots = shots;
+        this._par = par;
+        this._hits = hits;
+        this.shotsEl.textContent = shots;
+        this.parEl.textContent = par;
+        this.hitsEl.textContent = hits;
+        this.selectBtn.classList.toggle('active', tool === 'select');
+        this.addBtn.classList.toggle('active', tool === 'wall');
+        this.typeSelect.value = wallType;
+        this.wallControls.style.display = hasSelection ? '' : 'none';
+    }
+
+    /** One-line note under the bars (e.g. why a level can't be played yet); '' clears it. */
+    showMessage(text) { this.messageEl.textContent = text; }
+}
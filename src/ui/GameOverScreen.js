@@ -1,14 +1,24 @@
 import { CONFIG } from '../config.js';
 
 /**
- * Game over overlay with level reached, 3-initial entry, and continue button.
+ * Game over overlay with level reached, run stats, 3-initial entry, and continue button.
  */
 export class GameOverScreen {
     constructor() {
         this.element = null;
     }
 
-    show(level, score, isNewBest, onDone) {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.title] - Replaces the default title
+     * @param {string[]} [options.lines] - Extra detail lines shown under the level
+     * @param {Array<[string, string]>} [options.stats] - Run stats as [label, value] rows (see StatsTracker.js)
+     * @param {boolean} [options.askInitials] - false skips the initials entry (onDone gets null)
+     * @param {string} [options.initials] - Pre-fills the initials entry (the active profile's)
+     * @param {Function} [options.onExportReplay] - Adds a "Save Replay" button that calls it
+     * @param {Function} [options.onRetry] - Adds a "Retry" button that closes the screen and calls it (instead of onDone)
+     */
+    show(level, score, isNewBest, onDone, options = {}) {
         const div = document.createElement('div');
         div.style.position = 'absolute';
         div.style.top = '50%';
@@ -24,7 +34,7 @@ export class GameOverScreen {
         const title = document.createElement('div');
         title.style.fontSize = 'clamp(32px, 8vw, 48px)';
         title.style.marginBottom = '20px';
-        title.textContent = isNewBest ? 'New High Score!' : 'Game Over!';
+        title.textContent = isNewBest ? 'New High Score!' : (options.title || 'Game Over!');
 
         const scoreText = document.createElement('div');
         scoreText.style.fontSize = 'clamp(24px, 6vw, 36px)';
@@ -38,6 +48,43 @@ export class GameOverScreen {
         levelText.style.opacity = '0.7';
         levelText.textContent = `Level ${level}`;
 
+        const detailLines = (options.lines || []).map(text => {
+            const line = document.createElement('div');
+            line.style.fontSize = 'clamp(13px, 3vw, 16px)';
+            line.style.marginBottom = '6px';
+            line.style.opacity = '0.7';
+            line.textContent = text;
+            return line;
+        });
+        if (detailLines.length > 0) {
+            levelText.style.marginBottom = '6px';
+            detailLines[detailLines.length - 1].style.marginBottom = '24px';
+        }
+
+        // ── Run stats (two label/value pairs per line) ──
+        let statsGrid = null;
+        if (options.stats) {
+            statsGrid = document.createElement('div');
+            statsGrid.style.display = 'grid';
+            statsGrid.style.gridTemplateColumns = 'repeat(2, auto auto)';
+            statsGrid.style.gap = '4px 12px';
+            statsGrid.style.justifyContent = 'center';
+            statsGrid.style.fontSize = 'clamp(12px, 2.5vw, 14px)';
+            statsGrid.style.marginBottom = '24px';
+            for (const [label, value] of options.stats) {
+                const labelEl = document.createElement('span');
+                labelEl.style.textAlign = 'left';
+                labelEl.style.opacity = '0.7';
+                labelEl.textContent = label;
+                const valueEl = document.createElement('span');
+                valueEl.style.textAlign = 'right';
+                valueEl.style.fontWeight = 'bold';
+                valueEl.textContent = value;
+                statsGrid.appendChild(labelEl);
+                statsGrid.appendChild(valueEl);
+            }
+        }
+
         // ── Initials input ──
         const initialsLabel = document.createElement('div');
         initialsLabel.style.fontSize = 'clamp(13px, 3vw, 16px)';
@@ -71,6 +118,7 @@ export class GameOverScreen {
             input.style.outline = 'none';
             input.style.caretColor = 'transparent';
             input.autocomplete = 'off';
+            input.value = (options.initials || '')[i] || '';
 
             input.addEventListener('input', () => {
                 input.value = input.value.replace(/[^A-Za-z]/g, '').toUpperCase();
@@ -87,6 +135,47 @@ export class GameOverScreen {
             initialsRow.appendChild(input);
         }
 
+        // ── Replay export ──
+        let exportBtn = null;
+        if (options.onExportReplay) {
+            exportBtn = document.createElement('button');
+            exportBtn.textContent = 'SAVE REPLAY';
+            exportBtn.style.display = 'block';
+            exportBtn.style.margin = '0 auto 16px';
+            exportBtn.style.fontSize = 'clamp(13px, 3vw, 16px)';
+            exportBtn.style.letterSpacing = '0.1em';
+            exportBtn.style.padding = '8px 16px';
+            exportBtn.style.minHeight = '44px';
+            exportBtn.style.background = 'transparent';
+            exportBtn.style.color = '#008BFF';
+            exportBtn.style.border = '2px solid #008BFF';
+            exportBtn.style.borderRadius = '5px';
+            exportBtn.style.cursor = 'pointer';
+            exportBtn.onclick = () => options.onExportReplay();
+        }
+
+        // ── Retry ──
+        let retryBtn = null;
+        if (options.onRetry) {
+            retryBtn = document.createElement('button');
+            retryBtn.textContent = 'RETRY';
+            retryBtn.style.display = 'block';
+            retryBtn.style.margin = '0 auto 16px';
+            retryBtn.style.fontSize = 'clamp(13px, 3vw, 16px)';
+            retryBtn.style.letterSpacing = '0.1em';
+            retryBtn.style.padding = '8px 16px';
+            retryBtn.style.minHeight = '44px';
+            retryBtn.style.background = 'transparent';
+            retryBtn.style.color = CONFIG.COLORS.BONUS_SHOTS;
+            retryBtn.style.border = `2px solid ${CONFIG.COLORS.BONUS_SHOTS}`;
+            retryBtn.style.borderRadius = '5px';
+            retryBtn.style.cursor = 'pointer';
+            retryBtn.onclick = () => {
+                this.hide();
+                options.onRetry();
+            };
+        }
+
         // ── Continue button ──
         const btn = document.createElement('button');
         btn.textContent = 'OK';
@@ -102,8 +191,9 @@ export class GameOverScreen {
         btn.style.transition = 'background-color 0.3s';
         btn.onmouseover = () => { btn.style.backgroundColor = CONFIG.COLORS.BUTTON_HOVER; };
         btn.onmouseout = () => { btn.style.backgroundColor = CONFIG.COLORS.BUTTON_PRIMARY; };
+        const askInitials = options.askInitials !== false;
         btn.onclick = () => {
-            const initials = inputs.map(i => i.value || 'A').join('');
+            const initials = askInitials ? inputs.map(i => i.value || 'A').join('') : null;
             this.hide();
             onDone(initials);
         };
@@ -111,14 +201,20 @@ export class GameOverScreen {
         div.appendChild(title);
         div.appendChild(scoreText);
         div.appendChild(levelText);
-        div.appendChild(initialsLabel);
-        div.appendChild(initialsRow);
+        detailLines.forEach(line => div.appendChild(line));
+        if (statsGrid) div.appendChild(statsGrid);
+        if (askInitials) {
+            div.appendChild(initialsLabel);
+            div.appendChild(initialsRow);
+        }
+        if (exportBtn) div.appendChild(exportBtn);
+        if (retryBtn) div.appendChild(retryBtn);
         div.appendChild(btn);
         document.body.appendChild(div);
         this.element = div;
 
         // Auto-focus first input
-        setTimeout(() => inputs[0].focus(), 100);
+        if (askInitials) setTimeout(() => (inputs.find(input => !input.value) || inputs[2]).focus(), 100);
     }
 
     hide() {
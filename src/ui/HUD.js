@@ -1,13 +1,21 @@
 import { CONFIG } from '../config.js';
 
 /**
- * Head-up display: level, shots, wall count, and optional FPS counter.
+ * Head-up display: level, shots, wall count, Time Attack countdown, pause, undo and
+ * replay buttons, achievement toasts, and optional FPS counter.
  */
 export class HUD {
     constructor() {
+        /** @type {Function|null} Called when the on-screen pause button is tapped. */
+        this.onPause = null;
+        /** @type {Function|null} Called when the instant replay button is tapped. */
+        this.onReplay = null;
+        /** @type {Function|null} Called when the undo button is tapped. */
+        this.onUndo = null;
         this.fpsElement = null;
         this.fpsFrames = 0;
         this.fpsLastTime = performance.now();
+        this._timerText = null;
         this.createElements();
     }
 
@@ -29,13 +37,123 @@ export class HUD {
         this.levelEl = document.createElement('div');
         this.shotsEl = document.createElement('div');
         this.wallsEl = document.createElement('div');
+        this.puzzleEl = document.createElement('div');
+        this.puzzleEl.style.fontSize = '0.7em';
+        this.puzzleEl.style.opacity = '0.8';
+        this.puzzleEl.style.display = 'none';
 
         this.container.appendChild(this.scoreEl);
         this.container.appendChild(this.levelEl);
+        this.container.appendChild(this.puzzleEl);
         this.container.appendChild(this.shotsEl);
         this.container.appendChild(this.wallsEl);
         document.body.appendChild(this.container);
 
+        // Pause button (top-left)
+        this.pauseBtn = document.createElement('button');
+        this.pauseBtn.textContent = '\u275A\u275A';
+        this.pauseBtn.setAttribute('aria-label', 'Pause');
+        this.pauseBtn.style.cssText = `
+            position: absolute;
+            top: calc(20px + env(safe-area-inset-top));
+            left: calc(20px + env(safe-area-inset-left));
+            min-width: 44px; min-height: 44px;
+            font: bold 16px Arial, sans-serif;
+            color: ${CONFIG.COLORS.UI_TEXT};
+            background: transparent;
+            border: 2px solid ${CONFIG.COLORS.UI_TEXT};
+            border-radius: 8px;
+            cursor: pointer;
+            display: none;
+        `;
+        this.pauseBtn.addEventListener('click', () => {
+            if (this.onPause) this.onPause();
+        });
+        document.body.appendChild(this.pauseBtn);
+
+        // Undo button (below pause, only while the last shot can be taken back)
+        this.undoBtn = document.createElement('button');
+        this.undoBtn.textContent = '\u21B6';
+        this.undoBtn.setAttribute('aria-label', 'Undo last shot');
+        this.undoBtn.style.cssText = `
+            position: absolute;
+            top: calc(76px + env(safe-area-inset-top));
+            left: calc(20px + env(safe-area-inset-left));
+            min-width: 44px; min-height: 44px;
+            font: bold 22px Arial, sans-serif;
+            color: ${CONFIG.COLORS.UI_TEXT};
+            background: transparent;
+            border: 2px solid ${CONFIG.COLORS.UI_TEXT};
+            border-radius: 8px;
+            cursor: pointer;
+            display: none;
+        `;
+        this.undoBtn.addEventListener('click', () => {
+            if (this.onUndo) this.onUndo();
+        });
+        document.body.appendChild(this.undoBtn);
+
+        // Instant replay offer (bottom-center, shown after a big combo)
+        this.replayBtn = document.createElement('button');
+        this.replayBtn.textContent = '\u25B6 REPLAY';
+        this.replayBtn.style.cssText = `
+            position: absolute;
+            bottom: calc(20px + env(safe-area-inset-bottom));
+            left: 50%; transform: translateX(-50%);
+            min-height: 44px; padding: 0 18px;
+            font: bold 16px Arial, sans-serif;
+            letter-spacing: 0.1em;
+            color: #FF5FCF;
+            background: transparent;
+            border: 2px solid #FF5FCF;
+            border-radius: 8px;
+            box-shadow: 0 0 10px #FF5FCF;
+            cursor: pointer;
+            display: none;
+        `;
+        this.replayBtn.addEventListener('click', () => {
+            if (this.onReplay) this.onReplay();
+        });
+        document.body.appendChild(this.replayBtn);
+
+        // Time Attack countdown (top-center)
+        this.timerEl = document.createElement('div');
+        this.timerEl.style.cssText = `
+            position: absolute;
+            top: calc(14px + env(safe-area-inset-top));
+            left: 50%; transform: translateX(-50%);
+            font: 900 clamp(32px, 8vw, 56px) Arial, sans-serif;
+            color: ${CONFIG.COLORS.UI_TEXT};
+            text-shadow: 0 0 12px currentColor;
+            text-align: center; pointer-events: none;
+            display: none;
+        `;
+        this.timerValueEl = document.createElement('div');
+        this.timeBonusEl = document.createElement('div');
+        this.timeBonusEl.style.cssText = `
+            font-size: 0.45em;
+            color: ${CONFIG.COLORS.BONUS_SHOTS};
+            opacity: 0; transition: opacity 0.4s;
+        `;
+        this.timerEl.appendChild(this.timerValueEl);
+        this.timerEl.appendChild(this.timeBonusEl);
+        document.body.appendChild(this.timerEl);
+        this._timeBonusTimer = null;
+
+        // Versus scoreboard (top-center): one block per player, the one to shoot lit up
+        this.playersEl = document.createElement('div');
+        this.playersEl.style.cssText = `
+            position: absolute;
+            top: calc(14px + env(safe-area-inset-top));
+            left: 50%; transform: translateX(-50%);
+            display: none; gap: 12px;
+            font: bold clamp(13px, 3vw, 18px) Arial, sans-serif;
+            color: ${CONFIG.COLORS.UI_TEXT};
+            text-align: center; pointer-events: none;
+        `;
+        document.body.appendChild(this.playersEl);
+        this._playerEls = [];
+
         // Combo display (centered)
         this.comboEl = document.createElement('div');
         this.comboEl.style.cssText = `
@@ -61,22 +179,133 @@ export class HUD {
         `;
         document.body.appendChild(this.bannerEl);
         this._bannerTimers = [];
+
+        // Achievement toasts (bottom-left, one at a time)
+        this.toastEl = document.createElement('div');
+        this.toastEl.style.cssText = `
+            position: fixed;
+            bottom: calc(20px + env(safe-area-inset-bottom));
+            left: calc(20px + env(safe-area-inset-left));
+            max-width: min(320px, 70vw);
+            padding: 10px 16px; border-radius: 8px;
+            border: 2px solid ${CONFIG.COLORS.ACHIEVEMENT};
+            background: ${CONFIG.COLORS.GAME_OVER_BG};
+            box-shadow: 0 0 12px ${CONFIG.COLORS.ACHIEVEMENT};
+            color: ${CONFIG.COLORS.UI_TEXT};
+            font-family: Arial, sans-serif; pointer-events: none;
+            opacity: 0; transform: translateY(20px);
+            transition: opacity 0.3s, transform 0.3s;
+            z-index: 700;
+        `;
+        document.body.appendChild(this.toastEl);
+        this._toastQueue = [];
+        this._toastTimer = null;
     }
 
-    show() { this.container.style.display = ''; }
+    show() {
+        this.container.style.display = '';
+        this.pauseBtn.style.display = '';
+    }
     hide() {
         this.container.style.display = 'none';
+        this.pauseBtn.style.display = 'none';
+        this.setUndoAvailable(false);
+        this.hideReplayButton();
         this.hideCombo();
         this.hideLevelBanner();
+        this.setTimer(null);
+        this.setPuzzle(null);
+        this.setPlayers(null);
     }
 
-    update(level, shotsRemaining, wallCount, score) {
+    /**
+     * @param {number|null} shotsRemaining - null hides the line (Time Attack and Zen have no shot budget)
+     * @param {number|null} score - null hides the line (Zen keeps no score)
+     * @param {number|null} [maxLevel] - Shown as "Level: n/max" for fixed-length runs
+     */
+    update(level, shotsRemaining, wallCount, score, maxLevel = null) {
+        this.scoreEl.style.display = score === null ? 'none' : '';
         this.scoreEl.textContent = `Score: ${score}`;
-        this.levelEl.textContent = `Level: ${level}`;
+        this.levelEl.textContent = maxLevel ? `Level: ${level}/${maxLevel}` : `Level: ${level}`;
+        this.shotsEl.style.display = shotsRemaining === null ? 'none' : '';
         this.shotsEl.textContent = `Shots: ${shotsRemaining}`;
         this.wallsEl.textContent = `Walls: ${wallCount}`;
     }
 
+    /**
+     * Show each versus player's score and shots, highlighting whose turn it is, or hide the
+     * scoreboard with null.
+     * @param {Object[]|null} players - `{ score, shotsRemaining }` per player
+     * @param {number} [turn] - Index of the player to shoot
+     * @param {string[]} [names] - Label per player (P1, P2, ... by default)
+     */
+    setPlayers(players, turn = 0, names = null) {
+        if (players === null) {
+            this.playersEl.style.display = 'none';
+            return;
+        }
+        while (this._playerEls.length < players.length) {
+            const el = document.createElement('div');
+            el.style.cssText = `
+                padding: 6px 12px; border-radius: 8px;
+                border: 2px solid transparent;
+                transition: border-color 0.3s, opacity 0.3s;
+            `;
+            this.playersEl.appendChild(el);
+            this._playerEls.push(el);
+        }
+        players.forEach((player, i) => {
+            const el = this._playerEls[i];
+            const active = i === turn;
+            el.textContent = `${names ? names[i] : `P${i + 1}`}  ${player.score}  \u00B7  ${player.shotsRemaining} shots`;
+            el.style.borderColor = active ? CONFIG.COLORS.VERSUS_PLAYERS[i] : 'transparent';
+            el.style.color = CONFIG.COLORS.VERSUS_PLAYERS[i];
+            el.style.opacity = active ? '1' : '0.5';
+        });
+        this.playersEl.style.display = 'flex';
+    }
+
+    /** Show a puzzle's name and par under the level line, or hide it with null. */
+    setPuzzle(name, par = null) {
+        this.puzzleEl.style.display = name === null ? 'none' : '';
+        this.puzzleEl.textContent = name === null ? '' : `${name} \u00B7 Par ${par}`;
+    }
+
+    /** Show the countdown as m:ss (red under CONFIG.TIME_ATTACK.WARNING_TIME), or hide it with null. */
+    setTimer(ms) {
+        if (ms === null) {
+            this.timerEl.style.display = 'none';
+            this._timerText = null;
+            clearTimeout(this._timeBonusTimer);
+            this.timeBonusEl.style.opacity = '0';
+            return;
+        }
+        // Round up so the timer reads 0:00 only once time is actually out
+        const seconds = Math.ceil(ms / 1000);
+        const text = `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+        if (text === this._timerText) return;
+        this._timerText = text;
+        this.timerEl.style.display = '';
+        this.timerValueEl.textContent = text;
+        this.timerEl.style.color = ms < CONFIG.TIME_ATTACK.WARNING_TIME ? CONFIG.COLORS.TIMER_WARNING : CONFIG.COLORS.UI_TEXT;
+    }
+
+    /** Flash "+Ns" under the countdown. */
+    showTimeBonus(ms) {
+        clearTimeout(this._timeBonusTimer);
+        this.timeBonusEl.textContent = `+${Math.round(ms / 1000)}s`;
+        this.timeBonusEl.style.opacity = '1';
+        this._timeBonusTimer = setTimeout(() => { this.timeBonusEl.style.opacity = '0'; }, 1500);
+    }
+
+    setUndoAvailable(available) {
+        const display = available ? '' : 'none';
+        if (this.undoBtn.style.display !== display) this.undoBtn.style.display = display;
+    }
+
+    showReplayButton() { this.replayBtn.style.display = ''; }
+    hideReplayButton() { this.replayBtn.style.display = 'none'; }
+
     showCombo(count, bonusPoints, color) {
         clearTimeout(this._comboFadeTimer);
         this.comboEl.style.color = color;
@@ -95,7 +324,43 @@ export class HUD {
         this.comboEl.style.transform = 'translate(-50%, -50%) scale(0)';
     }
 
-    showLevelBanner(level, bonusPoints, bonusShots) {
+    /**
+     * Pop an "achievement unlocked" toast; unlocks that arrive together are shown in turn.
+     * @param {Object} achievement - `{ title, description }` (see AchievementTracker.js)
+     */
+    showAchievement(achievement) {
+        this._toastQueue.push(achievement);
+        if (!this._toastTimer) this._nextToast();
+    }
+
+    _nextToast() {
+        const achievement = this._toastQueue.shift();
+        if (!achievement) {
+            this._toastTimer = null;
+            return;
+        }
+        this.toastEl.innerHTML = '';
+        const heading = document.createElement('div');
+        heading.style.cssText = `font-size: 11px; letter-spacing: 0.15em; color: ${CONFIG.COLORS.ACHIEVEMENT};`;
+        heading.textContent = '\u{1F3C6} ACHIEVEMENT UNLOCKED';
+        const title = document.createElement('div');
+        title.style.cssText = 'font-size: clamp(15px, 3.5vw, 19px); font-weight: 900; margin: 2px 0;';
+        title.textContent = achievement.title;
+        const description = document.createElement('div');
+        description.style.cssText = 'font-size: 13px; opacity: 0.75;';
+        description.textContent = achievement.description;
+        this.toastEl.append(heading, title, description);
+
+        this.toastEl.style.opacity = '1';
+        this.toastEl.style.transform = 'translateY(0)';
+        this._toastTimer = setTimeout(() => {
+            this.toastEl.style.opacity = '0';
+            this.toastEl.style.transform = 'translateY(20px)';
+            this._toastTimer = setTimeout(() => this._nextToast(), 300);
+        }, CONFIG.ACHIEVEMENTS.TOAST_DURATION);
+    }
+
+    showLevelBanner(level, bonusPoints, bonusShots, bonusTime = 0) {
         this._bannerTimers.forEach(t => clearTimeout(t));
         this._bannerTimers = [];
         this.bannerEl.innerHTML = '';
@@ -109,6 +374,9 @@ export class HUD {
         if (bonusShots > 0) {
             lines.push({ text: `${bonusShots} bonus shot${bonusShots > 1 ? 's' : ''}`, color: CONFIG.COLORS.BONUS_SHOTS, delay: 1200 });
         }
+        if (bonusTime > 0) {
+            lines.push({ text: `+${Math.round(bonusTime / 1000)} seconds`, color: CONFIG.COLORS.BONUS_SHOTS, delay: 600 });
+        }
 
         for (const line of lines) {
             const div = document.createElement('div');
@@ -1,17 +1,25 @@
+import { getDailyKey } from '../core/DailyChallenge.js';
+import { CONFIG } from '../config.js';
+import { GameEvents } from '../core/GameEvents.js';
+import { DIFFICULTIES, getDifficulty, isDifficulty } from '../core/Difficulty.js';
+import { PUZZLE_PACK } from '../levels/PuzzlePack.js';
+import { ACHIEVEMENTS } from '../core/AchievementTracker.js';
+
 /**
- * Neon-themed home screen with title, high scores, orientation selector, and play button.
+ * Neon-themed home screen: top scores, run settings, profiles, files and online play,
+ * and the play buttons. Button presses are emitted on the game's EventBus
+ * (HOME_PLAY, HOME_DAILY, HOME_CONTINUE, ...).
  */
 export class HomeScreen {
-    constructor(storage) {
+    constructor(storage, events) {
         this.storage = storage;
-        /** @type {Function|null} Called when the user taps Play. */
-        this.onPlay = null;
-        /** @type {Function|null} Called when the user toggles sound. */
-        this.onSoundToggle = null;
+        this.events = events;
         this.selectedOrientation = storage.getSettings().orientation || 'landscape';
         this.soundEnabled = storage.getSettings().sound !== false; // default on
+        this.scoreFilter = null; // difficulty shown in the high scores, null for all
         this.element = null;
         this.scoresContainer = null;
+        this.dailyContainer = null;
         this._create();
     }
 
@@ -32,13 +40,56 @@ export class HomeScreen {
         scoresHeading.className = 'home-scores-heading';
         scoresHeading.textContent = 'HIGH SCORES';
 
+        const filterBtns = document.createElement('div');
+        filterBtns.className = 'home-score-filters';
+        this.filterBtns = [null, ...DIFFICULTIES].map((difficulty) => {
+            const btn = document.createElement('button');
+            btn.className = 'home-score-filter';
+            btn.textContent = difficulty ? getDifficulty(difficulty).label : 'ALL';
+            btn.addEventListener('click', () => {
+                this.scoreFilter = difficulty;
+                this._renderScores();
+                this._renderTimeAttack();
+            });
+            filterBtns.appendChild(btn);
+            return { btn, difficulty };
+        });
+
         this.scoresContainer = document.createElement('div');
         this.scoresContainer.className = 'home-scores-list';
         this._renderScores();
 
         scoresSection.appendChild(scoresHeading);
+        scoresSection.appendChild(filterBtns);
         scoresSection.appendChild(this.scoresContainer);
 
+        // ── Daily Challenge ──
+        this.dailyContainer = document.createElement('div');
+        this.dailyContainer.className = 'home-daily';
+        this._renderDaily();
+        scoresSection.appendChild(this.dailyContainer);
+
+        // ── Time Attack Best ──
+        this.timeAttackContainer = document.createElement('div');
+        this.timeAttackContainer.className = 'home-time-attack';
+        this._renderTimeAttack();
+        scoresSection.appendChild(this.timeAttackContainer);
+
+        // ── Puzzle Progress ──
+        this.puzzleContainer = document.createElement('div');
+        this.puzzleContainer.className = 'home-puzzles';
+        this._renderPuzzles();
+        scoresSection.appendChild(this.puzzleContainer);
+
+        // ── Full Leaderboard (opens on the board the preview shows) ──
+        const leaderboardBtn = document.createElement('button');
+        leaderboardBtn.className = 'home-score-filter home-leaderboard-btn';
+        leaderboardBtn.textContent = 'ALL SCORES ›';
+        leaderboardBtn.addEventListener('click', () => {
+            this.events.emit(GameEvents.HOME_LEADERBOARD, { mode: 'classic', difficulty: this.scoreFilter });
+        });
+        scoresSection.appendChild(leaderboardBtn);
+
         // ── Orientation Selector ──
         const orientSection = document.createElement('div');
         orientSection.className = 'home-orient';
@@ -57,6 +108,32 @@ export class HomeScreen {
         orientSection.appendChild(orientLabel);
         orientSection.appendChild(orientBtns);
 
+        // ── Difficulty Selector (read by PoolGame when a run starts) ──
+        const difficultySection = document.createElement('div');
+        difficultySection.className = 'home-difficulty';
+
+        const difficultyLabel = document.createElement('div');
+        difficultyLabel.className = 'home-orient-label';
+        difficultyLabel.textContent = 'DIFFICULTY';
+
+        const difficultyBtns = document.createElement('div');
+        difficultyBtns.className = 'home-orient-btns';
+        this.difficultyBtns = DIFFICULTIES.map((difficulty) => {
+            const btn = document.createElement('button');
+            btn.className = 'home-orient-option';
+            btn.textContent = getDifficulty(difficulty).label;
+            btn.addEventListener('click', () => {
+                this.storage.saveSettings({ difficulty });
+                this._updateDifficultyBtns();
+            });
+            difficultyBtns.appendChild(btn);
+            return { btn, difficulty };
+        });
+        this._updateDifficultyBtns();
+
+        difficultySection.appendChild(difficultyLabel);
+        difficultySection.appendChild(difficultyBtns);
+
         // ── Sound Toggle ──
         const soundSection = document.createElement('div');
         soundSection.className = 'home-sound';
@@ -72,12 +149,237 @@ export class HomeScreen {
             this.soundEnabled = !this.soundEnabled;
             this.storage.saveSettings({ sound: this.soundEnabled });
             this._updateSoundBtn();
-            if (this.onSoundToggle) this.onSoundToggle(this.soundEnabled);
+            this.events.emit(GameEvents.SOUND_TOGGLED, { enabled: this.soundEnabled });
         });
 
         soundSection.appendChild(soundLabel);
         soundSection.appendChild(this.soundBtn);
 
+        // ── Undo Toggle (runs that use it are unranked) ──
+        const undoSection = document.createElement('div');
+        undoSection.className = 'home-undo';
+
+        const undoLabel = document.createElement('div');
+        undoLabel.className = 'home-orient-label';
+        undoLabel.textContent = 'UNDO';
+
+        this.undoBtn = document.createElement('button');
+        this.undoBtn.className = 'home-orient-option';
+        this.undoBtn.title = 'Take back the last shot. Runs that use it are not ranked.';
+        this._updateUndoBtn();
+        this.undoBtn.addEventListener('click', () => {
+            this.storage.saveSettings({ undo: !this.undoEnabled });
+            this._updateUndoBtn();
+        });
+
+        undoSection.appendChild(undoLabel);
+        undoSection.appendChild(this.undoBtn);
+
+        // ── Profile Picker (scores, settings, progress and the saved run are per profile) ──
+        const profileSection = document.createElement('div');
+        profileSection.className = 'home-profile';
+
+        const profileLabel = document.createElement('div');
+        profileLabel.className = 'home-orient-label';
+        profileLabel.textContent = 'PROFILE';
+
+        this.profileSelect = document.createElement('select');
+        this.profileSelect.className = 'home-profile-input home-profile-select';
+        this.profileSelect.setAttribute('aria-label', 'Profile');
+        this.profileSelect.addEventListener('change', () => this._onProfileSelect(this.profileSelect.value));
+        this._renderProfiles();
+
+        this.profileInput = document.createElement('input');
+        this.profileInput.type = 'text';
+        this.profileInput.className = 'home-profile-input';
+        this.profileInput.placeholder = 'NAME';
+        this.profileInput.maxLength = CONFIG.PROFILES.NAME_LENGTH;
+        this.profileInput.setAttribute('aria-label', 'New profile name');
+        this.profileInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') this._onAddProfileClick();
+        });
+
+        const addProfileBtn = document.createElement('button');
+        addProfileBtn.className = 'home-orient-option active';
+        addProfileBtn.textContent = '+ ADD';
+        addProfileBtn.addEventListener('click', () => this._onAddProfileClick());
+
+        const profileRow = document.createElement('div');
+        profileRow.className = 'home-online-row';
+        profileRow.appendChild(this.profileSelect);
+        profileRow.appendChild(this.profileInput);
+        profileRow.appendChild(addProfileBtn);
+
+        profileSection.appendChild(profileLabel);
+        profileSection.appendChild(profileRow);
+
+        const togglesRow = document.createElement('div');
+        togglesRow.className = 'home-toggles';
+        togglesRow.appendChild(profileSection);
+        togglesRow.appendChild(soundSection);
+        togglesRow.appendChild(undoSection);
+
+        // ── Replay Loader ──
+        const replaySection = document.createElement('div');
+        replaySection.className = 'home-replay';
+
+        const replayLabel = document.createElement('div');
+        replayLabel.className = 'home-orient-label';
+        replayLabel.textContent = 'REPLAY';
+
+        const replayInput = document.createElement('input');
+        replayInput.type = 'file';
+        replayInput.accept = '.json,application/json';
+        replayInput.style.display = 'none';
+        replayInput.addEventListener('change', async () => {
+            const text = await this._readPickedFile(replayInput);
+            if (text === null) return;
+            this._tryLockOrientation();
+            this.events.emit(GameEvents.HOME_LOAD_REPLAY, { text });
+        });
+
+        const replayBtn = document.createElement('button');
+        replayBtn.className = 'home-orient-option active';
+        replayBtn.textContent = '\u{1F4C2} LOAD';
+        replayBtn.addEventListener('click', () => replayInput.click());
+
+        replaySection.appendChild(replayLabel);
+        replaySection.appendChild(replayBtn);
+        replaySection.appendChild(replayInput);
+
+        // ── Level Editor ──
+        const editorSection = document.createElement('div');
+        editorSection.className = 'home-editor';
+
+        const editorLabel = document.createElement('div');
+        editorLabel.className = 'home-orient-label';
+        editorLabel.textContent = 'LEVELS';
+
+        const editorBtn = document.createElement('button');
+        editorBtn.className = 'home-orient-option active';
+        editorBtn.textContent = '\u270E EDITOR';
+        editorBtn.addEventListener('click', () => this.events.emit(GameEvents.HOME_EDITOR));
+
+        editorSection.appendChild(editorLabel);
+        editorSection.appendChild(editorBtn);
+
+        // ── Online Versus (both players enter the same room code) ──
+        const onlineSection = document.createElement('div');
+        onlineSection.className = 'home-online';
+
+        const onlineLabel = document.createElement('div');
+        onlineLabel.className = 'home-orient-label';
+        onlineLabel.textContent = 'ONLINE';
+
+        const onlineRow = document.createElement('div');
+        onlineRow.className = 'home-online-row';
+
+        this.roomInput = document.createElement('input');
+        this.roomInput.type = 'text';
+        this.roomInput.className = 'home-room-input';
+        this.roomInput.placeholder = 'ROOM';
+        this.roomInput.maxLength = CONFIG.ONLINE.ROOM_CODE_LENGTH;
+        this.roomInput.setAttribute('aria-label', 'Room code');
+        this.roomInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') this._onJoinClick();
+        });
+
+        const joinBtn = document.createElement('button');
+        joinBtn.className = 'home-orient-option active';
+        joinBtn.textContent = 'JOIN';
+        joinBtn.addEventListener('click', () => this._onJoinClick());
+
+        onlineRow.appendChild(this.roomInput);
+        onlineRow.appendChild(joinBtn);
+        onlineSection.appendChild(onlineLabel);
+        onlineSection.appendChild(onlineRow);
+
+        // ── Trophies and Stats ──
+        const progressSection = document.createElement('div');
+        progressSection.className = 'home-progress';
+
+        const progressLabel = document.createElement('div');
+        progressLabel.className = 'home-orient-label';
+        progressLabel.textContent = 'PROGRESS';
+
+        this.trophyBtn = document.createElement('button');
+        this.trophyBtn.className = 'home-orient-option active';
+        this.trophyBtn.addEventListener('click', () => this.events.emit(GameEvents.HOME_TROPHIES));
+        this._updateTrophyBtn();
+
+        const statsBtn = document.createElement('button');
+        statsBtn.className = 'home-orient-option active';
+        statsBtn.textContent = 'STATS';
+        statsBtn.addEventListener('click', () => this.events.emit(GameEvents.HOME_STATS));
+
+        const progressRow = document.createElement('div');
+        progressRow.className = 'home-online-row';
+        progressRow.appendChild(this.trophyBtn);
+        progressRow.appendChild(statsBtn);
+
+        progressSection.appendChild(progressLabel);
+        progressSection.appendChild(progressRow);
+
+        // ── Data Export / Import (import asks whether to merge or replace first) ──
+        const dataSection = document.createElement('div');
+        dataSection.className = 'home-data';
+
+        const dataLabel = document.createElement('div');
+        dataLabel.className = 'home-orient-label';
+        dataLabel.textContent = 'DATA';
+
+        const dataInput = document.createElement('input');
+        dataInput.type = 'file';
+        dataInput.accept = '.json,application/json';
+        dataInput.style.display = 'none';
+        dataInput.addEventListener('change', async () => {
+            const text = await this._readPickedFile(dataInput);
+            if (text === null) return;
+            this.pendingImport = text;
+            this._updateDataRows();
+            this.showNotice('Merge the file with your progress, or replace your progress with it?');
+        });
+
+        const exportBtn = document.createElement('button');
+        exportBtn.className = 'home-orient-option active';
+        exportBtn.textContent = 'EXPORT';
+        exportBtn.addEventListener('click', () => this.events.emit(GameEvents.HOME_EXPORT_DATA));
+
+        const importBtn = document.createElement('button');
+        importBtn.className = 'home-orient-option active';
+        importBtn.textContent = 'IMPORT';
+        importBtn.addEventListener('click', () => dataInput.click());
+
+        this.dataRow = document.createElement('div');
+        this.dataRow.className = 'home-online-row';
+        this.dataRow.appendChild(exportBtn);
+        this.dataRow.appendChild(importBtn);
+
+        this.importChoiceRow = document.createElement('div');
+        this.importChoiceRow.className = 'home-online-row';
+        for (const [label, mode] of [['MERGE', 'merge'], ['REPLACE', 'replace'], ['CANCEL', null]]) {
+            const btn = document.createElement('button');
+            btn.className = 'home-orient-option' + (mode ? ' active' : '');
+            btn.textContent = label;
+            btn.addEventListener('click', () => this._onImportChoice(mode));
+            this.importChoiceRow.appendChild(btn);
+        }
+        this.pendingImport = null; // text of the picked save file until merge or replace is chosen
+        this._updateDataRows();
+
+        dataSection.appendChild(dataLabel);
+        dataSection.appendChild(this.dataRow);
+        dataSection.appendChild(this.importChoiceRow);
+        dataSection.appendChild(dataInput);
+
+        const filesRow = document.createElement('div');
+        filesRow.className = 'home-toggles';
+        filesRow.appendChild(replaySection);
+        filesRow.appendChild(editorSection);
+        filesRow.appendChild(onlineSection);
+        filesRow.appendChild(progressSection);
+        filesRow.appendChild(dataSection);
+
         // ── How to Play ──
         const tutorial = document.createElement('div');
         tutorial.className = 'home-tutorial';
@@ -109,19 +411,66 @@ export class HomeScreen {
         tutorial.appendChild(tutorialScene);
         tutorial.appendChild(tutorialLabel);
 
-        // ── Play Button ──
+        // ── Play / Daily / Time Attack / Zen / Puzzle / Versus Buttons ──
+        const playBtns = document.createElement('div');
+        playBtns.className = 'home-play-btns';
+
+        this.continueBtn = document.createElement('button');
+        this.continueBtn.className = 'neon-play-btn neon-continue-btn';
+        this.continueBtn.addEventListener('click', () => this._onContinueClick());
+        this._updateContinueBtn();
+
         const playBtn = document.createElement('button');
         playBtn.className = 'neon-play-btn';
         playBtn.textContent = 'PLAY';
-        playBtn.addEventListener('click', () => this._onPlayClick());
+        playBtn.addEventListener('click', () => this._onPlayClick('classic'));
+
+        const dailyBtn = document.createElement('button');
+        dailyBtn.className = 'neon-play-btn neon-daily-btn';
+        dailyBtn.textContent = 'DAILY';
+        dailyBtn.addEventListener('click', () => this._onDailyClick());
+
+        const timeAttackBtn = document.createElement('button');
+        timeAttackBtn.className = 'neon-play-btn neon-time-btn';
+        timeAttackBtn.textContent = 'TIME ATTACK';
+        timeAttackBtn.addEventListener('click', () => this._onPlayClick('timeAttack'));
+
+        const zenBtn = document.createElement('button');
+        zenBtn.className = 'neon-play-btn neon-zen-btn';
+        zenBtn.textContent = 'ZEN';
+        zenBtn.addEventListener('click', () => this._onPlayClick('zen'));
+
+        const puzzleBtn = document.createElement('button');
+        puzzleBtn.className = 'neon-play-btn neon-puzzle-btn';
+        puzzleBtn.textContent = 'PUZZLES';
+        puzzleBtn.addEventListener('click', () => this._onPuzzleClick());
+
+        const versusBtn = document.createElement('button');
+        versusBtn.className = 'neon-play-btn neon-versus-btn';
+        versusBtn.textContent = '2P VERSUS';
+        versusBtn.addEventListener('click', () => this._onPlayClick('versus'));
+
+        playBtns.appendChild(this.continueBtn);
+        playBtns.appendChild(playBtn);
+        playBtns.appendChild(dailyBtn);
+        playBtns.appendChild(timeAttackBtn);
+        playBtns.appendChild(zenBtn);
+        playBtns.appendChild(puzzleBtn);
+        playBtns.appendChild(versusBtn);
+
+        this.noticeEl = document.createElement('div');
+        this.noticeEl.className = 'home-notice';
 
         // ── Assemble ──
         el.appendChild(title);
         el.appendChild(scoresSection);
         el.appendChild(orientSection);
-        el.appendChild(soundSection);
+        el.appendChild(difficultySection);
+        el.appendChild(togglesRow);
+        el.appendChild(filesRow);
         el.appendChild(tutorial);
-        el.appendChild(playBtn);
+        el.appendChild(playBtns);
+        el.appendChild(this.noticeEl);
         document.body.appendChild(el);
         this.element = el;
     }
@@ -160,8 +509,33 @@ export class HomeScreen {
         this.soundBtn.classList.toggle('active', this.soundEnabled);
     }
 
+    /** Chosen difficulty preset key (see Difficulty.js). */
+    get difficulty() {
+        const saved = this.storage.getSettings().difficulty;
+        return isDifficulty(saved) ? saved : CONFIG.DIFFICULTY.DEFAULT;
+    }
+
+    _updateDifficultyBtns() {
+        for (const { btn, difficulty } of this.difficultyBtns) {
+            btn.classList.toggle('active', difficulty === this.difficulty);
+        }
+    }
+
+    /** Undo opt-in (off by default), read by PoolGame when a run starts. */
+    get undoEnabled() {
+        return this.storage.getSettings().undo === true;
+    }
+
+    _updateUndoBtn() {
+        this.undoBtn.textContent = this.undoEnabled ? '\u21B6 ON' : 'OFF';
+        this.undoBtn.classList.toggle('active', this.undoEnabled);
+    }
+
     _renderScores() {
-        const scores = this.storage.getAllHighScores().slice(0, 3);
+        for (const { btn, difficulty } of this.filterBtns) {
+            btn.classList.toggle('active', difficulty === this.scoreFilter);
+        }
+        const scores = this.storage.getAllHighScores('classic', this.scoreFilter).slice(0, 3);
         this.scoresContainer.innerHTML = '';
 
         if (scores.length === 0) {
@@ -196,13 +570,163 @@ export class HomeScreen {
             row.appendChild(initials);
             row.appendChild(scoreVal);
             row.appendChild(level);
+
+            // The mixed list says which difficulty each score was set on
+            if (!this.scoreFilter) {
+                const difficulty = document.createElement('span');
+                difficulty.className = 'score-difficulty';
+                difficulty.textContent = getDifficulty(s.difficulty).label;
+                row.appendChild(difficulty);
+            }
             this.scoresContainer.appendChild(row);
         });
     }
 
-    _onPlayClick() {
+    _renderDaily() {
+        const todayKey = getDailyKey();
+        const today = this.storage.getDailyResult(todayKey);
+        const streak = this.storage.getDailyStreak(todayKey);
+        this.dailyContainer.innerHTML = '';
+
+        const best = document.createElement('span');
+        best.className = 'daily-best';
+        best.textContent = today ? `TODAY ${today.score} (${today.initials})` : 'TODAY \u2014';
+
+        const streakEl = document.createElement('span');
+        streakEl.className = 'daily-streak';
+        streakEl.textContent = `STREAK ${streak}`;
+
+        this.dailyContainer.appendChild(best);
+        this.dailyContainer.appendChild(streakEl);
+    }
+
+    _renderTimeAttack() {
+        const best = this.storage.getHighScore('timeAttack', this.scoreFilter);
+        this.timeAttackContainer.innerHTML = '';
+
+        const bestEl = document.createElement('span');
+        bestEl.className = 'time-attack-best';
+        bestEl.textContent = best ? `TIME ATTACK ${best.score} (${best.initials})` : 'TIME ATTACK \u2014';
+        this.timeAttackContainer.appendChild(bestEl);
+    }
+
+    _renderPuzzles() {
+        const results = this.storage.getPuzzleResults();
+        const solved = PUZZLE_PACK.filter(level => results[level.id]).length;
+        this.puzzleContainer.innerHTML = '';
+
+        const progress = document.createElement('span');
+        progress.className = 'puzzle-progress';
+        progress.textContent = `PUZZLES ${solved}/${PUZZLE_PACK.length} SOLVED`;
+        this.puzzleContainer.appendChild(progress);
+    }
+
+    _updateTrophyBtn() {
+        const unlocked = this.storage.getAchievements();
+        const earned = ACHIEVEMENTS.filter(a => unlocked[a.id]).length;
+        this.trophyBtn.textContent = `\u{1F3C6} ${earned}/${ACHIEVEMENTS.length}`;
+    }
+
+    _renderProfiles() {
+        this.profileSelect.innerHTML = '';
+        for (const { id, name } of this.storage.getProfiles()) {
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = name;
+            this.profileSelect.appendChild(option);
+        }
+        this.profileSelect.value = this.storage.getActiveProfile().id;
+    }
+
+    _onProfileSelect(id) {
+        this.storage.selectProfile(id);
+        this.refresh();
+        this.events.emit(GameEvents.PROFILE_CHANGED, { id });
+    }
+
+    _onAddProfileClick() {
+        const name = this.profileInput.value.trim();
+        if (!name) {
+            this.showNotice('Enter a name for the new profile');
+            return;
+        }
+        if (this.storage.findProfile(name)) {
+            this.showNotice(`There is already a profile named ${name.toUpperCase()}`);
+            return;
+        }
+        if (this.storage.getProfiles().length >= CONFIG.PROFILES.MAX) {
+            this.showNotice(`At most ${CONFIG.PROFILES.MAX} profiles fit on one device`);
+            return;
+        }
+        this.profileInput.value = '';
+        this._onProfileSelect(this.storage.addProfile(name));
+    }
+
+    _updateDataRows() {
+        this.dataRow.style.display = this.pendingImport === null ? '' : 'none';
+        this.importChoiceRow.style.display = this.pendingImport === null ? 'none' : '';
+    }
+
+    /** @param {string|null} mode - 'merge', 'replace', or null to cancel the import */
+    _onImportChoice(mode) {
+        const text = this.pendingImport;
+        this.pendingImport = null;
+        this._updateDataRows();
+        this.showNotice('');
+        if (mode) this.events.emit(GameEvents.HOME_IMPORT_DATA, { text, mode });
+    }
+
+    _updateContinueBtn() {
+        const run = this.storage.getSavedRun();
+        this.continueBtn.style.display = run ? '' : 'none';
+        if (run) this.continueBtn.textContent = `CONTINUE L${run.level}`;
+    }
+
+    _onContinueClick() {
         this._tryLockOrientation();
-        if (this.onPlay) this.onPlay();
+        this.events.emit(GameEvents.HOME_CONTINUE);
+    }
+
+    /** @param {string} mode - 'classic', 'timeAttack', 'zen' or 'versus' */
+    _onPlayClick(mode) {
+        this._tryLockOrientation();
+        this.events.emit(GameEvents.HOME_PLAY, { mode });
+    }
+
+    /** Picks up at the first unsolved puzzle (the first one once the pack is done). */
+    _onPuzzleClick() {
+        const results = this.storage.getPuzzleResults();
+        const next = PUZZLE_PACK.findIndex(level => !results[level.id]);
+        this._tryLockOrientation();
+        this.events.emit(GameEvents.HOME_PUZZLE, { level: next === -1 ? 1 : next + 1 });
+    }
+
+    _onJoinClick() {
+        const room = this.roomInput.value.trim().toUpperCase();
+        if (!room) {
+            this.showNotice('Enter a room code to share with your opponent');
+            return;
+        }
+        this._tryLockOrientation();
+        this.events.emit(GameEvents.HOME_ONLINE, { room });
+    }
+
+    _onDailyClick() {
+        this._tryLockOrientation();
+        this.events.emit(GameEvents.HOME_DAILY);
+    }
+
+    /** Text of the file picked in `input` (cleared for the next pick), or null if there is none to use. */
+    async _readPickedFile(input) {
+        const file = input.files[0];
+        input.value = '';
+        if (!file) return null;
+        try {
+            return await file.text();
+        } catch {
+            this.showNotice(`Could not read ${file.name}`);
+            return null;
+        }
     }
 
     _tryLockOrientation() {
@@ -213,7 +737,27 @@ export class HomeScreen {
         api.lock(type).catch(() => { /* not supported or not fullscreen */ });
     }
 
+    /** One-line message under the play buttons (e.g. a rejected replay file); '' clears it. */
+    showNotice(text) { this.noticeEl.textContent = text; }
+
     show() { this.element.style.display = 'flex'; }
     hide() { this.element.style.display = 'none'; }
-    refresh() { this._renderScores(); }
+    refresh() {
+        this.showNotice('');
+        // The profile and its settings can change under the screen (a switch or an import)
+        this._renderProfiles();
+        const settings = this.storage.getSettings();
+        this.selectedOrientation = settings.orientation || 'landscape';
+        this.soundEnabled = settings.sound !== false;
+        this._updateOrientBtns();
+        this._updateSoundBtn();
+        this._updateDifficultyBtns();
+        this._updateUndoBtn();
+        this._renderScores();
+        this._renderDaily();
+        this._renderTimeAttack();
+        this._renderPuzzles();
+        this._updateTrophyBtn();
+        this._updateContinueBtn();
+    }
 }
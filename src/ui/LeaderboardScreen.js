@@ -0,0 +1,183 @@
+import { CONFIG } from '../config.js';
+import { getDailyKey } from '../core/DailyChallenge.js';
+import { DIFFICULTIES, getDifficulty } from '../core/Difficulty.js';
+import { formatDuration } from '../core/StatsTracker.js';
+
+/** Board tabs: classic and time attack have one board per difficulty, daily one per date. */
+const BOARDS = [['classic', 'CLASSIC'], ['timeAttack', 'TIME ATTACK'], ['daily', 'DAILY']];
+const COLUMNS = ['#', 'NAME', 'SCORE', 'LEVEL', 'TIME', 'DATE'];
+
+/**
+ * Full leaderboards of the active profile (up to CONFIG.LEADERBOARD.SIZE entries each),
+ * with the most recent entry on the board highlighted.
+ */
+export class LeaderboardScreen {
+    constructor(storage) {
+        this.storage = storage;
+        /** @type {Function|null} Called when the user taps Back. */
+        this.onClose = null;
+        this.mode = 'classic';
+        this.difficulty = CONFIG.DIFFICULTY.DEFAULT;
+        this.dateKey = null; // daily board shown, null for the latest played date
+        this.element = null;
+        this._create();
+    }
+
+    _create() {
+        const el = document.createElement('div');
+        el.className = 'leaderboard-screen';
+        el.style.display = 'none';
+
+        const title = document.createElement('div');
+        title.className = 'leaderboard-title';
+        title.textContent = 'LEADERBOARD';
+
+        const modeRow = document.createElement('div');
+        modeRow.className = 'leaderboard-tabs';
+        this.modeBtns = BOARDS.map(([mode, label]) => {
+            const btn = document.createElement('button');
+            btn.className = 'leaderboard-tab';
+            btn.textContent = label;
+            btn.addEventListener('click', () => {
+                this.mode = mode;
+                this._render();
+            });
+            modeRow.appendChild(btn);
+            return { btn, mode };
+        });
+
+        this.boardRow = document.createElement('div');
+        this.boardRow.className = 'leaderboard-tabs';
+
+        this.listEl = document.createElement('div');
+        this.listEl.className = 'leaderboard-list';
+
+        const backBtn = document.createElement('button');
+        backBtn.className = 'neon-play-btn leaderboard-back';
+        backBtn.textContent = 'BACK';
+        backBtn.addEventListener('click', () => {
+            if (this.onClose) this.onClose();
+        });
+
+        el.appendChild(title);
+        el.appendChild(modeRow);
+        el.appendChild(this.boardRow);
+        el.appendChild(this.listEl);
+        el.appendChild(backBtn);
+        document.body.appendChild(el);
+        this.element = el;
+    }
+
+    /**
+     * @param {Object} [board] - Board to open on
+     * @param {string} [board.mode] - 'classic', 'timeAttack' or 'daily'
+     * @param {string|null} [board.difficulty] - Preset key; null keeps the last one shown
+     */
+    show({ mode = 'classic', difficulty = null } = {}) {
+        this.mode = mode;
+        if (difficulty) this.difficulty = difficulty;
+        this.dateKey = null;
+        this._render();
+        this.element.style.display = 'flex';
+    }
+
+    hide() { this.element.style.display = 'none'; }
+
+    _render() {
+        for (const { btn, mode } of this.modeBtns) btn.classList.toggle('active', mode === this.mode);
+        this.boardRow.innerHTML = '';
+
+        let entries;
+        if (this.mode === 'daily') {
+            this._renderDates();
+            entries = this.storage.getDailyResults(this.dateKey);
+        } else {
+            this._renderDifficulties();
+            entries = this.storage.getAllHighScores(this.mode, this.difficulty);
+        }
+        this._renderEntries(entries);
+    }
+
+    _renderDifficulties() {
+        for (const difficulty of DIFFICULTIES) {
+            const btn = document.createElement('button');
+            btn.className = 'leaderboard-tab';
+            btn.classList.toggle('active', difficulty === this.difficulty);
+            btn.textContent = getDifficulty(difficulty).label;
+            btn.addEventListener('click', () => {
+                this.difficulty = difficulty;
+                this._render();
+            });
+            this.boardRow.appendChild(btn);
+        }
+    }
+
+    /** Arrows step through the played dates (most recent first); today shows even unplayed. */
+    _renderDates() {
+        const dates = this.storage.getDailyDates();
+        if (!this.dateKey) this.dateKey = dates[0] || getDailyKey();
+        const index = dates.indexOf(this.dateKey);
+
+        const stepBtn = (label, dateKey) => {
+            const btn = document.createElement('button');
+            btn.className = 'leaderboard-tab';
+            btn.textContent = label;
+            btn.disabled = !dateKey;
+            btn.addEventListener('click', () => {
+                this.dateKey = dateKey;
+                this._render();
+            });
+            return btn;
+        };
+
+        const dateEl = document.createElement('span');
+        dateEl.className = 'leaderboard-date';
+        dateEl.textContent = this.dateKey;
+
+        this.boardRow.appendChild(stepBtn('‹', dates[index + 1]));
+        this.boardRow.appendChild(dateEl);
+        this.boardRow.appendChild(stepBtn('›', index > 0 ? dates[index - 1] : undefined));
+    }
+
+    _renderEntries(entries) {
+        this.listEl.innerHTML = '';
+        if (entries.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'leaderboard-empty';
+            empty.textContent = 'No scores yet';
+            this.listEl.appendChild(empty);
+            return;
+        }
+
+        const head = document.createElement('div');
+        head.className = 'leaderboard-row leaderboard-head';
+        for (const column of COLUMNS) {
+            const cell = document.createElement('span');
+            cell.textContent = column;
+            head.appendChild(cell);
+        }
+        this.listEl.appendChild(head);
+
+        // The newest entry is the player's latest run on this board
+        const latest = entries.reduce((newest, entry) => ((entry.date || '') > (newest.date || '') ? entry : newest));
+        entries.forEach((entry, i) => {
+            const row = document.createElement('div');
+            row.className = 'leaderboard-row';
+            row.classList.toggle('latest', entry === latest && Boolean(entry.date));
+            const cells = [
+                `${i + 1}.`,
+                entry.initials || '---',
+                String(entry.score),
+                String(entry.level),
+                entry.duration != null ? formatDuration(entry.duration) : '—',
+                entry.date ? entry.date.slice(0, 10) : '—'
+            ];
+            for (const text of cells) {
+                const cell = document.createElement('span');
+                cell.textContent = text;
+                row.appendChild(cell);
+            }
+            this.listEl.appendChild(row);
+        });
+    }
+}
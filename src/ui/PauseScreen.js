@@ -0,0 +1,58 @@
+/**
+ * Pause overlay with Resume / Restart / Quit actions.
+ */
+export class PauseScreen {
+    constructor() {
+        /** @type {Function|null} Called when the user taps Resume. */
+        this.onResume = null;
+        /** @type {Function|null} Called when the user taps Restart. */
+        this.onRestart = null;
+        /** @type {Function|null} Called when the user taps Quit. */
+        this.onQuit = null;
+        this.element = null;
+        this._create();
+    }
+
+    _create() {
+        const el = document.createElement('div');
+        el.className = 'pause-screen';
+        el.style.display = 'none';
+
+        const title = document.createElement('div');
+        title.className = 'pause-title';
+        title.textContent = 'PAUSED';
+
+        const buttons = document.createElement('div');
+        buttons.className = 'pause-btns';
+        buttons.appendChild(this._createBtn('RESUME', () => this.onResume));
+        this.restartBtn = this._createBtn('RESTART', () => this.onRestart);
+        buttons.appendChild(this.restartBtn);
+        buttons.appendChild(this._createBtn('QUIT', () => this.onQuit));
+
+        el.appendChild(title);
+        el.appendChild(buttons);
+        document.body.appendChild(el);
+        this.element = el;
+    }
+
+    _createBtn(label, getHandler) {
+        const btn = document.createElement('button');
+        btn.className = 'neon-play-btn pause-btn';
+        btn.textContent = label;
+        btn.addEventListener('click', () => {
+            const handler = getHandler();
+            if (handler) handler();
+        });
+        return btn;
+    }
+
+    get isVisible() { return this.element.style.display !== 'none'; }
+
+    /** @param {boolean} [canRestart] - false hides Restart (an online match can't be restarted alone) */
+    show(canRestart = true) {
+        this.restartBtn.style.display = canRestart ? '' : 'none';
+        this.element.style.display = 'flex';
+    }
+
+    hide() { this.element.style.display = 'none'; }
+}
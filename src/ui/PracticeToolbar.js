@@ -0,0 +1,95 @@
+import { CONFIG } from '../config.js';
+
+/**
+ * Zen mode sandbox bar: pick the level whose wall count and spawn table are generated,
+ * regenerate the walls, and arm the "place ball" tool.
+ */
+export class PracticeToolbar {
+    constructor() {
+        this.level = 1;
+        /** @type {Function|null} Called with (level) when a level is picked. */
+        this.onLevelChange = null;
+        /** @type {Function|null} Called when "new walls" is tapped. */
+        this.onRegenerate = null;
+        /** @type {Function|null} Called with (active) when the place-ball tool is toggled. */
+        this.onPlaceToggle = null;
+        this.element = null;
+        this._create();
+    }
+
+    _create() {
+        const el = document.createElement('div');
+        el.className = 'practice-toolbar';
+        el.style.display = 'none';
+
+        const title = document.createElement('div');
+        title.className = 'practice-title';
+        title.textContent = 'ZEN';
+
+        const bar = document.createElement('div');
+        bar.className = 'practice-bar';
+
+        const prevBtn = this._createBtn('◀', 'Previous level', () => this._pickLevel(this.level - 1));
+        this.levelEl = document.createElement('span');
+        this.levelEl.className = 'practice-level';
+        const nextBtn = this._createBtn('▶', 'Next level', () => this._pickLevel(this.level + 1));
+
+        const regenBtn = this._createBtn('↻ NEW WALLS', 'Regenerate walls', () => {
+            if (this.onRegenerate) this.onRegenerate();
+        });
+
+        this.placeBtn = this._createBtn('⌖ PLACE BALL', 'Place the ball', () => {
+            const active = !this.placeBtn.classList.contains('active');
+            this.setPlacing(active);
+            if (this.onPlaceToggle) this.onPlaceToggle(active);
+        });
+
+        bar.appendChild(prevBtn);
+        bar.appendChild(this.levelEl);
+        bar.appendChild(nextBtn);
+        bar.appendChild(regenBtn);
+        bar.appendChild(this.placeBtn);
+        el.appendChild(title);
+        el.appendChild(bar);
+        document.body.appendChild(el);
+        this.element = el;
+    }
+
+    _createBtn(label, ariaLabel, onClick) {
+        const btn = document.createElement('button');
+        btn.className = 'practice-btn';
+        btn.textContent = label;
+        btn.setAttribute('aria-label', ariaLabel);
+        btn.addEventListener('click', onClick);
+        return btn;
+    }
+
+    _pickLevel(level) {
+        if (level < 1 || level > CONFIG.PRACTICE.MAX_LEVEL) return;
+        this.setLevel(level);
+        if (this.onLevelChange) this.onLevelChange(level);
+    }
+
+    get isVisible() { return this.element.style.display !== 'none'; }
+
+    show(level) {
+        this.setLevel(level);
+        this.setPlacing(false);
+        this.element.style.display = 'flex';
+    }
+
+    hide() {
+        this.setPlacing(false);
+        this.element.style.display = 'none';
+    }
+
+    setLevel(level) {
+        this.level = level;
+        this.levelEl.textContent = `LEVEL ${level}`;
+    }
+
+    /** Highlight the place-ball tool while it's armed. */
+    setPlacing(active) {
+        this.placeBtn.classList.toggle('active', active);
+    }
+}
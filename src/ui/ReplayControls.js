@@ -0,0 +1,101 @@
+/**
+ * Replay bar: play/pause, scrub slider, playback speed and close. A run replay is
+ * re-simulated and can't seek, so there the slider only shows progress.
+ */
+export class ReplayControls {
+    /**
+     * @param {number[]} speeds - Playback speeds the speed button cycles through
+     * @param {Object} [options]
+     * @param {boolean} [options.seekable] - false makes the slider a read-only progress bar
+     */
+    constructor(speeds, { seekable = true } = {}) {
+        this.speeds = speeds;
+        this.seekable = seekable;
+        this.speedIndex = 0;
+        /** @type {Function|null} Called when play/pause is tapped. */
+        this.onTogglePlay = null;
+        /** @type {Function|null} Called with (timeMs) while the slider is dragged. */
+        this.onSeek = null;
+        /** @type {Function|null} Called with (speed) when the speed button cycles. */
+        this.onSpeedChange = null;
+        /** @type {Function|null} Called when the replay is closed. */
+        this.onClose = null;
+        this.element = null;
+        this._create();
+    }
+
+    _create() {
+        const el = document.createElement('div');
+        el.className = 'replay-controls';
+        el.style.display = 'none';
+
+        const title = document.createElement('div');
+        title.className = 'replay-title';
+        title.textContent = 'REPLAY';
+
+        const bar = document.createElement('div');
+        bar.className = 'replay-bar';
+
+        this.playBtn = this._createBtn('❚❚', 'Play/Pause', () => {
+            if (this.onTogglePlay) this.onTogglePlay();
+        });
+
+        this.slider = document.createElement('input');
+        this.slider.type = 'range';
+        this.slider.className = 'replay-slider';
+        this.slider.min = '0';
+        this.slider.step = 'any';
+        this.slider.disabled = !this.seekable;
+        this.slider.addEventListener('input', () => {
+            if (this.onSeek) this.onSeek(Number(this.slider.value));
+        });
+
+        this.speedBtn = this._createBtn('1x', 'Playback speed', () => {
+            this.speedIndex = (this.speedIndex + 1) % this.speeds.length;
+            const speed = this.speeds[this.speedIndex];
+            this.speedBtn.textContent = `${speed}x`;
+            if (this.onSpeedChange) this.onSpeedChange(speed);
+        });
+
+        const closeBtn = this._createBtn('✕', 'Close replay', () => {
+            if (this.onClose) this.onClose();
+        });
+
+        bar.appendChild(this.playBtn);
+        bar.appendChild(this.slider);
+        bar.appendChild(this.speedBtn);
+        bar.appendChild(closeBtn);
+        el.appendChild(title);
+        el.appendChild(bar);
+        document.body.appendChild(el);
+        this.element = el;
+    }
+
+    _createBtn(label, ariaLabel, onClick) {
+        const btn = document.createElement('button');
+        btn.className = 'replay-btn';
+        btn.textContent = label;
+        btn.setAttribute('aria-label', ariaLabel);
+        btn.addEventListener('click', onClick);
+        return btn;
+    }
+
+    get isVisible() { return this.element.style.display !== 'none'; }
+
+    /** @param {number} duration - Slider range (shot length in ms, or shot count) */
+    show(duration) {
+        this.slider.max = String(duration);
+        this.slider.value = '0';
+        this.speedIndex = 0;
+        this.speedBtn.textContent = `${this.speeds[0]}x`;
+        this.element.style.display = 'flex';
+    }
+
+    hide() { this.element.style.display = 'none'; }
+
+    /** Reflect playback position (slider units) and state. */
+    update(time, playing) {
+        this.slider.value = String(time);
+        this.playBtn.textContent = playing ? '❚❚' : '▶';
+    }
+}
@@ -0,0 +1,57 @@
+import { statRows } from '../core/StatsTracker.js';
+
+/**
+ * Lifetime statistics overlay (totals across every counted run).
+ */
+export class StatsScreen {
+    constructor() {
+        /** @type {Function|null} Called when the user taps Back. */
+        this.onClose = null;
+        this.element = null;
+        this._create();
+    }
+
+    _create() {
+        const el = document.createElement('div');
+        el.className = 'trophy-screen';
+        el.style.display = 'none';
+
+        const title = document.createElement('div');
+        title.className = 'pause-title';
+        title.textContent = 'STATS';
+
+        this.listEl = document.createElement('div');
+        this.listEl.className = 'stats-list';
+
+        const backBtn = document.createElement('button');
+        backBtn.className = 'neon-play-btn pause-btn';
+        backBtn.textContent = 'BACK';
+        backBtn.addEventListener('click', () => {
+            if (this.onClose) this.onClose();
+        });
+
+        el.appendChild(title);
+        el.appendChild(this.listEl);
+        el.appendChild(backBtn);
+        document.body.appendChild(el);
+        this.element = el;
+    }
+
+    /** @param {Object} stats - Lifetime totals (see StorageManager.getLifetimeStats) */
+    show(stats) {
+        this.listEl.innerHTML = '';
+        for (const [label, value] of statRows(stats, { lifetime: true })) {
+            const labelEl = document.createElement('span');
+            labelEl.className = 'stats-label';
+            labelEl.textContent = label;
+            const valueEl = document.createElement('span');
+            valueEl.className = 'stats-value';
+            valueEl.textContent = value;
+            this.listEl.appendChild(labelEl);
+            this.listEl.appendChild(valueEl);
+        }
+        this.element.style.display = 'flex';
+    }
+
+    hide() { this.element.style.display = 'none'; }
+}
@@ -0,0 +1,85 @@
+import { ACHIEVEMENTS } from '../core/AchievementTracker.js';
+
+/**
+ * Trophy overlay listing every achievement, earned ones lit with their unlock date.
+ */
+export class TrophyScreen {
+    constructor() {
+        /** @type {Function|null} Called when the user taps Back. */
+        this.onClose = null;
+        this.element = null;
+        this._create();
+    }
+
+    _create() {
+        const el = document.createElement('div');
+        el.className = 'trophy-screen';
+        el.style.display = 'none';
+
+        const title = document.createElement('div');
+        title.className = 'pause-title';
+        title.textContent = 'TROPHIES';
+
+        this.countEl = document.createElement('div');
+        this.countEl.className = 'trophy-count';
+
+        this.listEl = document.createElement('div');
+        this.listEl.className = 'trophy-list';
+
+        const backBtn = document.createElement('button');
+        backBtn.className = 'neon-play-btn pause-btn';
+        backBtn.textContent = 'BACK';
+        backBtn.addEventListener('click', () => {
+            if (this.onClose) this.onClose();
+        });
+
+        el.appendChild(title);
+        el.appendChild(this.countEl);
+        el.appendChild(this.listEl);
+        el.appendChild(backBtn);
+        document.body.appendChild(el);
+        this.element = el;
+    }
+
+    /** @param {Object} unlocked - `{ [id]: { date } }` as kept by StorageManager */
+    show(unlocked) {
+        const earned = ACHIEVEMENTS.filter(a => unlocked[a.id]).length;
+        this.countEl.textContent = `${earned}/${ACHIEVEMENTS.length} UNLOCKED`;
+        this.listEl.innerHTML = '';
+
+        for (const achievement of ACHIEVEMENTS) {
+            const entry = unlocked[achievement.id];
+            const row = document.createElement('div');
+            row.className = 'trophy-row';
+            row.classList.toggle('unlocked', Boolean(entry));
+
+            const icon = document.createElement('span');
+            icon.className = 'trophy-icon';
+            icon.textContent = entry ? '\u{1F3C6}' : '\u{1F512}';
+
+            const text = document.createElement('div');
+            text.className = 'trophy-text';
+            const name = document.createElement('div');
+            name.className = 'trophy-title';
+            name.textContent = achievement.title;
+            const description = document.createElement('div');
+            description.className = 'trophy-description';
+            description.textContent = achievement.description;
+            text.appendChild(name);
+            text.appendChild(description);
+
+            row.appendChild(icon);
+            row.appendChild(text);
+            if (entry) {
+                const date = document.createElement('span');
+                date.className = 'trophy-date';
+                date.textContent = entry.date.slice(0, 10);
+                row.appendChild(date);
+            }
+            this.listEl.appendChild(row);
+        }
+        this.element.style.display = 'flex';
+    }
+
+    hide() { this.element.style.display = 'none'; }
+}
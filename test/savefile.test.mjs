@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createSaveFile, parseSaveFile } from '../src/storage/SaveFile.js';
+import { createSave } from '../src/storage/SaveSchema.js';
+
+const DATE = '2026-01-02T03:04:05.000Z';
+
+/** Save file text whose default profile holds `profile`'s fields. */
+function saveFileWith(profile) {
+    const data = createSave();
+    Object.assign(data.profiles[data.activeProfile], profile);
+    return JSON.stringify(createSaveFile(data));
+}
+
+const scoreEntry = (fields = {}) => ({
+    initials: 'ABC', score: 120, level: 4, difficulty: 'normal', duration: 60000, date: DATE, ...fields
+});
+const dailyEntry = (fields = {}) => ({
+    initials: 'ABC', score: 80, shots: 9, level: 3, duration: 45000, date: DATE, ...fields
+});
+
+test('a well-formed file parses', () => {
+    const data = parseSaveFile(saveFileWith({
+        highScores: [scoreEntry()],
+        timeAttackScores: [scoreEntry({ difficulty: 'hard' })],
+        daily: { '2026-01-02': [dailyEntry()] }
+    }));
+    assert.equal(data.profiles[data.activeProfile].highScores[0].score, 120);
+});
+
+test('text that is not a save file is refused', () => {
+    assert.throws(() => parseSaveFile('{'), { message: 'Not a save file' });
+    assert.throws(() => parseSaveFile('{"format":"other"}'), { message: 'Not a save file' });
+});
+
+test('score entries with an unknown difficulty are refused', () => {
+    assert.throws(() => parseSaveFile(saveFileWith({ highScores: [scoreEntry({ difficulty: 'bogus' })] })),
+        { message: /damaged \(p1\.highScores\)/ });
+});
+
+test('score entries need string initials and a valid date', () => {
+    for (const entry of [
+        scoreEntry({ initials: undefined }),
+        scoreEntry({ initials: 42 }),
+        scoreEntry({ date: undefined }),
+        scoreEntry({ date: 'yesterday' })
+    ]) {
+        assert.throws(() => parseSaveFile(saveFileWith({ timeAttackScores: [entry] })),
+            { message: /damaged \(p1\.timeAttackScores\)/ });
+    }
+});
+
+test('daily results need string initials and a valid date', () => {
+    for (const entry of [dailyEntry({ initials: null }), dailyEntry({ date: 7 })]) {
+        assert.throws(() => parseSaveFile(saveFileWith({ daily: { '2026-01-02': [entry] } })),
+            { message: /damaged \(p1\.daily\)/ });
+    }
+});
+
+test('profile initials are not filled in for a file', () => {
+    assert.throws(() => parseSaveFile(saveFileWith({ initials: ['A'] })),
+        { message: /damaged \(p1\.initials\)/ });
+});
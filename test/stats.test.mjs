@@ -0,0 +1,44 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { GameSimulation } from '../src/core/GameSimulation.js';
+import { StatsTracker, createStats } from '../src/core/StatsTracker.js';
+
+const SEED = 7;
+
+/** Take `count` shots at spread-out angles, each played out to the end. */
+function shootRun(sim, count) {
+    for (let i = 0; i < count && !sim.isGameOver; i++) {
+        const angle = i * 2.399963;
+        sim.shoot({ x: Math.cos(angle), z: Math.sin(angle) }, 38);
+        sim.runUntilSettled();
+    }
+}
+
+test('live play is recorded', () => {
+    const sim = new GameSimulation({ fixedTimestep: true });
+    const stats = new StatsTracker(sim.events);
+    sim.startRun('classic', SEED);
+    shootRun(sim, 3);
+
+    const pending = stats.takePending();
+    assert.equal(pending.shots, 3);
+    assert.equal(pending.runs, 1);
+    assert.equal(pending.highestLevel, 1);
+});
+
+test('replay playback leaves stats unchanged', () => {
+    const live = new GameSimulation({ fixedTimestep: true });
+    live.startRun('classic', SEED);
+    shootRun(live, 3);
+
+    // PoolGame marks the run as playback before starting it (see countsProgress)
+    const sim = new GameSimulation({ fixedTimestep: true });
+    const stats = new StatsTracker(sim.events);
+    stats.canRecord = () => false;
+    sim.startRun('classic', SEED);
+    sim.playShots(live.runShots);
+    while (sim.scriptedShotsLeft > 0 || !sim.isSettled) sim.runUntilSettled();
+
+    assert.deepEqual(stats.takePending(), createStats());
+    assert.deepEqual(stats.run, createStats());
+});